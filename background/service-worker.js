@@ -29,12 +29,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === "INJECT_AND_EXTRACT") {
     // Inject content script into the target tab and extract fingerprint
-    handleInjectAndExtract(message.tabId)
+    handleInjectAndExtract(message.tabId, {
+      multiViewport: !!message.multiViewport,
+      hideOverlays: !!message.hideOverlays,
+      pageOutline: !!message.pageOutline,
+    })
       .then((result) => sendResponse(result))
       .catch((error) => sendResponse({ success: false, error: error.message }));
     return true; // async response
   }
 
+  if (message.type === "INSPECT_OVERLAY") {
+    // Toggle the on-page overlay outlining what the extractor picked
+    handleInspectOverlay(message.tabId, message.show)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === "START_CORRECTION" || message.type === "CANCEL_CORRECTION") {
+    // Click-to-correct: the picked element comes back from the page as
+    // CORRECTION_PICKED, straight to the side panel
+    sendToContentScript(message.tabId, { type: message.type, field: message.field })
+      .then((result) => sendResponse(result));
+    return true;
+  }
+
   if (message.type === "GET_ACTIVE_TAB") {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       sendResponse(tabs[0] || null);
@@ -80,31 +100,188 @@ async function handleFabCapture(tab, message) {
 
 // --- Content script injection + fingerprint extraction ---
 
-async function handleInjectAndExtract(tabId) {
+async function handleInjectAndExtract(
+  tabId,
+  { multiViewport = false, hideOverlays = false, pageOutline = false } = {}
+) {
   try {
-    // Inject the content script
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      files: ["content/content-script.js"],
-    });
+    await injectContentScript(tabId);
 
-    // Wait a beat for the script to register listeners
-    await new Promise((r) => setTimeout(r, 100));
-
-    // Send message to content script to extract fingerprint
-    return new Promise((resolve) => {
-      chrome.tabs.sendMessage(tabId, { type: "EXTRACT_FINGERPRINT" }, (response) => {
-        if (chrome.runtime.lastError) {
-          resolve({
-            success: false,
-            error: chrome.runtime.lastError.message || "Failed to communicate with page",
-          });
-        } else {
-          resolve(response || { success: false, error: "No response from content script" });
-        }
-      });
-    });
+    // Breakpoint runs go first so the content script's last extraction (used
+    // by inspect and click-to-correct) is the one at the tab's real size
+    const viewports = multiViewport ? await extractAtViewports(tabId, { hideOverlays }) : null;
+
+    // Send message to content script to extract fingerprint (the page
+    // outline only matters at the tab's real size)
+    const result = await sendToContentScript(tabId, { type: "EXTRACT_FINGERPRINT", hideOverlays, pageOutline });
+
+    if (result.success) {
+      if (viewports) result.fingerprint.viewports = viewports;
+      result.screenshot = await captureHeroScreenshot(tabId, result.fingerprint);
+    }
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
+  } finally {
+    // Put back the banners and popups hidden for the capture
+    if (hideOverlays) await sendToContentScript(tabId, { type: "RESTORE_OVERLAYS" });
+  }
+}
+
+async function injectContentScript(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    // Data files first — the content script reads STACK_SIGNATURES and
+    // LANGUAGE_PACKS
+    files: ["content/stack-signatures.js", "content/language-packs.js", "content/content-script.js"],
+  });
+
+  // Wait a beat for the script to register listeners
+  await new Promise((r) => setTimeout(r, 100));
+}
+
+function sendToContentScript(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve({
+          success: false,
+          error: chrome.runtime.lastError.message || "Failed to communicate with page",
+        });
+      } else {
+        resolve(response || { success: false, error: "No response from content script" });
+      }
+    });
+  });
+}
+
+// --- Multi-viewport capture ---
+
+const VIEWPORT_PRESETS = [
+  { name: "desktop", width: 1440, height: 900, deviceScaleFactor: 1, mobile: false },
+  { name: "tablet", width: 768, height: 1024, deviceScaleFactor: 2, mobile: true },
+  { name: "mobile", width: 390, height: 844, deviceScaleFactor: 3, mobile: true },
+];
+
+/**
+ * Extract the fingerprint once per preset width, using the debugger's
+ * device metrics override to resize the page without touching the window.
+ * Returns [{ name, width, height, fingerprint | null, error | null }]; a
+ * failed breakpoint never fails the capture. Null when the debugger can't
+ * attach — "debugger" is an optional permission the side panel asks for.
+ * The override is always cleared and the debugger detached, even on error.
+ */
+async function extractAtViewports(tabId, { hideOverlays = false } = {}) {
+  const target = { tabId };
+  try {
+    await chrome.debugger.attach(target, "1.3");
+  } catch (err) {
+    console.warn("Multi-viewport capture unavailable:", err);
+    return null;
+  }
+
+  const viewports = [];
+  try {
+    for (const preset of VIEWPORT_PRESETS) {
+      const { name, width, height, deviceScaleFactor, mobile } = preset;
+      await chrome.debugger.sendCommand(target, "Emulation.setDeviceMetricsOverride", {
+        width,
+        height,
+        deviceScaleFactor,
+        mobile,
+      });
+      // The content script's settle phase waits out the relayout
+      const result = await sendToContentScript(tabId, { type: "EXTRACT_FINGERPRINT", hideOverlays });
+      viewports.push({
+        name,
+        width,
+        height,
+        fingerprint: result.success ? result.fingerprint : null,
+        error: result.success ? null : result.error,
+      });
+    }
+  } finally {
+    await chrome.debugger.sendCommand(target, "Emulation.clearDeviceMetricsOverride").catch(() => {});
+    await chrome.debugger.detach(target).catch(() => {});
+  }
+  return viewports;
+}
+
+// --- Inspect overlay ---
+
+/**
+ * Show or hide the inspect overlay in a tab. The overlay reuses the
+ * content script's last extraction, so the script is only injected when it
+ * isn't already there (e.g. the page was reloaded since the capture).
+ */
+async function handleInspectOverlay(tabId, show) {
+  const type = show ? "SHOW_INSPECT_OVERLAY" : "HIDE_INSPECT_OVERLAY";
+  const ping = await sendToContentScript(tabId, { type: "PING" });
+  if (!ping.success) {
+    if (!show) return { success: true }; // Nothing on the page to hide
+    await injectContentScript(tabId);
+  }
+  return sendToContentScript(tabId, { type });
+}
+
+// --- Hero screenshot ---
+
+// Wider captures (retina, large monitors) are scaled down to keep uploads small
+const SCREENSHOT_MAX_WIDTH = 1440;
+
+/**
+ * Capture the visible tab and crop it to the hero region reported by the
+ * fingerprint (hero_rect × viewport_width). hero_rect is in document
+ * coordinates and the capture shows the tab at scroll_y, so the crop is
+ * shifted by the scroll position and clipped to what's on screen.
+ * Returns a PNG data URL, or null when the tab can't be captured (not the
+ * active tab, restricted page, capture quota) — a missing screenshot never
+ * fails the capture.
+ */
+async function captureHeroScreenshot(tabId, fingerprint) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) return null;
+
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: "png" });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+
+    // The capture is in device pixels; the fingerprint is in CSS pixels
+    const pixelRatio = bitmap.width / (fingerprint?.viewport_width || bitmap.width);
+    const scrollY = fingerprint?.scroll_y || 0;
+    const heroRect = fingerprint?.hero_rect || { top: scrollY, bottom: scrollY + bitmap.height / pixelRatio };
+    const cropTop = Math.max(0, Math.round((heroRect.top - scrollY) * pixelRatio));
+    const cropBottom = Math.min(bitmap.height, Math.round((heroRect.bottom - scrollY) * pixelRatio));
+    const cropHeight = cropBottom - cropTop;
+    if (cropHeight <= 0) {
+      bitmap.close();
+      return null; // The hero is scrolled out of view
+    }
+    const outScale = Math.min(1, SCREENSHOT_MAX_WIDTH / bitmap.width);
+
+    const canvas = new OffscreenCanvas(
+      Math.round(bitmap.width * outScale),
+      Math.round(cropHeight * outScale)
+    );
+    canvas
+      .getContext("2d")
+      .drawImage(bitmap, 0, cropTop, bitmap.width, cropHeight, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type: "image/png" });
+    return await blobToDataUrl(blob);
+  } catch (err) {
+    console.warn("Hero screenshot failed:", err);
+    return null;
+  }
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return `data:${blob.type};base64,${btoa(binary)}`;
 }
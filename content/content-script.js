@@ -2,1754 +2,5077 @@
  * HeroCapture Content Script
  * Extracts DOM fingerprint data from the current page's hero section.
  * This code runs in the context of the active tab.
+ *
+ * The fingerprint is assembled by a registry of named detectors (see
+ * getDetectors). Each detector declares the context values it reads
+ * (`inputs`), the context values it hands to later detectors (`provides`)
+ * and the fingerprint keys it writes (`outputs`). Detectors run in
+ * dependency order; one that throws only loses its own outputs and those of
+ * the detectors depending on it.
+ *
+ * The service worker re-injects this file on every capture, so top-level
+ * declarations are limited to `function` and `var` — a top-level const/let
+ * would throw on the second injection.
  */
 
-function extractFingerprint() {
-        const viewportHeight = window.innerHeight || 900;
-        const viewportWidth = window.innerWidth || 1440;
+var FINGERPRINT_VERSION = 2;
 
-        const isVisible = (el) => {
-          const style = getComputedStyle(el);
-          if (style.display === "none" || style.visibility === "hidden") return false;
-          if (Number(style.opacity || 1) === 0) return false;
-          const r = el.getBoundingClientRect();
-          return r.width > 0 && r.height > 0;
+// Headline sanity: cap overly long text (SPA wrappers, Webflow artifacts)
+var MAX_HEADLINE_WORDS = 30;
+
+// Max iframe nesting the extractor follows; deeper frames are almost never hero content
+var MAX_FRAME_DEPTH = 3;
+
+// Palette cap: past this the tail is mostly hover states and one-off accents
+var MAX_PALETTE_COLORS = 12;
+
+// FAQPage JSON-LD can list dozens of questions; the first few carry the positioning
+var MAX_FAQ_ITEMS = 10;
+
+// Marks overlays hidden for a capture; the value records how to restore them
+var OVERLAY_HIDDEN_ATTR = "data-herocapture-hidden";
+
+// A fixed layer covering this share of the viewport reads as a modal
+var OVERLAY_MODAL_AREA_RATIO = 0.3;
+
+// Generic overlay candidates: inline-fixed layers, dialogs and the class
+// names banners and popups go by. Anything else is only checked within
+// OVERLAY_WALK_DEPTH levels of <body>, where portals mount them
+var OVERLAY_CANDIDATE_SELECTOR = [
+  "[style*='fixed' i]", "[role='dialog']", "[role='alertdialog']", "[aria-modal='true']", "dialog[open]",
+  "[class*='cookie' i]", "[id*='cookie' i]", "[class*='consent' i]", "[id*='consent' i]",
+  "[class*='gdpr' i]", "[class*='modal' i]", "[class*='popup' i]", "[id*='popup' i]",
+  "[class*='newsletter' i]", "[class*='overlay' i]",
+].join(", ");
+var OVERLAY_WALK_DEPTH = 3;
+
+// --- Shared helpers ---
+
+function isVisible(el) {
+  const style = getComputedStyle(el);
+  if (style.display === "none" || style.visibility === "hidden") return false;
+  if (Number(style.opacity || 1) === 0) return false;
+  const r = viewportRect(el);
+  return r.width > 0 && r.height > 0;
+}
+
+function isFixedOrSticky(el) {
+  const style = getComputedStyle(el);
+  return style.position === "fixed" || style.position === "sticky";
+}
+
+function cleanText(text) {
+  return text.replace(/\s+/g, " ").replace(/[^\S\r\n]+/g, " ").trim();
+}
+
+// Whitespace-separated words, or the pack's word segmenter for languages
+// written without spaces (see compileVocabulary)
+function wordCount(text, vocab) {
+  if (vocab?.wordSegmenter) {
+    return Array.from(vocab.wordSegmenter.segment(text || "")).filter((s) => s.isWordLike).length;
+  }
+  return (text || "").split(/\s+/).filter(Boolean).length;
+}
+
+function inNavOrHeader(el) {
+  const viewportWidth = window.innerWidth || 1440;
+  // Semantic nav / footer — NOT <header> or <aside> because some sites
+  // wrap the entire hero inside these (e.g. Webflow uses <aside> for
+  // sticky hero sections, many sites wrap hero in <header>). We handle
+  // them separately with size checks below.
+  if (el.closest(
+    "nav, footer, [role='navigation'], [role='menubar'], [role='menu'], [role='toolbar'], [aria-label*='nav' i], [aria-label*='menu' i], [data-testid*='nav' i], [data-testid*='header' i]"
+  )) return true;
+  // For <header>: only flag if the header is short (nav-height, not hero-height)
+  const header = el.closest("header");
+  if (header) {
+    const hRect = viewportRect(header);
+    if (hRect.height < 150) return true;
+  }
+  // For <aside>: only flag if it's narrow (sidebar-width) or short.
+  // Full-width/tall <aside> elements are often used as hero wrappers
+  // (e.g. Webflow's <aside class="home-hero-sticky">).
+  const aside = el.closest("aside");
+  if (aside) {
+    const aRect = viewportRect(aside);
+    if (aRect.width < viewportWidth * 0.5 || aRect.height < 150) return true;
+  }
+  // Class/id-based nav detection (Webflow, Framer, custom sites)
+  const navClassRegex = /\b(nav|navbar|navigation|menu|topbar|top-bar|site-header|masthead|toolbar)\b/i;
+  let node = el;
+  while (node && node !== document.body) {
+    const cls = (node.className || "").toString();
+    const id = (node.id || "").toString();
+    if (navClassRegex.test(cls) || navClassRegex.test(id)) {
+      // Verify it looks like a nav bar: at the top and short
+      const r = viewportRect(node);
+      if (r.top < 120 && r.height < 150) return true;
+    }
+    node = node.parentElement;
+  }
+  return false;
+}
+
+// Framer sites use data-framer-name; extend inNavOrHeader to detect
+// Framer footer/nav sections that lack semantic HTML tags.
+function inFramerNavOrFooter(el) {
+  let node = el;
+  while (node && node !== document.body) {
+    const framerName = (node.getAttribute("data-framer-name") || "").toLowerCase();
+    if (/\b(footer|nav|navbar|navigation|menu|header)\b/.test(framerName)) {
+      // For "header" Framer names, only flag as nav if it's short (nav-like)
+      if (/\bheader\b/.test(framerName)) {
+        const r = viewportRect(node);
+        if (r.height >= 150) { node = node.parentElement; continue; }
+      }
+      return true;
+    }
+    node = node.parentElement;
+  }
+  return false;
+}
+
+// Content-based footer heuristic: detect elements whose text is
+// predominantly footer/legal content (copyright, "all rights reserved",
+// long lists of nav words). These leak through on Framer/SPA sites
+// where the footer is a plain <div> with no semantic role.
+function looksLikeFooterContent(el, vocab) {
+  const text = (el.innerText || "").trim();
+  if (!text) return false;
+  // Copyright notices are a dead giveaway
+  if (/©/.test(text) || vocab.copyright.test(text)) return true;
+  return false;
+}
+
+// Nav-word heuristic: text containing many navigation keywords is likely nav, not hero copy
+function looksLikeNavText(text, vocab) {
+  if (!text) return false;
+  const navWords = new RegExp(vocab.navWords.source, "gi");
+  const matches = text.match(navWords) || [];
+  // If ≥ 3 nav words and they make up ≥ 25% of the text, it's nav-like
+  return matches.length >= 3 && matches.length / Math.max(1, wordCount(text, vocab)) >= 0.25;
+}
+
+// Extract only direct text from an element, stripping nested link/button/nav text
+function getDirectHeadlineText(el) {
+  if (!el) return "";
+  const clone = el.cloneNode(true);
+  // Remove skip-to-content links (accessibility anchors)
+  clone.querySelectorAll("a[href^='#']").forEach((a) => {
+    const t = (a.innerText || "").toLowerCase();
+    if (/skip\s*(to)?\s*(main|content|navigation)/i.test(t)) a.remove();
+  });
+  // Remove any nested nav-like elements (links in bulk, buttons, etc.)
+  const links = clone.querySelectorAll("a, button, [role='button'], nav, header");
+  // Only strip links if there are many (nav bars) — a single link wrapping headline text is fine
+  if (links.length >= 3) {
+    links.forEach((n) => n.remove());
+  }
+  const text = cleanText(clone.innerText || "");
+  // If after stripping we still have meaningful text, use it
+  if (text && text.split(/\s+/).filter(Boolean).length >= 2) return text;
+  // Otherwise fall back to original (the H1 might be a single link wrapping the headline)
+  return cleanText(el.innerText || "");
+}
+
+function truncateHeadline(text) {
+  if (!text) return text;
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length <= MAX_HEADLINE_WORDS) return text;
+  const sentenceMatch = text.match(/^[^.!?]+[.!?]/);
+  if (sentenceMatch && sentenceMatch[0].split(/\s+/).length <= MAX_HEADLINE_WORDS) {
+    return sentenceMatch[0].trim();
+  }
+  return words.slice(0, 15).join(" ");
+}
+
+// --- Color helpers ---
+
+// Parse an rgb/rgba string into {r,g,b,a} or null
+function parseRgba(str) {
+  const m = (str || "").match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\s*\)/i);
+  if (!m) return null;
+  return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]), a: m[4] !== undefined ? Number(m[4]) : 1 };
+}
+
+// Parse an hsl/hsla string into {r,g,b,a}
+function parseHsla(str) {
+  const m = (str || "").match(/hsla?\(([\d.]+)(?:deg)?\s*[\s,]\s*([\d.]+)%\s*[\s,]\s*([\d.]+)%(?:\s*[\s,/]\s*([\d.]+%?))?\s*\)/i);
+  if (!m) return null;
+  const h = Number(m[1]) / 360;
+  const s = Number(m[2]) / 100;
+  const l = Number(m[3]) / 100;
+  const a = m[4] !== undefined ? (m[4].endsWith("%") ? Number(m[4].slice(0, -1)) / 100 : Number(m[4])) : 1;
+  const hue2rgb = (p, q, t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  let rr, gg, bb;
+  if (s === 0) {
+    rr = gg = bb = l;
+  } else {
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    rr = hue2rgb(p, q, h + 1 / 3);
+    gg = hue2rgb(p, q, h);
+    bb = hue2rgb(p, q, h - 1 / 3);
+  }
+  return { r: Math.round(rr * 255), g: Math.round(gg * 255), b: Math.round(bb * 255), a };
+}
+
+// Parse any CSS color token (rgb/rgba/hsl/hsla)
+function parseColor(str) {
+  return parseRgba(str) || parseHsla(str);
+}
+
+// Parse a single CSS color token (including hex) into {r,g,b,a}
+function parseAnyColor(str) {
+  const parsed = parseColor(str);
+  if (parsed) return parsed;
+  if (str && str.startsWith("#")) {
+    const hex = str.slice(1);
+    let rr, gg, bb;
+    if (hex.length === 3) {
+      rr = parseInt(hex[0] + hex[0], 16);
+      gg = parseInt(hex[1] + hex[1], 16);
+      bb = parseInt(hex[2] + hex[2], 16);
+    } else if (hex.length >= 6) {
+      rr = parseInt(hex.slice(0, 2), 16);
+      gg = parseInt(hex.slice(2, 4), 16);
+      bb = parseInt(hex.slice(4, 6), 16);
+    } else {
+      return null;
+    }
+    return { r: rr, g: gg, b: bb, a: 1 };
+  }
+  return null;
+}
+
+// Extract all parsed color stops from a gradient string
+function gradientColors(gradientStr) {
+  const colorPattern = /(rgba?\([^)]+\)|hsla?\([^)]+\)|#[0-9a-fA-F]{3,8})/g;
+  const matches = gradientStr.match(colorPattern);
+  if (!matches || matches.length === 0) return [];
+  const colors = [];
+  for (const c of matches) {
+    const parsed = parseAnyColor(c);
+    if (parsed) colors.push(parsed);
+  }
+  return colors;
+}
+
+// Extract first color stop from a gradient string
+function firstGradientColor(gradientStr) {
+  const colors = gradientColors(gradientStr);
+  return colors.length > 0 ? colors[0] : null;
+}
+
+// Build a gradient tag like "pink-yellow-gradient" from color stops
+function buildGradientTag(gradientStr) {
+  const colors = gradientColors(gradientStr);
+  if (colors.length === 0) return null;
+  // Classify each stop, deduplicate while preserving order
+  const names = [];
+  for (const c of colors) {
+    const name = classifyColor(c);
+    if (name && (names.length === 0 || names[names.length - 1] !== name)) {
+      names.push(name);
+    }
+  }
+  if (names.length === 0) return null;
+  // Cap at 3 distinct colors to keep the tag readable
+  const unique = names.slice(0, 3);
+  return unique.join("-") + "-gradient";
+}
+
+// Classify an {r,g,b} into a named color label
+function classifyColor(c) {
+  if (!c) return null;
+  const { r, g, b } = c;
+  const maxC = Math.max(r, g, b);
+  const minC = Math.min(r, g, b);
+  const lum = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+  // Very dark
+  if (maxC <= 35 && (maxC - minC) <= 10) return "black";
+  // Only classify as generic "dark" when the color is desaturated.
+  // Chromatic dark colors (e.g. deep burgundy, navy) should fall
+  // through to the hue classification below so they get a real name.
+  const darkDelta = maxC - minC;
+  if (lum < 0.15 && darkDelta < 40) return "dark";
+
+  // Very light / white
+  if (minC >= 240) return "white";
+  if (lum > 0.9) return "off_white";
+
+  // Determine dominant hue
+  const delta = maxC - minC;
+  if (delta < 20) {
+    // Grey tones
+    return lum > 0.5 ? "light_grey" : "dark_grey";
+  }
+
+  let h = 0;
+  if (maxC === r) h = ((g - b) / delta) % 6;
+  else if (maxC === g) h = (b - r) / delta + 2;
+  else h = (r - g) / delta + 4;
+  h = Math.round(h * 60);
+  if (h < 0) h += 360;
+
+  // Map hue ranges to names
+  if (h < 15 || h >= 345) return lum > 0.6 ? "light_red" : "red";
+  if (h < 35) return lum > 0.6 ? "peach" : "orange";
+  if (h < 65) return lum > 0.6 ? "light_yellow" : "yellow";
+  if (h < 160) return lum > 0.6 ? "light_green" : "green";
+  if (h < 200) return lum > 0.6 ? "light_cyan" : "cyan";
+  if (h < 260) return lum > 0.6 ? "light_blue" : "blue";
+  if (h < 290) return lum > 0.6 ? "light_purple" : "purple";
+  if (h < 345) return lum > 0.6 ? "pink" : "magenta";
+  return null;
+}
+
+// Hex string for an {r,g,b} (alpha dropped)
+function colorToHex(c) {
+  return "#" + [c.r, c.g, c.b].map((v) => Math.round(v).toString(16).padStart(2, "0")).join("");
+}
+
+// Flatten a translucent color onto an opaque one
+function compositeColor(fg, bg) {
+  const a = fg.a ?? 1;
+  return {
+    r: fg.r * a + bg.r * (1 - a),
+    g: fg.g * a + bg.g * (1 - a),
+    b: fg.b * a + bg.b * (1 - a),
+    a: 1,
+  };
+}
+
+// WCAG 2.x relative luminance of an opaque {r,g,b}
+function relativeLuminance(c) {
+  const channel = (v) => {
+    const s = v / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+}
+
+// WCAG 2.x contrast ratio (1–21) between two opaque colors
+function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// WCAG 2.x level a ratio passes; large text is ≥24px, or ≥18.66px and bold
+function wcagLevel(ratio, largeText) {
+  if (ratio >= (largeText ? 4.5 : 7)) return "AAA";
+  if (ratio >= (largeText ? 3 : 4.5)) return "AA";
+  return "fail";
+}
+
+// Text color of an element against its effective background, with the
+// WCAG large-text flag that decides which threshold applies. Null when the
+// color can't be parsed.
+function textContrast(el) {
+  const style = getComputedStyle(el);
+  const text = parseColor(style.color);
+  if (!text) return null;
+  const bg = effectiveBackground(el);
+  const fg = compositeColor(text, bg);
+  const size = fontSizePx(el);
+  const largeText = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+  return { fg, bg, largeText, ratio: contrastRatio(fg, bg) };
+}
+
+// Background actually painted behind an element: walk up until an opaque
+// layer, compositing translucent ones on the way. Gradients count as their
+// first stop, as in the dark-theme check; images are not sampled.
+function effectiveBackground(el) {
+  const layers = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const style = getComputedStyle(node);
+    const solid = parseColor(style.backgroundColor);
+    const gradient = /gradient/i.test(style.backgroundImage || "")
+      ? firstGradientColor(style.backgroundImage)
+      : null;
+    const layer = gradient || (solid && solid.a > 0 ? solid : null);
+    if (!layer) continue;
+    layers.push(layer);
+    if ((layer.a ?? 1) >= 1) break;
+  }
+  // Browsers paint a white canvas under a transparent page
+  let color = { r: 255, g: 255, b: 255, a: 1 };
+  for (let i = layers.length - 1; i >= 0; i--) color = compositeColor(layers[i], color);
+  return color;
+}
+
+// --- CTA styling helpers ---
+
+// Rendered styling of a CTA: fill, border, radius, padding, weight, icon, size.
+// `emphasis` is how far the button stands out from what's behind it
+// (contrast of its fill, or a fraction of its border's contrast); times its
+// area that gives `visual_weight`.
+function ctaStyle(el) {
+  const style = getComputedStyle(el);
+  const r = viewportRect(el);
+  const behind = effectiveBackground(el.parentElement);
+
+  const solid = parseColor(style.backgroundColor);
+  const gradient = /gradient/i.test(style.backgroundImage || "")
+    ? firstGradientColor(style.backgroundImage)
+    : null;
+  const fill = gradient || (solid && solid.a > 0 ? solid : null);
+  const fillContrast = fill ? contrastRatio(compositeColor(fill, behind), behind) : 1;
+
+  const borderWidth = parseFloat(style.borderTopWidth) || 0;
+  const borderColor = parseColor(style.borderTopColor);
+  const hasBorder = borderWidth > 0 && style.borderTopStyle !== "none" && !!borderColor && borderColor.a > 0;
+  const borderContrast = hasBorder ? contrastRatio(compositeColor(borderColor, behind), behind) : 1;
+
+  const emphasis = Math.max(fillContrast, 1 + (borderContrast - 1) * 0.25);
+  const px = (value) => Math.round(parseFloat(value) || 0);
+
+  return {
+    fill: fill ? colorToHex(fill) : null,
+    fill_gradient: !!gradient,
+    fill_contrast: Number(fillContrast.toFixed(2)),
+    border: hasBorder ? { width: px(style.borderTopWidth), color: colorToHex(borderColor) } : null,
+    border_radius: px(style.borderTopLeftRadius),
+    padding: {
+      top: px(style.paddingTop),
+      right: px(style.paddingRight),
+      bottom: px(style.paddingBottom),
+      left: px(style.paddingLeft),
+    },
+    font_weight: Number(style.fontWeight) || null,
+    has_icon: !!el.querySelector("svg, img, i, [class*='icon' i]"),
+    size: { width: Math.round(r.width), height: Math.round(r.height) },
+    visual_weight: Math.round((r.width * r.height * emphasis) / 100),
+    emphasis: Number(emphasis.toFixed(2)),
+  };
+}
+
+// Label each CTA detail primary / secondary / text_link by how it looks.
+// Visibly filled buttons compete for primary — the heaviest wins and the
+// rest are secondary; outlined, faintly filled or padded-but-bare CTAs are
+// secondary (ghost); everything else reads as a text link.
+function assignCtaHierarchy(details) {
+  const filled = details.filter((d) => d.fill && d.fill_contrast >= 1.3);
+  const loudest = filled.sort((a, b) => b.visual_weight - a.visual_weight)[0] || null;
+  for (const d of details) {
+    const buttonShaped = d.border || d.fill || d.padding.top + d.padding.bottom >= 12;
+    d.hierarchy = d === loudest ? "primary" : buttonShaped ? "secondary" : "text_link";
+  }
+  return loudest;
+}
+
+// --- Typography helpers ---
+
+// Computed font size in CSS px (0 when it can't be read)
+function fontSizePx(el) {
+  return parseFloat(getComputedStyle(el).fontSize || "0") || 0;
+}
+
+// First family of a computed font-family stack, unquoted
+function firstFontFamily(fontFamily) {
+  const first = (fontFamily || "").split(",")[0] || "";
+  return first.trim().replace(/^["']|["']$/g, "") || null;
+}
+
+// Computed text styles for one element. line_height is a multiple of the
+// font size (null for "normal"); letter_spacing is in px (0 for "normal").
+function textStyle(el, webFontFamilies) {
+  if (!el) return null;
+  const style = getComputedStyle(el);
+  const size = fontSizePx(el);
+  const lineHeight = parseFloat(style.lineHeight);
+  const family = firstFontFamily(style.fontFamily);
+  return {
+    font_family: family,
+    web_font: !!family && webFontFamilies.has(family.toLowerCase()),
+    font_size: Number(size.toFixed(1)),
+    font_weight: Number(style.fontWeight) || null,
+    line_height: Number.isFinite(lineHeight) && size > 0 ? Number((lineHeight / size).toFixed(2)) : null,
+    letter_spacing: Number((parseFloat(style.letterSpacing) || 0).toFixed(2)),
+    text_transform: style.textTransform || "none",
+  };
+}
+
+// --- Deep DOM helpers (open shadow roots, same-origin iframes) ---
+
+// Bounding rect in the top window's viewport. Elements inside same-origin
+// iframes report rects relative to their own frame, so add each frame's
+// offset on the way up.
+function viewportRect(el) {
+  const rect = el.getBoundingClientRect();
+  let frame = el.ownerDocument?.defaultView?.frameElement;
+  if (!frame) return rect;
+  let top = rect.top;
+  let left = rect.left;
+  while (frame) {
+    const f = frame.getBoundingClientRect();
+    top += f.top + frame.clientTop;
+    left += f.left + frame.clientLeft;
+    frame = frame.ownerDocument?.defaultView?.frameElement;
+  }
+  return {
+    top,
+    left,
+    bottom: top + rect.height,
+    right: left + rect.width,
+    width: rect.width,
+    height: rect.height,
+    x: left,
+    y: top,
+  };
+}
+
+// Where an element was found: the page itself, an open shadow root, or a
+// same-origin iframe
+function elementSource(el) {
+  if (el.ownerDocument !== document) return "iframe";
+  if (el.getRootNode() instanceof ShadowRoot) return "shadow";
+  return "document";
+}
+
+// querySelectorAll across the page and every extra search root (see
+// detectSearchRoots), in root order
+function queryAllDeep(searchRoots, selector) {
+  return searchRoots.flatMap(({ root }) => Array.from(root.querySelectorAll(selector)));
+}
+
+// --- Geometry helpers ---
+
+function roundFraction(value) {
+  return Number(value.toFixed(4));
+}
+
+// A box in CSS px, plus the same box as fractions of the viewport
+function toGeometryRect(rect, viewportWidth, viewportHeight) {
+  if (!rect) return null;
+  return {
+    top: Math.round(rect.top),
+    left: Math.round(rect.left),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    viewport: {
+      top: roundFraction(rect.top / viewportHeight),
+      left: roundFraction(rect.left / viewportWidth),
+      width: roundFraction(rect.width / viewportWidth),
+      height: roundFraction(rect.height / viewportHeight),
+    },
+  };
+}
+
+// Smallest box containing every rect
+function unionRect(rects) {
+  if (rects.length === 0) return null;
+  const top = Math.min(...rects.map((r) => r.top));
+  const left = Math.min(...rects.map((r) => r.left));
+  const bottom = Math.max(...rects.map((r) => r.bottom));
+  const right = Math.max(...rects.map((r) => r.right));
+  return { top, left, width: right - left, height: bottom - top };
+}
+
+// --- Page metadata helpers ---
+
+function metaContent(selector) {
+  const value = document.querySelector(selector)?.getAttribute("content");
+  return value ? value.trim() : null;
+}
+
+function absoluteUrl(value) {
+  if (!value) return null;
+  try {
+    return new URL(value, document.baseURI).href;
+  } catch (err) {
+    return null;
+  }
+}
+
+// JSON-LD values can be a string, a nested node ({ "@type": "ImageObject",
+// url }) or an array of either; reduce to the first plain string
+function ldText(value) {
+  if (value == null) return null;
+  if (Array.isArray(value)) return ldText(value[0]);
+  if (typeof value === "object") return ldText(value.name || value.url || value["@id"]);
+  const text = String(value)
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/ ([.,;:!?])/g, "$1")
+    .trim();
+  return text || null;
+}
+
+function ldTypes(node) {
+  const type = node?.["@type"];
+  return (Array.isArray(type) ? type : [type]).filter(Boolean).map(String);
+}
+
+// Every node in the page's JSON-LD blocks, with arrays and @graph flattened.
+// Unparseable blocks are skipped — plenty of sites ship broken JSON-LD.
+function jsonLdNodes() {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== "object") return;
+    nodes.push(value);
+    if (value["@graph"]) visit(value["@graph"]);
+  };
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      visit(JSON.parse(script.textContent || ""));
+    } catch (err) {
+      // Skip invalid block
+    }
+  }
+  return nodes;
+}
+
+function ldOffer(offers) {
+  const offer = Array.isArray(offers) ? offers[0] : offers;
+  if (!offer || typeof offer !== "object") return null;
+  return {
+    price: ldText(offer.price ?? offer.lowPrice),
+    currency: ldText(offer.priceCurrency),
+  };
+}
+
+function ldRating(rating) {
+  if (!rating || typeof rating !== "object") return null;
+  return {
+    value: Number(rating.ratingValue) || null,
+    count: Number(rating.ratingCount ?? rating.reviewCount) || null,
+  };
+}
+
+// --- Language helpers ---
+
+// Pack merged under every other pack, and used when nothing better is known
+var DEFAULT_LANGUAGE_PACK = "en";
+
+// How each language-pack vocabulary is anchored when compiled:
+//   start — the text begins with one of the alternatives (CTA verbs)
+//   exact — the whole (trimmed) text is one of the alternatives
+//   word  — an alternative appears as whole words anywhere in the text
+//   any   — an alternative appears anywhere, even mid-word
+var VOCAB_MODES = {
+  copyright: "word",
+  navWords: "word",
+  legalLinks: "any",
+  footerLinks: "exact",
+  utilityLinks: "start",
+  actionWords: "start",
+  oauthCta: "any",
+  primaryCta: "start",
+  ctaSelfServe: "start",
+  ctaSalesLed: "start",
+  ctaInformational: "start",
+  ctaPhrases: "exact",
+  navLinks: "exact",
+  pricing: "any",
+  proofClaims: "any",
+  promo: "word",
+  transactionalCta: "start",
+  addToCart: "exact",
+  trust: "word",
+  errorPage: "word",
+  errorBlocked: "any",
+  errorNotFound: "any",
+  errorServer: "any",
+  formWaitlist: "any",
+  formNewsletter: "any",
+  formConsent: "any",
+  cookieNotice: "word",
+  consentButton: "exact",
+  faq: "word",
+  comparison: "word",
+  billingMonthly: "word",
+  billingAnnual: "word",
+  billingDiscount: "any",
+  planHighlight: "word",
+  customPrice: "any",
+  freePrice: "word",
+  login: "start",
+  bulletHint: "start",
+  bulletAction: "start",
+};
+
+// Letters that continue a word for "word" vocabularies: \b treats accented
+// Latin letters (ü, é, ã) as word breaks, which would split "prüfen"
+var VOCAB_WORD_CHARS = "A-Za-z0-9\\u00C0-\\u024F";
+
+/**
+ * Compile the vocabularies of the given packs (most specific first) into one
+ * RegExp per VOCAB_MODES key. Alternatives from every pack are merged, so an
+ * English CTA on a German page still counts. `wordSegmenter` is an
+ * Intl.Segmenter when the first pack is written without spaces, for
+ * wordCount.
+ */
+function compileVocabulary(packCodes) {
+  const packs = typeof LANGUAGE_PACKS !== "undefined" ? LANGUAGE_PACKS : {};
+  const selected = [...new Set(packCodes)].map((code) => packs[code]).filter(Boolean);
+  const vocab = {};
+  for (const [key, mode] of Object.entries(VOCAB_MODES)) {
+    const parts = selected
+      .filter((pack) => pack.vocab?.[key]?.length)
+      .map((pack) => {
+        const group = `(?:${pack.vocab[key].join("|")})`;
+        return mode === "word" && pack.wordBoundaries !== false
+          ? `(?<![${VOCAB_WORD_CHARS}])${group}(?![${VOCAB_WORD_CHARS}])`
+          : group;
+      });
+    // (?!) never matches — a key no pack defines can't misfire
+    const body = parts.length > 0 ? parts.join("|") : "(?!)";
+    const source =
+      mode === "start" ? `^(?:${body})` : mode === "exact" ? `^(?:${body})$` : body;
+    vocab[key] = new RegExp(source, "i");
+  }
+  const primary = packCodes.find((code) => packs[code]);
+  vocab.wordSegmenter = packs[primary]?.wordBoundaries === false && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(primary, { granularity: "word" })
+    : null;
+  return vocab;
+}
+
+/**
+ * Best-guess pack code from the page text, or null when no pack is a clear
+ * winner. A pack's own writing system decides outright; otherwise the pack
+ * whose stopwords appear most often wins, if it clearly beats the runner-up.
+ */
+function guessTextLanguage(text) {
+  const packs = typeof LANGUAGE_PACKS !== "undefined" ? LANGUAGE_PACKS : {};
+  for (const [code, pack] of Object.entries(packs)) {
+    if (!pack.script) continue;
+    const chars = text.match(new RegExp(pack.script, "g")) || [];
+    if (chars.length >= 20) return code;
+  }
+
+  const words = text.toLowerCase().match(/[a-zÀ-ɏ]+/g) || [];
+  const scores = Object.entries(packs)
+    .map(([code, pack]) => {
+      const stopwords = new Set(pack.stopwords || []);
+      return { code, hits: words.filter((w) => stopwords.has(w)).length };
+    })
+    .sort((a, b) => b.hits - a.hits);
+  const [best, runnerUp] = scores;
+  if (!best || best.hits < 8) return null;
+  if (runnerUp && best.hits < runnerUp.hits * 1.5) return null;
+  return best.code;
+}
+
+// --- Detectors ---
+
+function detectLanguage() {
+  const packs = typeof LANGUAGE_PACKS !== "undefined" ? LANGUAGE_PACKS : {};
+  const htmlLang = document.documentElement.getAttribute("lang") || null;
+  const primary = (htmlLang || "").trim().toLowerCase().split(/[-_]/)[0];
+
+  let pack = null;
+  let source = "fallback";
+  if (packs[primary]) {
+    pack = primary;
+    source = "html_lang";
+  } else {
+    pack = guessTextLanguage((document.body?.innerText || "").slice(0, 5000));
+    if (pack) source = "text";
+  }
+  pack = pack || DEFAULT_LANGUAGE_PACK;
+
+  return {
+    vocab: compileVocabulary([pack, DEFAULT_LANGUAGE_PACK]),
+    language: {
+      pack,
+      name: packs[pack]?.name || null,
+      source,
+      html_lang: htmlLang,
+    },
+  };
+}
+
+/**
+ * Consent banners, newsletter popups and chat launchers layered over the
+ * page: known consent managers and chat widgets (OVERLAY_SIGNATURES), plus
+ * generic fixed layers that are dialogs, or popups (dialog role, backdrop
+ * or large) asking for cookie consent or a newsletter signup — a consent
+ * banner may also be a plain bar with accept/reject buttons.
+ * Returns the outermost visible element of each as
+ * [{ el, name, kind: consent | newsletter | chat | modal }].
+ */
+function findPageOverlays(vocab) {
+  const signatures = typeof OVERLAY_SIGNATURES !== "undefined" ? OVERLAY_SIGNATURES : [];
+  const viewportArea = (window.innerWidth || 1440) * (window.innerHeight || 900);
+  const found = [];
+  const covered = (el) =>
+    Boolean(el.closest(`[${OVERLAY_HIDDEN_ATTR}]`)) || found.some((o) => o.el === el || o.el.contains(el));
+
+  for (const sig of signatures) {
+    for (const el of document.querySelectorAll(sig.selectors.join(", "))) {
+      if (covered(el) || !isVisible(el)) continue;
+      // A later, outer match replaces the inner ones it contains
+      for (let i = found.length - 1; i >= 0; i--) {
+        if (el.contains(found[i].el)) found.splice(i, 1);
+      }
+      found.push({ el, name: sig.name, kind: sig.kind });
+    }
+  }
+
+  const candidates = new Set();
+  const walk = (parent, depth) => {
+    for (const child of parent.children) {
+      candidates.add(child);
+      if (depth < OVERLAY_WALK_DEPTH) walk(child, depth + 1);
+    }
+  };
+  if (document.body) walk(document.body, 1);
+  for (const el of document.body?.querySelectorAll(OVERLAY_CANDIDATE_SELECTOR) || []) candidates.add(el);
+
+  // Document order keeps outer layers ahead of the ones inside them
+  const ordered = [...candidates].sort((a, b) =>
+    a === b ? 0 : a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+  for (const el of ordered) {
+    if (el.id?.startsWith("herocapture") || covered(el)) continue;
+    if (getComputedStyle(el).position !== "fixed" || !isVisible(el)) continue;
+    // Fixed site headers and anything holding the headline stay in the page
+    if (el.matches("header, nav") || el.querySelector("nav, h1")) continue;
+    const text = cleanText(el.innerText || "").slice(0, 1500);
+    const r = viewportRect(el);
+    const isDialogRole = el.matches('[role="dialog"], [role="alertdialog"], [aria-modal="true"], dialog[open]');
+    const isLarge = r.width * r.height >= viewportArea * OVERLAY_MODAL_AREA_RATIO;
+    // A fixed sibling dimming the whole viewport behind it
+    const hasBackdrop = Array.from(el.parentElement?.children || []).some((sib) => {
+      if (sib === el || getComputedStyle(sib).position !== "fixed") return false;
+      const b = viewportRect(sib);
+      return b.width * b.height >= viewportArea * 0.9;
+    });
+    const isDialog = isDialogRole || (isLarge && (Number(getComputedStyle(el).zIndex) || 0) >= 100);
+    // A "Cookie policy" link in a sticky footer isn't a consent prompt
+    const hasConsentButton = Array.from(el.querySelectorAll("button, [role='button'], input[type='button'], input[type='submit']"))
+      .some((b) => vocab.consentButton.test(cleanText(b.innerText || b.value || "")));
+    let kind = null;
+    if (vocab.cookieNotice.test(text) && (hasConsentButton || isDialogRole || hasBackdrop || isLarge)) kind = "consent";
+    // "Subscribe" alone also labels sticky CTA bars; a popup has to look like one
+    else if ((vocab.formNewsletter.test(text) || vocab.formWaitlist.test(text)) && (isDialogRole || hasBackdrop || isLarge)) {
+      kind = "newsletter";
+    } else if (isDialog) kind = "modal";
+    if (kind) found.push({ el, name: null, kind });
+  }
+  return found;
+}
+
+// Whether el sits inside one of the containers, crossing shadow roots
+function withinAny(el, containers) {
+  if (containers.length === 0) return false;
+  for (let node = el; node; node = node.parentElement || node.getRootNode?.().host) {
+    if (containers.includes(node)) return true;
+  }
+  return false;
+}
+
+function detectOverlays({ vocab }) {
+  const found = findPageOverlays(vocab);
+  // Hidden by hidePageOverlays for this capture, so no longer visible
+  const hidden = Array.from(document.querySelectorAll(`[${OVERLAY_HIDDEN_ATTR}]`)).map((el) => {
+    let saved = {};
+    try {
+      saved = JSON.parse(el.getAttribute(OVERLAY_HIDDEN_ATTR));
+    } catch {
+      saved = {};
+    }
+    return { name: saved.name || null, kind: saved.kind || null, handling: "hidden", element: describeElement(el) };
+  });
+
+  return {
+    overlayEls: found.map((o) => o.el),
+    overlays: [
+      ...hidden,
+      ...found.map((o) => ({ name: o.name, kind: o.kind, handling: "excluded", element: describeElement(o.el) })),
+    ],
+  };
+}
+
+/**
+ * Hide the page's overlays (display: none) until restorePageOverlays, so
+ * neither the extraction nor the screenshot sees them. The previous inline
+ * display is kept on the element.
+ */
+function hidePageOverlays() {
+  const { vocab } = detectLanguage();
+  for (const { el, name, kind } of findPageOverlays(vocab)) {
+    el.setAttribute(OVERLAY_HIDDEN_ATTR, JSON.stringify({
+      name,
+      kind,
+      display: el.style.getPropertyValue("display"),
+      priority: el.style.getPropertyPriority("display"),
+    }));
+    el.style.setProperty("display", "none", "important");
+  }
+}
+
+function restorePageOverlays() {
+  for (const el of document.querySelectorAll(`[${OVERLAY_HIDDEN_ATTR}]`)) {
+    let saved = {};
+    try {
+      saved = JSON.parse(el.getAttribute(OVERLAY_HIDDEN_ATTR));
+    } catch {
+      saved = {};
+    }
+    if (saved.display) el.style.setProperty("display", saved.display, saved.priority || "");
+    else el.style.removeProperty("display");
+    el.removeAttribute(OVERLAY_HIDDEN_ATTR);
+  }
+}
+
+function detectHeroBounds({ overlayEls }) {
+  const viewportHeight = window.innerHeight || 900;
+  const viewportWidth = window.innerWidth || 1440;
+
+  // Hero boundary: find the above-the-fold section.
+  // Walk visible top-level sections (or deeper if body has ≤3 children)
+  // and cap at ~1.15× viewport height to avoid spanning the entire page.
+  const heroMaxBottom = viewportHeight * 1.15;
+
+  let heroSections = Array.from(document.body?.children || []);
+  // If body has very few direct children (SPA wrappers), look one level deeper
+  if (heroSections.length <= 3) {
+    const deeper = [];
+    for (const wrapper of heroSections) {
+      const r = viewportRect(wrapper);
+      // If the wrapper is taller than the viewport, dig into its children
+      if (r.height > viewportHeight * 1.5 && wrapper.children.length > 1) {
+        deeper.push(...Array.from(wrapper.children));
+      } else {
+        deeper.push(wrapper);
+      }
+    }
+    if (deeper.length > heroSections.length) heroSections = deeper;
+  }
+
+  const sections = heroSections.map((el) => {
+    const r = viewportRect(el);
+    return {
+      el,
+      top: r.top,
+      height: r.height,
+      bottom: r.bottom,
+    };
+  });
+
+  let heroBottom = viewportHeight;
+  // What the hero sections actually cover — heroBottom never drops below
+  // the fold, so the screenshot crop uses this instead
+  let contentTop = Infinity;
+  let contentBottom = 0;
+  for (const s of sections) {
+    if (s.bottom <= 0) continue;
+    if (s.top >= heroMaxBottom) break;
+    heroBottom = Math.min(heroMaxBottom, Math.max(heroBottom, s.bottom));
+    contentTop = Math.min(contentTop, Math.max(0, s.top));
+    contentBottom = Math.max(contentBottom, Math.min(heroMaxBottom, s.bottom));
+  }
+  if (contentBottom <= contentTop) {
+    contentTop = 0;
+    contentBottom = viewportHeight;
+  }
+  const scrollY = window.scrollY || 0;
+
+  // Overlays are never hero content, wherever they're drawn
+  const inHero = (el) => {
+    if (withinAny(el, overlayEls)) return false;
+    const r = viewportRect(el);
+    return r.bottom > 0 && r.top < heroBottom;
+  };
+
+  const inFold = (el) => {
+    const r = viewportRect(el);
+    return r.bottom > 0 && r.top < viewportHeight;
+  };
+
+  const heroHeightRatio = Math.min(1, heroBottom / viewportHeight);
+
+  return {
+    viewportHeight,
+    viewportWidth,
+    heroMaxBottom,
+    heroBottom,
+    heroSections: heroSections.filter((el) => inHero(el)),
+    inHero,
+    inFold,
+    hero_height_ratio: Number(heroHeightRatio.toFixed(2)),
+    hero_bottom: Math.round(heroBottom),
+    // Document coordinates (CSS px from the top of the page)
+    hero_rect: { top: Math.round(contentTop + scrollY), bottom: Math.round(contentBottom + scrollY) },
+    scroll_y: Math.round(scrollY),
+    viewport_width: viewportWidth,
+    viewport_height: viewportHeight,
+  };
+}
+
+/**
+ * Collect the roots detectors search besides the page itself: open shadow
+ * roots whose host sits in the hero, and the documents of same-origin
+ * iframes in the hero (cross-origin frames throw on access and are skipped).
+ * Closed shadow roots aren't reachable from script.
+ */
+function detectSearchRoots({ inHero }) {
+  const searchRoots = [{ root: document, source: "document" }];
+  let shadowRootCount = 0;
+  let iframeCount = 0;
+
+  const visit = (root, depth) => {
+    const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+      if (el.shadowRoot && inHero(el)) {
+        searchRoots.push({ root: el.shadowRoot, source: "shadow" });
+        shadowRootCount += 1;
+        visit(el.shadowRoot, depth);
+      }
+      if (el.tagName === "IFRAME" && depth < MAX_FRAME_DEPTH && inHero(el)) {
+        let frameDoc = null;
+        try {
+          frameDoc = el.contentDocument;
+        } catch {
+          frameDoc = null;
+        }
+        if (frameDoc?.documentElement) {
+          searchRoots.push({ root: frameDoc, source: "iframe" });
+          iframeCount += 1;
+          visit(frameDoc, depth + 1);
+        }
+      }
+    }
+  };
+  visit(document, 0);
+
+  return {
+    searchRoots,
+    dom_sources: { shadow_roots: shadowRootCount, iframes: iframeCount },
+  };
+}
+
+function detectHeroTextNodes({ inHero, searchRoots, vocab }) {
+  const heroTextNodes = queryAllDeep(searchRoots, "h1, h2, h3, p, span, div").filter((el) =>
+    inHero(el) &&
+    !inNavOrHeader(el) &&
+    !inFramerNavOrFooter(el) &&
+    !looksLikeFooterContent(el, vocab) &&
+    isVisible(el) &&
+    !isFixedOrSticky(el)
+  );
+  return { heroTextNodes };
+}
+
+function detectHeadline({ heroTextNodes, viewportWidth, vocab }) {
+  const h1 = heroTextNodes.find((el) => el.tagName === "H1");
+  let headline = h1 ? getDirectHeadlineText(h1) : null;
+  let headlineEl = h1 || null;
+  // Human-readable note on which path picked the headline (inspect overlay)
+  let headlineStrategy = h1 ? "H1" : null;
+
+  // Framer / animated-word sites often split the headline across
+  // multiple elements (one per word or line) inside a container.
+  // If the H1 text is suspiciously short, try to grab the full
+  // headline from the nearest RichTextContainer or heading wrapper.
+  if (h1 && headline && headline.split(/\s+/).filter(Boolean).length <= 2) {
+    // Strategy 1: Framer RichTextContainer
+    const rtc = h1.closest('[data-framer-component-type="RichTextContainer"]');
+    if (rtc) {
+      const full = cleanText(rtc.innerText || "");
+      if (full.length > headline.length && full.split(/\s+/).filter(Boolean).length <= MAX_HEADLINE_WORDS) {
+        headline = full;
+        headlineStrategy = "H1 expanded to its Framer RichTextContainer (Strategy 1)";
+      }
+    }
+    // Strategy 2: Walk up to the nearest wrapper that has more
+    // heading-level text (covers Webflow/generic animated headings)
+    if (headline.split(/\s+/).filter(Boolean).length <= 2) {
+      let wrapper = h1.parentElement;
+      while (wrapper && wrapper !== document.body) {
+        const wText = cleanText(wrapper.innerText || "");
+        const wWords = wText.split(/\s+/).filter(Boolean).length;
+        // Stop expanding if we've hit nav-like text or too much content
+        if (looksLikeNavText(wText, vocab) || wWords > MAX_HEADLINE_WORDS) break;
+        if (wWords > headline.split(/\s+/).filter(Boolean).length && wWords <= MAX_HEADLINE_WORDS) {
+          headline = wText;
+          headlineStrategy = "H1 expanded to its wrapper's text (Strategy 2)";
+        }
+        // Don't go higher than a section-level container
+        const tag = wrapper.tagName;
+        if (tag === "SECTION" || tag === "HEADER" || tag === "MAIN" || tag === "ARTICLE") break;
+        wrapper = wrapper.parentElement;
+      }
+    }
+  }
+
+  // Discard if the h1 captured the entire page (Webflow/SPA issue)
+  if (headline && headline.split(/\s+/).filter(Boolean).length > MAX_HEADLINE_WORDS) {
+    headline = null;
+    headlineEl = null;
+    headlineStrategy = "H1 discarded: longer than " + MAX_HEADLINE_WORDS + " words";
+  }
+  // Discard if the headline is just nav text
+  if (headline && looksLikeNavText(headline, vocab)) {
+    headline = null;
+    headlineEl = null;
+    headlineStrategy = "H1 discarded: looks like nav text";
+  }
+
+  const candidates = heroTextNodes
+    .map((el) => ({
+      el,
+      text: cleanText(el.innerText || ""),
+      directText: getDirectHeadlineText(el),
+      size: fontSizePx(el),
+      top: viewportRect(el).top,
+    }))
+    // Exclude pure numbers/metrics (e.g. "412", "$2.2B") and very short strings
+    .filter((c) => c.text.length > 3 && /\p{L}{2,}/u.test(c.text))
+    // Exclude nav-like text
+    .filter((c) => !looksLikeNavText(c.text, vocab))
+    // Cap overly long candidates
+    .filter((c) => wordCount(c.text, vocab) <= MAX_HEADLINE_WORDS)
+    .sort((a, b) => b.size - a.size);
+  const best = candidates[0];
+  let largestText = null;
+  if (best) {
+    const direct = best.directText;
+    largestText = (direct && !looksLikeNavText(direct, vocab) && wordCount(direct, vocab) >= 2)
+      ? direct
+      : best.text;
+  }
+  if (largestText) largestText = truncateHeadline(largestText);
+
+  const h1Rect = h1 ? viewportRect(h1) : null;
+  const h1FontSize = h1 ? fontSizePx(h1) : 0;
+  const h1IsLink = h1 ? !!h1.closest("a") || !!h1.querySelector("a") : false;
+  const h1LooksSticky = h1 ? isFixedOrSticky(h1) || isFixedOrSticky(h1.parentElement) : false;
+  const h1LikelyNav =
+    !!h1 &&
+    (inNavOrHeader(h1) ||
+      inFramerNavOrFooter(h1) ||
+      h1LooksSticky ||
+      (h1Rect && h1Rect.top < 90 && h1Rect.height < 90 && h1Rect.width < viewportWidth * 0.5));
+  const headlineLooksLikeLogo = Boolean(
+    h1 &&
+    headline &&
+    wordCount(headline, vocab) <= 3 &&
+    h1Rect &&
+    h1Rect.top < 120 &&
+    h1Rect.height < 90 &&
+    h1FontSize <= 28 &&
+    (h1IsLink || h1Rect.width < viewportWidth * 0.35)
+  );
+  const candidateBeatsH1 = Boolean(
+    best &&
+    largestText &&
+    (!h1Rect || best.top >= h1Rect.bottom + 20) &&
+    (h1FontSize === 0 || best.size >= h1FontSize + 4)
+  );
+  const candidateClearlyBetter = Boolean(
+    best &&
+    largestText &&
+    h1Rect &&
+    best.top >= h1Rect.bottom + 24 &&
+    best.size >= h1FontSize + 8
+  );
+
+  if ((headlineLooksLikeLogo && candidateBeatsH1) || (h1LikelyNav && candidateBeatsH1) || candidateClearlyBetter) {
+    headline = largestText;
+    headlineEl = best.el;
+    headlineStrategy = "Largest text instead of H1: " + (
+      headlineLooksLikeLogo && candidateBeatsH1 ? "H1 looks like a logo" :
+      h1LikelyNav && candidateBeatsH1 ? "H1 looks like nav" :
+      "candidate is clearly larger and below the H1"
+    );
+  }
+
+  if (!headline && largestText) {
+    headline = largestText;
+    headlineEl = best ? best.el : null;
+    headlineStrategy = "Largest-text fallback" + (headlineStrategy ? ` (${headlineStrategy})` : " (no H1 in hero)");
+  }
+
+  const headlineRect = headlineEl ? viewportRect(headlineEl) : null;
+
+  return {
+    h1,
+    headline,
+    headlineEl,
+    headlineRect,
+    headlineStrategy: headline ? headlineStrategy : null,
+    headline_word_count: wordCount(headline, vocab),
+    headline_strategy: headline ? headlineStrategy : null,
+    headline_source: headline && headlineEl ? elementSource(headlineEl) : null,
+  };
+}
+
+function detectHeroText({ heroTextNodes, headlineRect }) {
+  const contentTop = headlineRect ? headlineRect.top - 20 : 0;
+
+  // Build hero text from leaf-level elements only (avoid double-counting from wrapper divs)
+  const heroTextLeaves = heroTextNodes.filter((el) => {
+    const r = viewportRect(el);
+    if (r.top < contentTop) return false;
+    // Skip container divs that have child heading/paragraph elements already in the list
+    if (el.tagName === "DIV" || el.tagName === "SPAN") {
+      if (el.querySelector("h1, h2, h3, p")) return false;
+    }
+    return true;
+  });
+  const heroText = cleanText(
+    heroTextLeaves
+      .map((el) => el.innerText || "")
+      .join(" ")
+  )
+    // Strip any leading "skip to" accessibility text
+    .replace(/^skip\s*(to)?\s*(main\s*)?(content|navigation)\s*/i, "");
+
+  return { contentTop, heroText, page_text: heroText };
+}
+
+function detectCtas({ inHero, searchRoots, viewportHeight, headlineRect, vocab }) {
+  const ctaCandidates = queryAllDeep(searchRoots, "button, a, [role='button'], input[type='submit']")
+    .filter((el) => inHero(el) && !inNavOrHeader(el) && !inFramerNavOrFooter(el) && isVisible(el))
+    .map((el) => {
+      const r = viewportRect(el);
+      return {
+        el,
+        text: cleanText(el.innerText || el.value || ""),
+        top: r.top,
+        left: r.left,
+        area: r.width * r.height,
+        isButton: el.tagName === "BUTTON" || el.tagName === "INPUT" || (el.getAttribute("role") === "button"),
+      };
+    })
+    .filter((c) => c.text);
+
+  const filteredCtas = ctaCandidates.filter(
+    (c) => {
+      if (vocab.legalLinks.test(c.text)) return false;
+      // Exclude common footer, social media, and single-word nav links
+      if (vocab.footerLinks.test(c.text.trim())) return false;
+      // Utility/secondary auth links that should never be primary CTA
+      if (vocab.utilityLinks.test(c.text.trim())) return false;
+      // Single-word items under 12 chars that aren't common CTA words
+      const words = c.text.trim().split(/\s+/).filter(Boolean);
+      if (words.length === 1 && c.text.trim().length < 12 && !vocab.actionWords.test(c.text.trim())) return false;
+      return true;
+    }
+  );
+
+  const heroCtaCandidates = filteredCtas.filter((c) => {
+    if (c.top < 120) return false;
+    if (!headlineRect) return true;
+    // Exclude CTAs in the bottom 20% of viewport that are far from headline
+    if (c.top > viewportHeight * 0.8 && c.top > (headlineRect.bottom || 0) + 420) return false;
+    return c.top >= headlineRect.top - 40 && c.top <= headlineRect.bottom + 420;
+  });
+
+  // Sort CTAs: prefer buttons near/below the headline, deprioritize OAuth buttons
+  // (vocab.oauthCta); vocab.primaryCta marks a real CTA, not a utility link
+  const ctaPriority = (text) => {
+    const t = text.trim().toLowerCase();
+    if (!t) return 0;
+    // Self-serve / product-first actions
+    if (vocab.ctaSelfServe.test(t)) return 3;
+    // Sales-led actions
+    if (vocab.ctaSalesLed.test(t)) return 2;
+    // Informational/secondary actions
+    if (vocab.ctaInformational.test(t)) return 1;
+    return vocab.primaryCta.test(t) ? 1 : 0;
+  };
+  heroCtaCandidates.sort((a, b) => {
+    // Deprioritize OAuth-style CTAs (they're auth shortcuts, not primary actions)
+    const aIsOAuth = vocab.oauthCta.test(a.text);
+    const bIsOAuth = vocab.oauthCta.test(b.text);
+    if (aIsOAuth !== bIsOAuth) return aIsOAuth ? 1 : -1;
+    // Prefer actual buttons over links (buttons are more likely primary CTAs)
+    if (a.isButton !== b.isButton) return a.isButton ? -1 : 1;
+    // Prefer higher-priority CTA verbs (self-serve > sales-led > info)
+    const aPriority = ctaPriority(a.text);
+    const bPriority = ctaPriority(b.text);
+    if (aPriority !== bPriority) return bPriority - aPriority;
+    // Prefer CTAs closest to headline bottom (where main CTAs typically sit)
+    if (headlineRect) {
+      const idealTop = headlineRect.bottom + 20;
+      const aDist = Math.abs(a.top - idealTop);
+      const bDist = Math.abs(b.top - idealTop);
+      if (Math.abs(aDist - bDist) > 30) return aDist - bDist;
+    }
+    // Tie-break: larger area first, then left-to-right
+    if (a.area !== b.area) return b.area - a.area;
+    return a.left - b.left;
+  });
+
+  const ctas = heroCtaCandidates.map((c) => c.text);
+  // Why each CTA landed where it did in the ranking (inspect overlay)
+  const priorityLabels = ["no CTA verb", "informational verb", "sales-led verb", "self-serve verb"];
+  const ctaReasons = heroCtaCandidates.map((c, i) =>
+    `Ranked #${i + 1} of ${heroCtaCandidates.length}: ${c.isButton ? "button" : "link"}, ${priorityLabels[ctaPriority(c.text)]}` +
+    (vocab.oauthCta.test(c.text) ? ", OAuth shortcut (sorted last)" : "")
+  );
+  const ctaDetails = heroCtaCandidates.map((c) => ({
+    text: c.text,
+    type: c.isButton ? "button" : "link",
+    position: { top: Math.round(c.top), left: Math.round(c.left) },
+    source: elementSource(c.el),
+    ...ctaStyle(c.el),
+  }));
+  const loudestCta = assignCtaHierarchy(ctaDetails);
+  const primaryCta = heroCtaCandidates[0]?.text || null;
+
+  return {
+    ctas,
+    ctaElements: heroCtaCandidates.map((c) => c.el),
+    ctaReasons,
+    cta_count: ctas.length,
+    primary_cta_text: primaryCta,
+    loudest_cta_text: loudestCta?.text || null,
+    cta_details: ctaDetails,
+  };
+}
+
+function detectSubheadline({ heroTextNodes, inHero, headlineEl, headlineRect, ctas, vocab }) {
+  let subheadline = null;
+  let subheadlineEl = null;
+  let subheadlineStrategy = null;
+
+  const normalizeText = (text) => cleanText(text || "").toLowerCase();
+  const ctaTextSet = new Set(ctas.map((text) => normalizeText(text)));
+  const isLikelyCtaText = (text) => {
+    const norm = normalizeText(text);
+    if (!norm) return false;
+    if (ctaTextSet.has(norm)) return true;
+    for (const cta of ctaTextSet) {
+      if (cta && norm.includes(cta)) return true;
+    }
+    const shortWords = norm.split(/\s+/).filter(Boolean).length <= 4;
+    if (shortWords && vocab.ctaPhrases.test(norm)) return true;
+    return false;
+  };
+
+  const siblingSubheadline = (() => {
+    if (!headlineEl) return null;
+
+    // Helper: test if an element is a valid subheadline candidate
+    const isSubCandidate = (el) => {
+      if (!el || !inHero(el) || inNavOrHeader(el) || inFramerNavOrFooter(el)) return false;
+      const text = cleanText(el.innerText || "");
+      if (!text || text.length < 10) return false;
+      if (text.split(/\s+/).filter(Boolean).length < 3) return false;
+      if (el.closest("button, a, [role='button']")) return false;
+      if (isLikelyCtaText(text)) return false;
+      return true;
+    };
+
+    // Strategy 1: direct nextElementSibling of headlineEl
+    let next = headlineEl.nextElementSibling;
+    while (next && (!inHero(next) || inNavOrHeader(next) || inFramerNavOrFooter(next))) {
+      next = next.nextElementSibling;
+    }
+    if (next) {
+      // If the sibling itself is a clean text element, use it
+      if (isSubCandidate(next) && !next.querySelector("button, a, [role='button']")) {
+        return { el: next, text: cleanText(next.innerText || ""), strategy: "Strategy 1: headline's next sibling" };
+      }
+      // If the sibling is a container with buttons, look for a <p> or <h2>/<h3> inside it
+      const nested = next.querySelector("p, h2, h3");
+      if (nested && isSubCandidate(nested) && !nested.querySelector("button, a, [role='button']")) {
+        return { el: nested, text: cleanText(nested.innerText || ""), strategy: "Strategy 1: text inside headline's next sibling" };
+      }
+    }
+
+    // Strategy 2: walk up to headlineEl's parent and check ITS next sibling
+    const parent = headlineEl.parentElement;
+    if (parent && parent !== document.body) {
+      let parentNext = parent.nextElementSibling;
+      while (parentNext && (!inHero(parentNext) || inNavOrHeader(parentNext) || inFramerNavOrFooter(parentNext))) {
+        parentNext = parentNext.nextElementSibling;
+      }
+      if (parentNext) {
+        // Direct match
+        if (isSubCandidate(parentNext) && !parentNext.querySelector("button, a, [role='button']")) {
+          return { el: parentNext, text: cleanText(parentNext.innerText || ""), strategy: "Strategy 2: next sibling of headline's parent" };
+        }
+        // Nested <p> inside
+        const nested = parentNext.querySelector("p, h2, h3");
+        if (nested && isSubCandidate(nested) && !nested.querySelector("button, a, [role='button']")) {
+          return { el: nested, text: cleanText(nested.innerText || ""), strategy: "Strategy 2: text inside next sibling of headline's parent" };
+        }
+      }
+    }
+
+    // Strategy 3: split/grid layouts — walk up to grandparent (or further)
+    // and search all <p> elements within it that are near the headline
+    const ancestors = [];
+    let walk = headlineEl.parentElement;
+    while (walk && walk !== document.body && ancestors.length < 3) {
+      ancestors.push(walk);
+      walk = walk.parentElement;
+    }
+    for (const ancestor of ancestors) {
+      const paragraphs = Array.from(ancestor.querySelectorAll("p"))
+        .filter((p) => p !== headlineEl && isSubCandidate(p) && !p.querySelector("button, a, [role='button']"))
+        .filter((p) => {
+          // Must not be inside nav/header
+          if (inNavOrHeader(p) || inFramerNavOrFooter(p)) return false;
+          // Must be near the headline vertically (within same visual band)
+          const pRect = viewportRect(p);
+          if (!headlineRect) return true;
+          const verticallyNear = pRect.top <= headlineRect.bottom + 200 && pRect.bottom >= headlineRect.top - 50;
+          return verticallyNear;
+        })
+        .map((p) => ({
+          el: p,
+          text: cleanText(p.innerText || ""),
+          size: fontSizePx(p),
+          top: viewportRect(p).top,
+        }))
+        .filter((c) => c.text.length >= 20 && c.text.split(/\s+/).filter(Boolean).length >= 5)
+        .sort((a, b) => {
+          // Prefer text closest to headline (vertical distance)
+          const aDist = Math.abs(a.top - (headlineRect ? headlineRect.top : 0));
+          const bDist = Math.abs(b.top - (headlineRect ? headlineRect.top : 0));
+          return aDist - bDist;
+        });
+      if (paragraphs.length > 0) {
+        return { el: paragraphs[0].el, text: paragraphs[0].text, strategy: "Strategy 3: closest <p> in a headline ancestor" };
+      }
+    }
+
+    return null;
+  })();
+
+  if (siblingSubheadline) {
+    subheadline = siblingSubheadline.text;
+    subheadlineEl = siblingSubheadline.el;
+    subheadlineStrategy = siblingSubheadline.strategy;
+  }
+
+  if (!subheadline) {
+    const headlineSize = headlineEl
+      ? fontSizePx(headlineEl)
+      : 0;
+    const headlineTop = headlineRect ? headlineRect.top : 0;
+    const headlineBottom = headlineRect ? headlineRect.bottom : 0;
+
+    const candidates = heroTextNodes
+      .filter((el) => el !== headlineEl)
+      .filter((el) => inHero(el) && isVisible(el) && !inNavOrHeader(el) && !inFramerNavOrFooter(el) && !looksLikeFooterContent(el, vocab) && !isFixedOrSticky(el))
+      .filter((el) => !el.closest("button, a, [role='button']"))
+      .filter((el) => !el.querySelector("button, a, [role='button']"))
+      .map((el) => {
+        const rect = viewportRect(el);
+        return {
+          el,
+          text: cleanText(el.innerText || ""),
+          size: fontSizePx(el),
+          top: rect.top,
         };
+      })
+      .filter((c) => c.text && c.text.length >= 12 && c.text.split(/\s+/).filter(Boolean).length >= 4)
+      .filter((c) => !looksLikeNavText(c.text, vocab))
+      .filter((c) => !isLikelyCtaText(c.text))
+      .filter((c) => {
+        if (!headlineRect) return true;
+        // Allow elements that are:
+        // - Below the headline (vertical layout): top >= headlineTop - 50, top <= headlineBottom + 320
+        // - Side-by-side (split layout): vertically overlapping the headline band
+        const verticallyNear =
+          (c.top >= headlineTop - 50 && c.top <= headlineBottom + 320);
+        const sizeOk = headlineSize ? c.size <= headlineSize - 4 : true;
+        const notTooSmall = c.size >= Math.max(12, headlineSize * 0.32);
+        return verticallyNear && sizeOk && notTooSmall;
+      })
+      .sort((a, b) => {
+        if (headlineRect) {
+          // Prefer elements closest to the headline (vertical distance to headline center)
+          const headlineCenter = (headlineTop + headlineBottom) / 2;
+          const aDist = Math.abs(a.top - headlineCenter);
+          const bDist = Math.abs(b.top - headlineCenter);
+          if (Math.abs(aDist - bDist) > 20) return aDist - bDist;
+        }
+        if (a.size !== b.size) return b.size - a.size;
+        return a.text.length - b.text.length;
+      });
+
+    if (candidates[0]) {
+      subheadline = candidates[0].text;
+      subheadlineEl = candidates[0].el;
+      subheadlineStrategy = "Fallback: smaller text closest to the headline";
+    }
+  }
+
+  return {
+    subheadline,
+    subheadlineEl,
+    subheadlineStrategy,
+    subheadline_strategy: subheadlineStrategy,
+    subheadline_source: subheadlineEl ? elementSource(subheadlineEl) : null,
+  };
+}
+
+// Embedded third-party form builders. HubSpot and Marketo render a real
+// <form> into the page; Typeform (and HubSpot's iframe embed) hide the
+// fields in a cross-origin frame, so only the provider is known.
+var FORM_PROVIDERS = [
+  { name: "hubspot", selector: 'form.hs-form, form[id^="hsForm_"], .hbspt-form, iframe[src*="hsforms"]' },
+  { name: "typeform", selector: 'iframe[src*="typeform.com"], [data-tf-widget], [data-tf-live], .typeform-widget' },
+  { name: "marketo", selector: 'form.mktoForm, form[id^="mktoForm_"]' },
+];
+
+// Inputs that aren't questions the visitor has to answer
+var FORM_NON_FIELD_TYPES = /^(hidden|submit|button|reset|image)$/;
+
+// Field count past which a form reads as a qualification step, not a sign-up
+var FORM_HIGH_FRICTION_FIELDS = 5;
+
+function formFieldLabel(field) {
+  const aria = field.getAttribute("aria-label");
+  if (aria) return cleanText(aria);
+  const labelledBy = (field.getAttribute("aria-labelledby") || "")
+    .split(/\s+/)
+    .map((id) => id && field.ownerDocument.getElementById(id))
+    .filter(Boolean)
+    .map((el) => el.innerText || el.textContent || "")
+    .join(" ");
+  if (cleanText(labelledBy)) return cleanText(labelledBy);
+  // field.labels covers both <label for> and a wrapping <label>
+  const label = field.labels?.[0] || field.closest("label");
+  const text = label ? cleanText(label.innerText || label.textContent || "") : "";
+  return text ? text.slice(0, 120) : null;
+}
+
+function formFieldType(field) {
+  if (field.tagName === "SELECT") return "select";
+  if (field.tagName === "TEXTAREA") return "textarea";
+  return (field.getAttribute("type") || "text").toLowerCase();
+}
+
+function formSubmitText(form) {
+  const submit =
+    form.querySelector('button[type="submit"], input[type="submit"], button:not([type])') ||
+    form.querySelector('button, [role="button"]');
+  if (!submit) return null;
+  return cleanText(submit.innerText || submit.value || submit.getAttribute("aria-label") || "") || null;
+}
+
+/**
+ * What a hero form is for, from its submit button and surrounding copy.
+ * Password fields decide login vs. sign-up; otherwise waitlist and demo
+ * language win over the generic self-serve verbs.
+ */
+function formIntent({ fields, submitText, text }, vocab) {
+  const submit = submitText || "";
+  if (fields.some((f) => f.type === "password")) {
+    return vocab.ctaSelfServe.test(submit) ? "signup" : "login";
+  }
+  if (vocab.formWaitlist.test(text)) return "waitlist";
+  if (submit && vocab.ctaSalesLed.test(submit)) return "demo_request";
+  if (vocab.formNewsletter.test(text)) return "newsletter";
+  if (submit && vocab.ctaSelfServe.test(submit)) return "signup";
+  if (fields.some((f) => f.type === "textarea") || fields.length >= 3) return "contact";
+  return null;
+}
+
+function formFriction(fields) {
+  if (fields.length === 1 && fields[0].type === "email") return "email_only";
+  if (fields.length <= 2) return "low";
+  return fields.length >= FORM_HIGH_FRICTION_FIELDS ? "high" : "medium";
+}
+
+function describeHeroForm(form, provider, vocab) {
+  if (form.tagName !== "FORM") {
+    // Iframe or widget embed: the fields live in another document
+    return {
+      provider, embedded: true, fields: [], field_count: null, submit_text: null,
+      has_consent: false, consent_text: null, intent: null, friction: null,
+      source: elementSource(form),
+    };
+  }
+  const fields = [];
+  let consent = null;
+  for (const field of form.querySelectorAll("input, select, textarea")) {
+    const type = formFieldType(field);
+    if (FORM_NON_FIELD_TYPES.test(type) || !isVisible(field)) continue;
+    const label = formFieldLabel(field);
+    if (type === "checkbox" && label && vocab.formConsent.test(label)) {
+      consent = consent || label;
+      continue;
+    }
+    fields.push({
+      type,
+      name: field.getAttribute("name") || null,
+      label,
+      placeholder: field.getAttribute("placeholder") || null,
+      required: field.required || field.getAttribute("aria-required") === "true",
+    });
+  }
+  const submitText = formSubmitText(form);
+  const text = cleanText(
+    [form.innerText || "", submitText, ...fields.map((f) => f.placeholder || "")].join(" ")
+  );
+  return {
+    provider,
+    embedded: false,
+    fields,
+    field_count: fields.length,
+    submit_text: submitText,
+    has_consent: Boolean(consent),
+    consent_text: consent,
+    intent: formIntent({ fields, submitText, text }, vocab),
+    friction: fields.length > 0 ? formFriction(fields) : null,
+    source: elementSource(form),
+  };
+}
+
+function detectForms({ inHero, searchRoots, vocab }) {
+  const forms = queryAllDeep(searchRoots, "form").filter((f) =>
+    inHero(f) && !inNavOrHeader(f) && !inFramerNavOrFooter(f)
+  );
+  const formFields = forms.reduce(
+    (sum, f) => sum + f.querySelectorAll("input").length,
+    0
+  );
+  const hasEmailOnly = forms.some((f) => {
+    const inputs = f.querySelectorAll("input");
+    return (
+      inputs.length === 1 && f.querySelector('input[type="email"]')
+    );
+  });
+
+  // Auth/login form detection: look for password fields in hero forms
+  // Also check for password inputs outside of forms (React apps often
+  // render inputs without wrapping <form> elements)
+  const hasPasswordField = forms.some((f) =>
+    !!f.querySelector('input[type="password"]')
+  ) || !!queryAllDeep(searchRoots, 'input[type="password"]').find((el) =>
+    inHero(el) && isVisible(el)
+  );
+
+  // OAuth detection: look for Google/Apple/GitHub/Microsoft sign-in buttons
+  // using multiple strategies to handle custom-rendered OAuth buttons
+  const oauthProviders = /\b(google|apple|github|microsoft)\b/i;
+  const oauthSelectors = [
+    'button img[src*="google" i]', 'button img[src*="apple" i]',
+    'button svg[aria-label*="google" i]', 'button svg[aria-label*="apple" i]',
+    'a img[src*="google" i]', 'a img[src*="apple" i]',
+    '[data-provider*="google" i]', '[data-provider*="apple" i]',
+    '[aria-label*="Continue with Google" i]', '[aria-label*="Sign in with Google" i]',
+    '[aria-label*="Continue with Apple" i]', '[aria-label*="Sign in with Apple" i]',
+  ].join(", ");
+  const hasOAuthElement = queryAllDeep(searchRoots, oauthSelectors).length > 0;
+
+  // Also check all buttons/links in the hero for OAuth provider text
+  const heroCtas = queryAllDeep(searchRoots, "button, a, [role='button']")
+    .filter((el) => inHero(el) && isVisible(el));
+  const hasOAuthText = heroCtas.some((el) => {
+    const text = (el.innerText || "").trim();
+    return oauthProviders.test(text) && /(sign|log|continue|connect)\s*(in|up|with)/i.test(text);
+  });
+
+  const hasOAuth = hasOAuthElement || hasOAuthText;
+
+  const providerOf = (el) =>
+    FORM_PROVIDERS.find((p) => el.matches(p.selector) || el.closest(p.selector))?.name || null;
+  // Embeds without a <form> of their own in this document
+  const embeds = FORM_PROVIDERS.flatMap((p) =>
+    queryAllDeep(searchRoots, p.selector)
+      .filter((el) => el.tagName !== "FORM" && !el.querySelector("form") && !el.closest("form"))
+      // The widget's container and the iframe it loads are one embed
+      .filter((el) => !el.parentElement?.closest(p.selector))
+      .filter((el) => inHero(el) && isVisible(el))
+      .map((el) => ({ el, provider: p.name }))
+  );
+  const formDescriptions = [
+    ...forms.map((f) => describeHeroForm(f, providerOf(f), vocab)),
+    ...embeds.map(({ el, provider }) => describeHeroForm(el, provider, vocab)),
+  ];
+
+  return {
+    // Index-aligned with hero_forms, embeds included
+    heroForms: [...forms, ...embeds.map(({ el }) => el)],
+    has_form: forms.length > 0,
+    form_fields_count: formFields,
+    has_email_only: hasEmailOnly,
+    has_password_field: hasPasswordField,
+    has_oauth: hasOAuth,
+    form_sources: forms.map(elementSource),
+    hero_forms: formDescriptions,
+  };
+}
+
+// Top-level nav links kept; mega-menus can expose dozens
+var MAX_NAV_ITEMS = 12;
+
+// Class/id names of promo strips above the nav
+var ANNOUNCEMENT_CLASS_REGEX = /announce|promo-?(bar|banner|strip)|top-?bar|ribbon|notification-?bar|site-?notice|alert-?bar|sitewide-?banner/i;
+
+// Mobile menu toggles, present in the DOM even when the desktop nav shows
+var HAMBURGER_SELECTOR = [
+  'button[aria-label*="menu" i]', 'button[aria-label*="navigation" i]',
+  '[aria-controls*="menu" i]', '[aria-controls*="nav" i]',
+  '[class*="hamburger" i]', '[class*="burger" i]', '[class*="menu-toggle" i]',
+  '[class*="nav-toggle" i]', '[class*="mobile-menu-button" i]',
+].join(", ");
+
+/**
+ * The site's main navigation bar: the outermost header/nav near the top
+ * that is wide and nav-height. Null when the page has none.
+ */
+function findNavRoot(viewportWidth, overlayEls) {
+  const candidates = Array.from(document.querySelectorAll(
+    "header, nav, [role='navigation'], [data-framer-name*='nav' i], [data-framer-name*='header' i]"
+  )).filter((el) => {
+    if (el.closest("footer") || withinAny(el, overlayEls)) return false;
+    const r = viewportRect(el);
+    return r.top < 200 && r.height > 0 && r.height < 300 && r.width >= viewportWidth * 0.5;
+  });
+  return candidates.find((el) => !candidates.some((other) => other !== el && other.contains(el))) || null;
+}
+
+// "Start free" → self_serve, "Book a demo" → sales_led, "Sign in" → login
+function navCtaKind(text, vocab) {
+  if (vocab.login.test(text)) return "login";
+  if (vocab.ctaSelfServe.test(text)) return "self_serve";
+  if (vocab.ctaSalesLed.test(text)) return "sales_led";
+  return "other";
+}
+
+function detectNavigation({ viewportWidth, overlayEls, vocab }) {
+  const navRoot = findNavRoot(viewportWidth, overlayEls);
+
+  const links = navRoot
+    ? Array.from(navRoot.querySelectorAll("a, button, [role='button']")).filter((el) => {
+        if (!isVisible(el) || el.matches(HAMBURGER_SELECTOR)) return false;
+        // Submenu links: a list nested inside another list item
+        const list = el.closest("ul, ol");
+        return !(list && list.parentElement?.closest("li") && navRoot.contains(list.parentElement));
+      })
+    : [];
+  const entries = links
+    .map((el) => ({
+      el,
+      text: cleanText(el.innerText || el.getAttribute("aria-label") || ""),
+      href: el.getAttribute("href") || null,
+      rect: viewportRect(el),
+    }))
+    // Logo links and icon buttons have no words; long text isn't a nav label
+    .filter((e) => e.text && e.text.length <= 40 && wordCount(e.text, vocab) <= 5);
+
+  // Announcement bar: a full-width strip at the very top of the page, above
+  // the rest of the nav's links, named like one or reading like a promo
+  const linksTopOutside = (el) =>
+    Math.min(...entries.filter((e) => !el.contains(e.el)).map((e) => e.rect.top));
+  const announcementEl = Array.from(document.body?.querySelectorAll("div, section, aside, p, a") || [])
+    .find((el) => {
+      if (withinAny(el, overlayEls) || (navRoot && el.contains(navRoot))) return false;
+      // A row holding several nav links is the nav itself
+      if (el.matches("nav") || entries.filter((e) => el.contains(e.el)).length > 1) return false;
+      const r = viewportRect(el);
+      if (r.top > 60 || r.height < 16 || r.height > 80 || r.width < viewportWidth * 0.8) return false;
+      const linksTop = linksTopOutside(el);
+      if (r.bottom > linksTop + 2 || !isVisible(el)) return false;
+      const text = cleanText(el.innerText || "");
+      if (!text || wordCount(text, vocab) > 30 || looksLikeNavText(text, vocab)) return false;
+      const named = ANNOUNCEMENT_CLASS_REGEX.test(`${el.className || ""} ${el.id || ""}`);
+      return named || vocab.promo.test(text) || (Number.isFinite(linksTop) && r.bottom <= linksTop);
+    });
+  let announcementBar = null;
+  if (announcementEl) {
+    const link = announcementEl.matches("a") ? announcementEl : announcementEl.querySelector("a[href]");
+    announcementBar = {
+      text: cleanText(announcementEl.innerText || ""),
+      link: link
+        ? { text: cleanText(link.innerText || "") || null, href: link.getAttribute("href") }
+        : null,
+      element: describeElement(announcementEl),
+    };
+  }
+
+  if (!navRoot) {
+    return { announcement_bar: announcementBar, navigation: null };
+  }
+
+  const navEntries = entries.filter((e) => !announcementEl?.contains(e.el));
+  const ctas = [];
+  const items = [];
+  for (const entry of navEntries) {
+    const kind = navCtaKind(entry.text, vocab);
+    const style = ctaStyle(entry.el);
+    const buttonShaped = style.border || (style.fill && style.fill_contrast >= 1.3);
+    // Bare "Contact" is a nav link; "Contact sales" or a styled button is an ask
+    const isCta =
+      kind === "self_serve" || kind === "login" ||
+      (kind === "sales_led" && (buttonShaped || wordCount(entry.text, vocab) >= 2)) ||
+      (kind === "other" && buttonShaped && vocab.actionWords.test(entry.text));
+    if (isCta) {
+      ctas.push({ text: entry.text, href: entry.href, kind, ...style });
+    } else if (items.length < MAX_NAV_ITEMS && !items.some((i) => i.text === entry.text)) {
+      items.push({
+        text: entry.text,
+        href: entry.href,
+        has_dropdown:
+          entry.el.hasAttribute("aria-expanded") ||
+          entry.el.getAttribute("aria-haspopup") === "true" ||
+          entry.el.getAttribute("aria-haspopup") === "menu",
+      });
+    }
+  }
+  assignCtaHierarchy(ctas);
+
+  const hamburger = navRoot.querySelector(HAMBURGER_SELECTOR) ||
+    navRoot.parentElement?.querySelector(HAMBURGER_SELECTOR);
+
+  return {
+    announcement_bar: announcementBar,
+    navigation: {
+      items,
+      ctas: ctas.map(({ text, href, kind, hierarchy, fill }) => ({ text, href, kind, hierarchy, fill })),
+      has_hamburger: Boolean(hamburger),
+      hamburger_visible: Boolean(hamburger && isVisible(hamburger)),
+      sticky: isFixedOrSticky(navRoot),
+      element: describeElement(navRoot),
+    },
+  };
+}
+
+function detectLayout({ inHero, viewportWidth, h1 }) {
+  const grids = Array.from(document.querySelectorAll("*"))
+    .filter((el) => inHero(el) && isVisible(el))
+    .filter((el) => getComputedStyle(el).display === "grid");
+  let maxChildren = 0;
+  grids.forEach((g) => {
+    maxChildren = Math.max(maxChildren, g.children.length);
+  });
+
+  const hasFilters = !!document.querySelector(
+    'input[type="search"], select, [role="listbox"], [role="combobox"], input[type="checkbox"]'
+  );
+
+  const layout = (() => {
+    const hero = document.body?.firstElementChild;
+    if (!hero) return "single-column";
+    const rects = Array.from(hero.children)
+      .filter((el) => inHero(el) && isVisible(el))
+      .map((el) => viewportRect(el));
+    const left = rects.filter((r) => r.left < viewportWidth * 0.4);
+    const right = rects.filter((r) => r.left > viewportWidth * 0.6);
+    if (left.length && right.length) return "split";
+    return "single-column";
+  })();
+
+  const alignment = (() => {
+    if (!h1) return null;
+    const style = getComputedStyle(h1);
+    return style.textAlign || null;
+  })();
+
+  return {
+    layout,
+    alignment,
+    grid_cards_in_fold: maxChildren,
+    has_filters: hasFilters,
+  };
+}
+
+// Confidence contributed by one matching signal, by matcher type. A
+// generator meta tag is the site declaring itself; a class-name pattern is
+// a guess. Several signals combine as 1 - Π(1 - w).
+var STACK_MATCHER_WEIGHTS = {
+  meta: 1,
+  globals: 0.9,
+  resources: 0.8,
+  selectors: 0.7,
+  inlineScripts: 0.7,
+  inlineStyles: 0.7,
+  cookies: 0.6,
+  classes: 0.5,
+};
+
+// Implied technologies inherit this share of the implying one's confidence
+var STACK_IMPLIED_FACTOR = 0.8;
+
+/**
+ * Evaluate one signature against the page snapshot. Returns the evidence
+ * strings of every matcher that fired (empty when nothing matched).
+ */
+function matchStackSignature(sig, page) {
+  const evidence = [];
+  const regex = (source, flags = "i") => {
+    try {
+      return new RegExp(source, flags);
+    } catch (err) {
+      return null;
+    }
+  };
+
+  for (const name of sig.globals || []) {
+    // Isolated world: only DOM-mirrored globals (named elements) show up here
+    if (window[name] !== undefined) evidence.push({ type: "globals", text: `window.${name}` });
+  }
+  for (const selector of sig.selectors || []) {
+    let found = null;
+    try {
+      found = document.querySelector(selector);
+    } catch (err) {
+      found = null;
+    }
+    if (found) evidence.push({ type: "selectors", text: `Element ${selector}` });
+  }
+  for (const source of sig.resources || []) {
+    const re = regex(source);
+    const url = re && page.resources.find((u) => re.test(u));
+    if (url) evidence.push({ type: "resources", text: `Loads ${url}` });
+  }
+  for (const { name, content } of sig.meta || []) {
+    const re = regex(content);
+    const value = re && (page.meta[name.toLowerCase()] || []).find((v) => re.test(v));
+    if (value) evidence.push({ type: "meta", text: `<meta name="${name}" content="${value}">` });
+  }
+  for (const source of sig.cookies || []) {
+    const re = regex(source);
+    const cookie = re && page.cookies.find((c) => re.test(c));
+    if (cookie) evidence.push({ type: "cookies", text: `Cookie ${cookie}` });
+  }
+  for (const source of sig.inlineScripts || []) {
+    const re = regex(source);
+    if (re && page.inlineScripts.some((s) => re.test(s))) {
+      evidence.push({ type: "inlineScripts", text: `Inline script mentions ${source}` });
+    }
+  }
+  for (const source of sig.inlineStyles || []) {
+    const re = regex(source);
+    if (re && page.inlineStyles.some((s) => re.test(s))) {
+      evidence.push({ type: "inlineStyles", text: `Inline style matches ${source}` });
+    }
+  }
+  for (const { pattern, minCount = 1 } of sig.classes || []) {
+    const re = regex(pattern, "");
+    const hits = re ? page.classes.filter((c) => re.test(c)).length : 0;
+    if (hits >= minCount) {
+      evidence.push({
+        type: "classes",
+        text: `${hits} element${hits === 1 ? "" : "s"} with /${pattern}/ classes`,
+      });
+    }
+  }
+  return evidence;
+}
+
+function combinedStackConfidence(evidence) {
+  const miss = evidence.reduce((acc, e) => acc * (1 - (STACK_MATCHER_WEIGHTS[e.type] || 0)), 1);
+  return Math.round((1 - miss) * 100) / 100;
+}
+
+/**
+ * Tech stack from the declarative signatures in stack-signatures.js.
+ * detected_stack keeps the flat tag list (direct matches, signature order);
+ * stack_details adds a category, confidence and the evidence for each
+ * technology, including ones only implied by another (React under Next.js).
+ * experimentation flags anti-flicker snippets, which mean A/B tests are
+ * likely live on the page.
+ */
+function detectStack() {
+  const signatures = typeof STACK_SIGNATURES !== "undefined" ? STACK_SIGNATURES : [];
+  const antiFlicker = typeof ANTI_FLICKER_SIGNATURES !== "undefined" ? ANTI_FLICKER_SIGNATURES : [];
+
+  // Read the page once; every signature matches against the same snapshot
+  const page = {
+    // Only links that load something — canonical, hreflang and alternate
+    // links point at pages, not assets
+    resources: Array.from(document.querySelectorAll(
+      "script[src], link[href][rel~='stylesheet' i], link[href][rel~='preload' i], link[href][rel~='modulepreload' i]"
+    ))
+      .map((el) => el.getAttribute("src") || el.getAttribute("href") || "")
+      .filter(Boolean),
+    meta: {},
+    cookies: (() => {
+      try {
+        return document.cookie
+          .split(";")
+          .map((c) => c.split("=")[0].trim())
+          .filter(Boolean);
+      } catch (err) {
+        return []; // Sandboxed documents throw on cookie access
+      }
+    })(),
+    inlineScripts: Array.from(document.querySelectorAll("script:not([src])"))
+      .slice(0, 30)
+      .map((s) => s.textContent || ""),
+    inlineStyles: Array.from(document.querySelectorAll("style"))
+      .slice(0, 30)
+      .map((s) => s.textContent || ""),
+    // getAttribute, not className — SVG elements have an SVGAnimatedString
+    classes: Array.from(document.querySelectorAll("[class]"))
+      .slice(0, 500)
+      .map((el) => el.getAttribute("class") || ""),
+  };
+  for (const m of document.querySelectorAll("meta[name][content]")) {
+    const name = m.getAttribute("name").toLowerCase();
+    (page.meta[name] = page.meta[name] || []).push(m.getAttribute("content"));
+  }
+
+  const matched = new Map();
+  for (const sig of signatures) {
+    const evidence = matchStackSignature(sig, page);
+    if (evidence.length) matched.set(sig.name, { sig, evidence });
+  }
+
+  const direct = signatures.filter(
+    (sig) =>
+      matched.has(sig.name) && !(sig.suppressedBy || []).some((name) => matched.has(name))
+  );
+  const detectedStack = direct.map((sig) => sig.name);
+
+  const details = direct.map(({ name, category }) => {
+    const { evidence } = matched.get(name);
+    return {
+      name,
+      category: category || null,
+      confidence: combinedStackConfidence(evidence),
+      evidence: evidence.map((e) => e.text),
+      implied: false,
+    };
+  });
+  for (const parent of [...details]) {
+    const sig = matched.get(parent.name).sig;
+    for (const name of sig.implies || []) {
+      if (details.some((d) => d.name === name && !d.implied)) continue;
+      const confidence = Math.round(parent.confidence * STACK_IMPLIED_FACTOR * 100) / 100;
+      const existing = details.find((d) => d.name === name);
+      if (existing) {
+        existing.evidence.push(`Implied by ${parent.name}`);
+        existing.confidence = Math.max(existing.confidence, confidence);
+        continue;
+      }
+      // A suppressed direct match (data-reactroot under Next.js) still
+      // counts as evidence for the implied entry
+      const own = matched.get(name)?.evidence || [];
+      const impliedSig = signatures.find((s) => s.name === name);
+      details.push({
+        name,
+        category: impliedSig?.category || null,
+        confidence: Math.max(confidence, own.length ? combinedStackConfidence(own) : 0),
+        evidence: [`Implied by ${parent.name}`, ...own.map((e) => e.text)],
+        implied: true,
+      });
+    }
+  }
+
+  const snippets = antiFlicker
+    .map((sig) => ({ sig, evidence: matchStackSignature(sig, page) }))
+    .filter(({ evidence }) => evidence.length > 0)
+    .map(({ sig, evidence }) => ({
+      name: sig.name,
+      tool: sig.tool || null,
+      evidence: evidence.map((e) => e.text),
+    }));
+  const experimentation = {
+    likely_running: snippets.length > 0,
+    tools: details.filter((d) => d.category === "experimentation").map((d) => d.name),
+    anti_flicker: snippets,
+  };
+
+  return {
+    detectedStack,
+    detected_stack: detectedStack,
+    stack_details: details,
+    experimentation,
+  };
+}
+
+function detectCommerce({ inHero, viewportHeight, heroText, headline, subheadline, ctas, vocab }) {
+  const pricingText = [headline, subheadline, ...ctas]
+    .filter(Boolean)
+    .join(" ");
+  const hasPricingTokens = vocab.pricing.test(pricingText);
+
+  // --- Promotion / e-commerce detection ---
+  const promoRegex = vocab.promo;
+  const transactionalCtaRegex = vocab.transactionalCta;
+  const priceRegex = /\$\d+|\d+[.,]\d{2}\s*(USD|EUR|GBP|SGD|AUD|MYR|THB|PHP|IDR|VND|HKD|KRW|JPY|INR|BRL|CAD)?|\d+%\s*off/i;
+
+  const allHeroText = heroText || "";
+  const hasPromoLanguage = promoRegex.test(allHeroText) || promoRegex.test([headline, subheadline].filter(Boolean).join(" "));
+  const hasTransactionalCta = ctas.some((cta) => transactionalCtaRegex.test(cta));
+  const hasPriceDisplay = priceRegex.test(allHeroText);
+
+  // Count price-tagged elements (product cards with prices)
+  const priceElements = Array.from(document.querySelectorAll("*"))
+    .filter((el) => inHero(el) && isVisible(el))
+    .filter((el) => {
+      const t = (el.innerText || "").trim();
+      return t.length < 30 && priceRegex.test(t) && el.children.length === 0;
+    });
+  const priceCount = priceElements.length;
+
+  // Countdown timer detection
+  const hasCountdown = (() => {
+    const timerSelectors = [
+      "[class*='countdown' i]", "[id*='countdown' i]",
+      "[class*='timer' i]", "[id*='timer' i]",
+      "[class*='clock' i]", "[data-countdown]",
+    ];
+    for (const sel of timerSelectors) {
+      const el = document.querySelector(sel);
+      if (el && inHero(el) && isVisible(el)) return true;
+    }
+    // Heuristic: look for colon-separated numbers (00:12:34) in small elements
+    const smallEls = Array.from(document.querySelectorAll("span, div, p"))
+      .filter((el) => inHero(el) && isVisible(el) && (el.innerText || "").length < 20);
+    return smallEls.some((el) => /\d{1,2}\s*:\s*\d{2}\s*:\s*\d{2}/.test(el.innerText || ""));
+  })();
+
+  const hasPromotionSignals = hasPromoLanguage || (hasTransactionalCta && hasPriceDisplay);
+
+  // --- Commerce structure detection ---
+  // Add-to-cart buttons in hero
+  const addToCartRegex = vocab.addToCart;
+  const heroButtons = Array.from(document.querySelectorAll("button, a, [role='button']"))
+    .filter((el) => inHero(el) && isVisible(el));
+  const addToCartCount = heroButtons.filter((el) => addToCartRegex.test((el.innerText || "").trim())).length;
+
+  // Product cards: elements that contain both a price and an image (common e-commerce pattern)
+  const productCardSelectors = [
+    "[class*='product' i]", "[class*='item-card' i]", "[class*='sku' i]",
+    "[data-product]", "[data-sku]", "[data-item]",
+    "[class*='card' i]",
+  ].join(", ");
+  const candidateCards = Array.from(document.querySelectorAll(productCardSelectors))
+    .filter((el) => inHero(el) && isVisible(el));
+  const productCardCount = candidateCards.filter((card) => {
+    const hasImg = !!card.querySelector("img");
+    const cardText = (card.innerText || "").trim();
+    const hasPrice = priceRegex.test(cardText);
+    return hasImg && hasPrice && cardText.length < 300;
+  }).length;
+
+  // Category navigation: sidebar or horizontal nav with category-like links
+  const categoryNavSelectors = [
+    "[class*='category' i]", "[class*='categories' i]",
+    "[class*='department' i]", "[class*='sidebar' i] nav",
+    "[class*='sidebar' i] ul", "[data-category]",
+    "nav[class*='shop' i]", "[class*='browse' i]",
+  ].join(", ");
+  const categoryNavElements = Array.from(document.querySelectorAll(categoryNavSelectors))
+    .filter((el) => inHero(el) || viewportRect(el).top < viewportHeight);
+  const hasCategoryNav = categoryNavElements.some((el) => {
+    const links = el.querySelectorAll("a");
+    return links.length >= 3;
+  });
+
+  // "New arrivals" / discovery language detection
+  const discoveryRegex = /\b(new\s*arrivals?|just\s*dropped|trending|best\s*sellers?|most\s*popular|curated|picks?\s*for\s*you|recommended|explore|discover|what'?s\s*new|fresh\s*finds?|editor'?s?\s*choice|top\s*rated)\b/i;
+  const hasDiscoveryLanguage = discoveryRegex.test(allHeroText);
+
+  // Brand campaign signals: full-bleed imagery, single-brand focus
+  const brandCampaignRegex = /\b(collection|campaign|introducing|new\s*season|spring|summer|autumn|fall|winter|holiday|launch|collab(oration)?|limited\s*edition|exclusive)\b/i;
+  const hasBrandCampaignLanguage = brandCampaignRegex.test(allHeroText);
+
+  // Trust signals: guarantees, badges, reassurance copy
+  const trustRegex = vocab.trust;
+  const hasTrustSignals = trustRegex.test(allHeroText);
+  const trustBadgeSelectors = [
+    "[class*='trust' i]", "[class*='badge' i]", "[class*='guarantee' i]",
+    "[class*='secure' i]", "[class*='verified' i]", "[class*='certification' i]",
+  ].join(", ");
+  const trustBadgeCount = Array.from(document.querySelectorAll(trustBadgeSelectors))
+    .filter((el) => inHero(el) && isVisible(el)).length;
+
+  // Composite commerce signals
+  const isCommerceHero = productCardCount >= 2 || (addToCartCount >= 2 && hasPriceDisplay);
+
+  return {
+    has_pricing_tokens: hasPricingTokens,
+    has_promotion_signals: Boolean(hasPromotionSignals),
+    has_promo_language: Boolean(hasPromoLanguage),
+    has_transactional_cta: Boolean(hasTransactionalCta),
+    has_price_display: Boolean(hasPriceDisplay),
+    price_count: priceCount,
+    has_countdown: Boolean(hasCountdown),
+    add_to_cart_count: addToCartCount,
+    product_card_count: productCardCount,
+    has_category_nav: Boolean(hasCategoryNav),
+    has_discovery_language: Boolean(hasDiscoveryLanguage),
+    has_brand_campaign_language: Boolean(hasBrandCampaignLanguage),
+    has_trust_signals: Boolean(hasTrustSignals),
+    trust_badge_count: trustBadgeCount,
+    is_commerce_hero: Boolean(isCommerceHero),
+  };
+}
+
+// --- Pricing plans ---
+
+// Plan cards past this are add-ons or a second table further down
+var MAX_PRICING_PLANS = 6;
+
+// Feature rows kept per plan; the full count is reported alongside
+var MAX_PLAN_FEATURES = 5;
+
+var CURRENCY_CODES = { "$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR" };
+
+// A plan price with its currency: "$29", "€9,99", "49 USD" — but not a
+// scaled figure like "$2.2B processed". Shared with the page outline's
+// pricing section check
+var PLAN_PRICE_REGEX = /([$€£¥₹])\s?(\d[\d.,]*)(?![\d.,])(?!\s?(?:k|m|mm|bn?|thousand|million|billion)(?![a-z]))|(\d[\d.,]*)\s?([$€£¥₹]|USD|EUR|GBP|JPY|INR)(?![a-z])/i;
+
+// /pricing, /plans, /prices — where pricing_plans runs without the page
+// outline option
+function isPricingPath() {
+  return /\/(pricing|plans|prices)(\/|$|\.)/i.test(window.location.pathname || "");
+}
+
+// "1,299.00" and "1.299,00" → 1299; "9,99" → 9.99
+function parsePlanAmount(digits) {
+  const decimalComma = /,\d{2}$/.test(digits) && !/\.\d{2}$/.test(digits);
+  const normalized = decimalComma ? digits.replace(/\./g, "").replace(",", ".") : digits.replace(/,/g, "");
+  const amount = Number(normalized);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * One plan card: name, price (amount, currency, billing period, per seat),
+ * free/custom flags, the "most popular" badge, its CTA and first features.
+ * `priceEl` is null for cards without a figure ("Custom", "Contact us").
+ */
+function describePlanCard(card, priceEl, vocab) {
+  const text = cleanText(card.innerText || "");
+  const headingEl = card.querySelector("h1, h2, h3, h4, h5, h6, [class*='plan-name' i], [class*='title' i]");
+  const name = cleanText(headingEl?.innerText || (card.innerText || "").split("\n")[0] || "").slice(0, 60) || null;
+
+  // Read the same text detectPricingPlans matched: innerText can differ
+  // (hidden spans, text-transform) and miss the figure
+  const priceText = priceEl ? cleanText(priceEl.textContent || "") : "";
+  const match = priceText ? PLAN_PRICE_REGEX.exec(priceText) : null;
+  let price = null;
+  if (match) {
+    const symbol = match[1] || match[4];
+    // The billing period follows the figure: "$29 /mo", "€240 per year".
+    // Collected node by node — adjacent inline tags run together in innerText
+    const after = [];
+    for (let node = priceEl; node && node !== card && after.join(" ").length < 40; node = node.parentElement) {
+      for (let sib = node.nextSibling; sib && after.join(" ").length < 40; sib = sib.nextSibling) {
+        after.push(sib.textContent || "");
+      }
+    }
+    const tail = cleanText(`${priceText.slice(match.index + match[0].length)} ${after.join(" ")}`).slice(0, 60);
+    price = {
+      amount: parsePlanAmount(match[2] || match[3]),
+      currency: CURRENCY_CODES[symbol] || symbol.toUpperCase(),
+      period: vocab.billingMonthly.test(tail) ? "month" : vocab.billingAnnual.test(tail) ? "year" : null,
+      per_seat: /(\/|per)\s*(user|seat|member|editor|agent)/i.test(tail),
+      text: priceText,
+    };
+  }
+
+  const badge = Array.from(card.querySelectorAll("*")).find((el) => {
+    const badgeText = cleanText(el.textContent || "");
+    return el.children.length === 0 && badgeText.length <= 30 && vocab.planHighlight.test(badgeText);
+  });
+  const highlightedByClass = [card, ...card.querySelectorAll("*")]
+    .some((el) => /\b(popular|featured|highlight(ed)?|recommended)\b/i.test((el.className || "").toString()));
+
+  const cta = Array.from(card.querySelectorAll("a[href], button, [role='button']"))
+    .find((el) => isVisible(el) && cleanText(el.innerText || ""));
+  const features = Array.from(card.querySelectorAll("li"))
+    .map((li) => cleanText(li.innerText || ""))
+    .filter(Boolean);
+
+  return {
+    name,
+    price,
+    is_free: price ? price.amount === 0 : vocab.freePrice.test(text.slice(0, 80)),
+    is_custom: !price && vocab.customPrice.test(text),
+    highlighted: Boolean(badge) || highlightedByClass,
+    highlight_label: badge ? cleanText(badge.textContent) : null,
+    cta: cta
+      ? { text: cleanText(cta.innerText), href: cta.getAttribute("href") || null }
+      : null,
+    features: features.slice(0, MAX_PLAN_FEATURES),
+    feature_count: features.length,
+  };
+}
+
+/**
+ * The monthly/annual switch: the smallest control group whose text names
+ * both periods. Reports its options, which one is on, and the discount it
+ * advertises ("Save 20%").
+ */
+function findBillingToggle(vocab, overlayEls) {
+  const candidates = Array.from(document.querySelectorAll(
+    "[role='tablist'], [role='radiogroup'], [role='switch'], fieldset, div, ul, label"
+  )).filter((el) => {
+    const text = el.textContent || "";
+    return text.length <= 120 &&
+      vocab.billingMonthly.test(text) && vocab.billingAnnual.test(text) &&
+      !!el.querySelector("button, input, [role='switch'], [role='tab'], [role='radio']") &&
+      !withinAny(el, overlayEls) && isVisible(el);
+  });
+  const toggle = candidates.find((el) => !candidates.some((other) => other !== el && el.contains(other)));
+  if (!toggle) return null;
+
+  const options = Array.from(toggle.querySelectorAll("button, [role='tab'], [role='radio'], label, span"))
+    .map((el) => cleanText(el.textContent || ""))
+    .filter((text) => text && text.length <= 25 && (vocab.billingMonthly.test(text) || vocab.billingAnnual.test(text)))
+    .filter((text, i, all) => all.indexOf(text) === i);
+  const selectedEl = Array.from(toggle.querySelectorAll("*")).find((el) =>
+    el.getAttribute("aria-selected") === "true" ||
+    el.getAttribute("aria-pressed") === "true" ||
+    (el.getAttribute("aria-checked") === "true" && el.getAttribute("role") !== "switch") ||
+    (el.tagName === "INPUT" && el.type === "radio" && el.checked)
+  );
+  const switchEl = toggle.matches("[role='switch'], input[type='checkbox']")
+    ? toggle
+    : toggle.querySelector("[role='switch'], input[type='checkbox']");
+  const selectedText = cleanText(selectedEl?.textContent || selectedEl?.labels?.[0]?.textContent || "");
+  let selected = null;
+  if (selectedText) {
+    selected = vocab.billingAnnual.test(selectedText) ? "year" : vocab.billingMonthly.test(selectedText) ? "month" : null;
+  } else if (switchEl) {
+    // A bare switch reads "Monthly [ ] Annual": on means annual
+    const on = switchEl.getAttribute("aria-checked") === "true" || switchEl.checked === true;
+    selected = on ? "year" : "month";
+  }
+
+  const discountScope = cleanText(toggle.parentElement?.textContent || toggle.textContent || "").slice(0, 200);
+  const discount = vocab.billingDiscount.exec(discountScope);
+  const percent = discount && /(\d+)\s*%/.exec(discount[0]);
+  return {
+    options,
+    selected,
+    discount_text: discount ? discount[0] : null,
+    discount_percent: percent ? Number(percent[1]) : null,
+  };
+}
+
+function detectPricingPlans({ viewportHeight, overlayEls, vocab }) {
+  const isPricingPage = isPricingPath();
+
+  // Only sections that talk about plans or billing periods — a product
+  // grid or a blog card quoting a price isn't a plan table. A /pricing
+  // page's sections all qualify
+  const sections = outlineBlocks({ viewportHeight, overlayEls }).filter((el) => {
+    if (isPricingPage) return true;
+    const text = el.textContent || "";
+    return vocab.pricing.test(text) || vocab.billingMonthly.test(text) || vocab.billingAnnual.test(text);
+  });
+  if (sections.length === 0) return { pricing_plans: null };
+
+  // Innermost elements holding a whole price; struck-through list prices
+  // and hidden (other billing period) prices don't count
+  const priceEls = sections.flatMap((section) => Array.from(section.querySelectorAll("*"))).filter((el) => {
+    if (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|OPTION|SELECT|S|DEL|STRIKE)$/.test(el.tagName)) return false;
+    const text = el.textContent || "";
+    if (text.length > 60 || !PLAN_PRICE_REGEX.test(text)) return false;
+    return !Array.from(el.children).some((child) => PLAN_PRICE_REGEX.test(child.textContent || ""));
+  }).filter((el) =>
+    !el.closest("s, del, strike") &&
+    getComputedStyle(el).textDecorationLine !== "line-through" &&
+    !withinAny(el, overlayEls) &&
+    !inNavOrHeader(el) &&
+    isVisible(el)
+  );
+
+  // Each price's card is its largest ancestor holding no other price.
+  // Prices per ancestor are counted once, walking up from every price
+  const pricesWithin = new Map();
+  for (const priceEl of priceEls) {
+    for (let node = priceEl.parentElement; node && node !== document.body; node = node.parentElement) {
+      pricesWithin.set(node, (pricesWithin.get(node) || 0) + 1);
+    }
+  }
+  const cardOf = (priceEl) => {
+    let card = priceEl;
+    while (card.parentElement && card.parentElement !== document.body && pricesWithin.get(card.parentElement) === 1) {
+      card = card.parentElement;
+    }
+    return card;
+  };
+  const groups = new Map();
+  for (const priceEl of priceEls) {
+    const card = cardOf(priceEl);
+    if (!card.parentElement) continue;
+    const group = groups.get(card.parentElement) || new Map();
+    if (!group.has(card)) group.set(card, priceEl);
+    groups.set(card.parentElement, group);
+  }
+  const [table, priced] = [...groups.entries()].sort((a, b) => b[1].size - a[1].size)[0] || [];
+  if (!table || priced.size < 2) return { pricing_plans: null };
+
+  // Siblings without a figure ("Enterprise — Contact us") are plans too
+  // when they carry a name and a CTA
+  const cards = Array.from(table.children).filter((child) =>
+    priced.has(child) ||
+    (isVisible(child) &&
+      child.querySelector("h1, h2, h3, h4, h5, h6") &&
+      child.querySelector("a[href], button") &&
+      vocab.customPrice.test(child.textContent || ""))
+  );
+  // A row of prices without periods, CTAs or features is a stat bar
+  const plans = cards
+    .slice(0, MAX_PRICING_PLANS)
+    .map((card) => describePlanCard(card, priced.get(card) || null, vocab))
+    .filter((plan) => plan.price?.period || plan.cta || plan.feature_count > 0 || plan.is_custom);
+  if (plans.length < 2) return { pricing_plans: null };
+
+  const currencies = plans.map((p) => p.price?.currency).filter(Boolean);
+  const currency = currencies.sort((a, b) =>
+    currencies.filter((c) => c === b).length - currencies.filter((c) => c === a).length
+  )[0] || null;
+
+  return {
+    pricing_plans: {
+      is_pricing_page: isPricingPage,
+      currency,
+      billing_toggle: findBillingToggle(vocab, overlayEls),
+      highlighted_plan: plans.find((p) => p.highlighted)?.name || null,
+      plans,
+    },
+  };
+}
+
+function detectListItems({ inHero, vocab }) {
+  const legalTextRegex = vocab.legalLinks;
+  const navLinkRegex = vocab.navLinks;
+  const listContainers = Array.from(
+    document.querySelectorAll("ul, ol")
+  ).filter((list) => {
+    if (!inHero(list) || !isVisible(list)) return false;
+    // Exclude lists inside nav, header, footer, menu roles
+    if (inNavOrHeader(list)) return false;
+    return true;
+  });
+
+  const listItems = listContainers.flatMap((list) =>
+    Array.from(list.querySelectorAll("li")).map((el) => {
+      const r = viewportRect(el);
+      const style = getComputedStyle(el);
+      const listStyle = style.listStyleType || "";
+      const hasIcon =
+        !!el.querySelector("svg, img, i, [class*='icon' i]") ||
+        !!el.querySelector("[data-icon]");
+      const text = cleanText(el.innerText || "");
+      const words = wordCount(text, vocab);
+      const looksLikeLogo =
+        words <= 2 &&
+        !!el.querySelector("img, svg") &&
+        !el.querySelector("p, span, div");
+      const isLegal = legalTextRegex.test(text);
+      const isNavLink = navLinkRegex.test(text);
+      const inForm = !!el.closest("form");
+      // Check if the list item is essentially just a link (nav-style)
+      const isJustLink = el.children.length <= 1 && !!el.querySelector("a") && words <= 3;
+      return {
+        text,
+        top: r.top,
+        listStyle,
+        hasIcon,
+        wordCount: words,
+        looksLikeLogo,
+        isLegal,
+        isNavLink,
+        inForm,
+        isJustLink,
+        listStyleType: listStyle,
+      };
+    })
+  );
+
+  return { listContainers, listItems };
+}
+
+function detectShowcase({ inHero, inFold, heroText, ctas, detectedStack, listItems }) {
+  const allHeroText = heroText || "";
+
+  // Canvas and WebGL elements in hero
+  const heroCanvasElements = Array.from(document.querySelectorAll("canvas"))
+    .filter((el) => inHero(el) && isVisible(el));
+  const hasCanvas = heroCanvasElements.length > 0;
+  const hasWebGL = heroCanvasElements.some((el) => {
+    try { return !!(el.getContext("webgl2") || el.getContext("webgl")); } catch { return false; }
+  });
+
+  // Heavy SVG presence (inline animated SVGs, not just icons)
+  const heroSvgs = Array.from(document.querySelectorAll("svg"))
+    .filter((el) => inHero(el) && isVisible(el));
+  const largeSvgCount = heroSvgs.filter((el) => {
+    const r = viewportRect(el);
+    return r.width > 80 && r.height > 80;
+  }).length;
+
+  // Interactive elements: code editors, playgrounds, embedded demos
+  const interactiveSelectors = [
+    "[class*='playground' i]", "[class*='editor' i]", "[class*='sandbox' i]",
+    "[class*='codepen' i]", "[class*='repl' i]", "[class*='interactive' i]",
+    "[class*='demo' i]:not(button):not(a)", "iframe[src*='codepen']",
+    "iframe[src*='codesandbox']", "iframe[src*='stackblitz']",
+    "[contenteditable='true']",
+  ].join(", ");
+  const hasInteractiveDemoBase = !!document.querySelector(interactiveSelectors);
+
+  // Audio/voice-style interactive demo detection (e.g. ElevenLabs)
+  const heroTextInputs = Array.from(
+    document.querySelectorAll(
+      "textarea, input[type='text'], input[type='search'], [contenteditable='true'], [role='textbox']"
+    )
+  ).filter((el) => inFold(el) && isVisible(el));
+  const hasTextInput = heroTextInputs.length > 0;
+
+  const heroAudioElements = Array.from(document.querySelectorAll("audio"))
+    .filter((el) => inFold(el) && isVisible(el));
+  const hasAudioElement = heroAudioElements.length > 0;
+
+  const playButtonRegex = /\b(play|listen|preview|sample)\b/i;
+  const voiceRegex = /\b(voice|voices|text to speech|tts)\b/i;
+  const interactiveButtons = Array.from(
+    document.querySelectorAll("button, a, [role='button'], [tabindex]")
+  ).filter((el) => inFold(el) && isVisible(el));
+  const hasPlayButton = interactiveButtons.some((el) => {
+    const text = (el.innerText || "").trim();
+    const aria = (el.getAttribute("aria-label") || "").trim();
+    const title = (el.getAttribute("title") || "").trim();
+    return playButtonRegex.test(text) || playButtonRegex.test(aria) || playButtonRegex.test(title);
+  });
+  const playControlCandidates = Array.from(
+    document.querySelectorAll(
+      "button, a, [role='button'], [tabindex]"
+    )
+  )
+    .filter((el) => inFold(el) && isVisible(el))
+    .filter((el) => {
+      const cls = (el.className || "").toString();
+      const id = (el.id || "").toString();
+      const aria = (el.getAttribute("aria-label") || "");
+      const testId = (el.getAttribute("data-testid") || "");
+      const action = (el.getAttribute("data-action") || "");
+      return /\bplay\b/i.test(cls) ||
+        /\bplay\b/i.test(id) ||
+        /\bplay\b/i.test(aria) ||
+        /\bplay\b/i.test(testId) ||
+        /\bplay\b/i.test(action);
+    });
+  const hasPlayControl = hasPlayButton || playControlCandidates.length > 0;
+
+  const heroOptions = Array.from(
+    document.querySelectorAll(
+      "[role='listbox'], [role='option'], [role='tablist'], [role='tab'], [data-voice], [class*='voice' i]"
+    )
+  ).filter((el) => inFold(el) && isVisible(el));
+  let hasSelectableList = heroOptions.length >= 3;
+
+  // Detect list-style voice pickers: many rows with avatars + short labels
+  const rowContainers = Array.from(document.querySelectorAll("div, section, ul, ol"))
+    .filter((el) => inFold(el) && isVisible(el) && !inNavOrHeader(el) && !inFramerNavOrFooter(el))
+    .filter((el) => {
+      const style = getComputedStyle(el);
+      const isFlex = style.display === "flex" && style.flexDirection !== "column";
+      const isGrid = style.display === "grid";
+      return (isFlex || isGrid) && el.children.length >= 4;
+    });
+
+  const hasSelectableListFromRows = rowContainers.some((container) => {
+    const children = Array.from(container.children).filter(isVisible);
+    if (children.length < 4) return false;
+    const qualifying = children.filter((child) => {
+      const text = cleanText(child.innerText || "");
+      const wordCount = text.split(/\s+/).filter(Boolean).length;
+      const hasAvatar = !!child.querySelector("img, svg") || /avatar|voice|speaker/i.test(child.className || "");
+      return hasAvatar && wordCount > 0 && wordCount <= 4;
+    });
+    return qualifying.length >= 4;
+  });
+  if (hasSelectableListFromRows) hasSelectableList = true;
+
+  const hasVoiceLanguage = voiceRegex.test(allHeroText);
+
+  const looksLikeAudioDemo =
+    (hasTextInput && (hasSelectableList || hasVoiceLanguage || hasPlayControl || hasAudioElement)) ||
+    (hasSelectableList && (hasPlayControl || hasAudioElement || hasVoiceLanguage)) ||
+    (hasPlayControl && hasVoiceLanguage);
+
+  let hasInteractiveDemo = hasInteractiveDemoBase || looksLikeAudioDemo;
+
+  // Animation library in stack (from the stack detector)
+  const animationStacks = ["gsap", "lottie", "framer-motion", "three"];
+  const hasAnimationStack = detectedStack.some((s) => animationStacks.includes(s));
+
+  // Showcase language in hero text
+  const showcaseRegex = /\b(animate|animation|interactive|playground|demo|experiment|creative|motion|3d|webgl|three\.?js|canvas|generative|immersive|experience)\b/i;
+  const hasShowcaseLanguage = showcaseRegex.test(allHeroText);
+
+  // Composite showcase signal: animation stack + visual-heavy hero with minimal CTA
+  const isShowcaseHero = (hasAnimationStack || hasCanvas || hasWebGL || hasInteractiveDemo) &&
+    (ctas.length <= 1 || hasShowcaseLanguage || hasInteractiveDemo);
+
+  // Icon list items with short labels also read as selectable pickers
+  const interactiveListItems = listItems
+    .filter((item) => item.hasIcon)
+    .filter((item) => !item.looksLikeLogo)
+    .filter((item) => !item.isLegal && !item.isNavLink && !item.inForm && !item.isJustLink)
+    .filter((item) => item.wordCount > 0 && item.wordCount <= 4)
+    .filter((item) => item.text.length >= 2);
+  const hasSelectableListFromItems = interactiveListItems.length >= 4;
+  if (hasSelectableListFromItems) hasSelectableList = true;
+  if (hasTextInput && (hasSelectableListFromItems || hasVoiceLanguage)) {
+    hasInteractiveDemo = true;
+  }
+
+  const interactiveDebug = {
+    has_text_input: hasTextInput,
+    text_input_count: heroTextInputs.length,
+    has_audio_element: hasAudioElement,
+    audio_count: heroAudioElements.length,
+    has_play_button: hasPlayButton,
+    has_play_control: hasPlayControl,
+    play_control_candidates: playControlCandidates.length,
+    selectable_option_count: heroOptions.length,
+    has_selectable_list: hasSelectableList,
+    row_container_count: rowContainers.length,
+    has_selectable_list_from_rows: hasSelectableListFromRows,
+    has_selectable_list_from_items: hasSelectableListFromItems,
+    has_voice_language: hasVoiceLanguage,
+    has_interactive_demo_base: hasInteractiveDemoBase,
+    looks_like_audio_demo: looksLikeAudioDemo,
+    has_interactive_demo: hasInteractiveDemo,
+  };
+
+  return {
+    has_canvas: Boolean(hasCanvas),
+    has_webgl: Boolean(hasWebGL),
+    large_svg_count: largeSvgCount,
+    has_interactive_demo: Boolean(hasInteractiveDemo),
+    has_animation_stack: Boolean(hasAnimationStack),
+    has_showcase_language: Boolean(hasShowcaseLanguage),
+    is_showcase_hero: Boolean(isShowcaseHero),
+    interactive_debug: interactiveDebug,
+  };
+}
+
+function detectErrorPage({ heroText, vocab, overlayEls }) {
+  const errorPageRegex = vocab.errorPage;
+  const pageTitle = document.title || "";
+  // A consent banner's "blocked"/"unavailable" wording isn't the page's
+  let bodyText = document.body?.innerText || "";
+  for (const el of overlayEls) bodyText = bodyText.replace(el.innerText || "", "");
+  bodyText = bodyText.slice(0, 500);
+  const isErrorPage = errorPageRegex.test(pageTitle) || errorPageRegex.test(bodyText) || errorPageRegex.test(heroText || "");
+  const errorPageReason = isErrorPage ? (
+    vocab.errorBlocked.test(bodyText + pageTitle) ? "bot_blocked" :
+    vocab.errorNotFound.test(bodyText + pageTitle) ? "not_found" :
+    vocab.errorServer.test(bodyText + pageTitle) ? "server_error" :
+    "unknown_error"
+  ) : null;
+
+  return {
+    is_error_page: Boolean(isErrorPage),
+    error_page_reason: errorPageReason,
+  };
+}
+
+function detectBullets({ inHero, listContainers, listItems, contentTop, vocab }) {
+  // Filter for true feature bullets: substantive descriptions of product capabilities.
+  // Exclude: short action hints ("Add website"), trust badges ("No credit card"),
+  // and CTA-adjacent micro-copy.
+  const actionHintRegex = vocab.bulletHint;
+  const shortActionRegex = vocab.bulletAction;
+  const featureListItems = listItems
+    .filter((item) => item.text.length >= 20 && /\p{L}/u.test(item.text))
+    .filter((item) => item.top >= contentTop)
+    .filter((item) => !item.looksLikeLogo)
+    .filter((item) => !item.isLegal && !item.isNavLink && !item.inForm && !item.isJustLink)
+    .filter((item) => !actionHintRegex.test(item.text))
+    // Short items (< 5 words) starting with action verbs are CTA hints, not features
+    .filter((item) => !(item.wordCount < 5 && shortActionRegex.test(item.text)))
+    .filter((item) => {
+      // Must have a visible list marker or a leading icon with substantial text
+      if (item.listStyleType && item.listStyleType !== "none") return item.wordCount >= 4;
+      if (!item.hasIcon) return false;
+      return item.wordCount >= 5;
+    });
+
+  const bulletCount = featureListItems.length;
+
+  // Virtual bullet detection: find div/section containers with 3+ similar children
+  // that follow an icon + text pattern (Tailwind/component-based builds)
+  let virtualBulletCount = 0;
+  if (bulletCount < 2) {
+    const bulletContainers = Array.from(
+      document.querySelectorAll("div, section")
+    ).filter((el) => {
+      if (!inHero(el) || !isVisible(el) || inNavOrHeader(el)) return false;
+      const style = getComputedStyle(el);
+      const isFlex = style.display === "flex";
+      const isGrid = style.display === "grid";
+      return (isFlex || isGrid) && el.children.length >= 3;
+    });
+
+    for (const container of bulletContainers) {
+      const children = Array.from(container.children).filter(isVisible);
+      if (children.length < 3) continue;
+
+      const featureChildren = children.filter((child) => {
+        const hasIcon = !!child.querySelector("svg, img, i, [class*='icon' i], [data-icon]");
+        const text = cleanText(child.innerText || "");
+        const wordCount = text.split(/\s+/).filter(Boolean).length;
+        return hasIcon && wordCount >= 4;
+      });
+
+      if (featureChildren.length >= 3) {
+        virtualBulletCount = Math.max(virtualBulletCount, featureChildren.length);
+      }
+    }
+  }
+
+  const totalBulletCount = bulletCount + virtualBulletCount;
+  const totalListsInHero = listContainers.length;
+
+  return {
+    bullet_count: totalBulletCount,
+    feature_bullet_count: totalBulletCount,
+    has_feature_bullets: totalBulletCount >= 2,
+    total_lists_in_hero: totalListsInHero,
+    list_items_raw: featureListItems
+      .concat(
+        listItems.filter(
+          (item) =>
+            !featureListItems.includes(item) &&
+            !item.looksLikeLogo &&
+            !item.isLegal &&
+            !item.isNavLink &&
+            !item.isJustLink
+        )
+      )
+      .slice(0, 20)
+      .map((item) => ({ text: item.text, wordCount: item.wordCount })),
+  };
+}
+
+// Lowercase file extension of a media URL ("jpg", "svg", …), or null
+function mediaExtension(url) {
+  if (!url || url.startsWith("data:")) {
+    return (url?.match(/^data:image\/([\w+]+)/) || [])[1]?.replace("svg+xml", "svg") || null;
+  }
+  return ((url.split(/[?#]/)[0].match(/\.(\w{2,5})$/) || [])[1] || "").toLowerCase() || null;
+}
+
+// Class names and ids of an element and its nearest ancestors, for spotting
+// wrappers like `.device-frame` or `.hero-bg`
+function ancestorHints(el, levels = 4) {
+  const hints = [];
+  for (let node = el; node && levels >= 0; node = node.parentElement, levels--) {
+    hints.push(typeof node.className === "string" ? node.className : "", node.id || "");
+  }
+  return hints.join(" ").toLowerCase();
+}
+
+/**
+ * Media kind of a hero visual, from what the page exposes: tag, file
+ * extension, alt/src/class wording, size and aspect ratio, object-fit and
+ * device-frame wrappers. One of logo, 3d, device_mockup, product_screenshot,
+ * person, illustration, abstract_background, photo — or null when nothing
+ * points anywhere (e.g. a video with no telling names).
+ */
+function classifyMediaKind(el, rect, { viewportWidth, heroBottom }) {
+  const tag = el.tagName.toLowerCase();
+  const style = getComputedStyle(el);
+  const src = el.currentSrc || el.getAttribute("src") || el.getAttribute("poster") ||
+    (style.backgroundImage.match(/url\(["']?([^"')]+)/) || [])[1] || "";
+  const ext = mediaExtension(src);
+  const words = `${src} ${el.getAttribute("alt") || ""} ${el.getAttribute("aria-label") || ""}`.toLowerCase();
+  const wrappers = ancestorHints(el);
+  const ratio = rect.height > 0 ? rect.width / rect.height : 0;
+
+  if ((rect.width < 180 && rect.height < 80) || /\blogo/.test(words)) return "logo";
+
+  if (
+    ["glb", "gltf", "usdz"].includes(ext) ||
+    /\b(3d|render|spline)\b/.test(words) ||
+    el.closest("spline-viewer, model-viewer")
+  ) {
+    return "3d";
+  }
+  if (tag === "canvas") {
+    try {
+      return el.getContext("webgl2") || el.getContext("webgl") ? "3d" : "illustration";
+    } catch {
+      return "illustration";
+    }
+  }
+
+  if (/(mockup|device|iphone|ipad|macbook|laptop|phone[-_ ]?frame|browser[-_ ]?(frame|window|chrome)|screen[-_ ]?frame)/.test(`${words} ${wrappers}`)) {
+    return "device_mockup";
+  }
+
+  if (/(dashboard|analytics|report|insight|screenshot|product|app[-_ ]?(ui|screen)|\bui\b|interface)/.test(`${words} ${wrappers}`)) {
+    return "product_screenshot";
+  }
+
+  const round = parseFloat(style.borderTopLeftRadius) >= Math.min(rect.width, rect.height) / 2 - 1;
+  if (/(portrait|headshot|person|people|team|founder|\bceo\b|woman|\bman\b|avatar|face|customer)/.test(words) || (round && ratio > 0.8 && ratio < 1.25)) {
+    return "person";
+  }
+
+  if (tag === "svg" || ext === "svg" || /(illustration|vector|drawing|graphic|doodle)/.test(`${words} ${wrappers}`)) {
+    return "illustration";
+  }
+
+  const coversHero = rect.width >= viewportWidth * 0.8 && rect.height >= heroBottom * 0.5;
+  if (
+    /(\bbg\b|background|gradient|blur|pattern|texture|noise|abstract|blob|glow)/.test(`${words} ${wrappers}`) ||
+    (coversHero && (style.objectFit === "cover" || tag === "video"))
+  ) {
+    return "abstract_background";
+  }
+
+  if (["jpg", "jpeg", "avif", "heic"].includes(ext) || (tag === "img" && ext === "webp")) return "photo";
+  return null;
+}
+
+// Hosted-video providers recognised in iframe/link URLs
+var VIDEO_EMBED_PROVIDERS = [
+  { name: "youtube", pattern: /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?v=|shorts\/)|youtu\.be\/)([\w-]{6,})/i },
+  { name: "vimeo", pattern: /(?:player\.)?vimeo\.com\/(?:video\/)?(\d+)/i },
+  { name: "wistia", pattern: /(?:wistia\.(?:com|net)\/(?:embed\/(?:iframe|medias)\/|medias\/)|wistia_async_)(\w+)/i },
+  { name: "loom", pattern: /loom\.com\/(?:embed|share)\/(\w+)/i },
+];
+
+// { provider, id } for a hosted-video URL, or null
+function matchVideoProvider(url) {
+  for (const { name, pattern } of VIDEO_EMBED_PROVIDERS) {
+    const m = (url || "").match(pattern);
+    if (m) return { provider: name, id: m[1] || null };
+  }
+  return null;
+}
+
+// Container format of a <video>, from its <source type> or URL
+function videoSourceType(video) {
+  const typed = video.querySelector("source[type]")?.getAttribute("type");
+  if (typed) return typed.replace(/^video\//, "").split(";")[0];
+  const src = video.currentSrc || video.src || video.querySelector("source")?.src || "";
+  if (src.startsWith("blob:")) return "stream"; // MediaSource (HLS.js, dash.js)
+  const ext = (src.split("?")[0].match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+  if (ext === "m3u8") return "hls";
+  if (ext === "mpd") return "dash";
+  return ext || null;
+}
+
+// Playback attributes of a hero <video>. A muted autoplaying video without
+// controls is decoration behind the copy; anything else is a player.
+function describeVideo(video) {
+  const r = viewportRect(video);
+  const autoplay = video.autoplay || video.hasAttribute("autoplay");
+  const muted = video.muted || video.hasAttribute("muted");
+  const controls = video.controls || video.hasAttribute("controls");
+  return {
+    role: autoplay && muted && !controls ? "background" : "player",
+    autoplay,
+    loop: video.loop || video.hasAttribute("loop"),
+    muted,
+    controls,
+    plays_inline: video.hasAttribute("playsinline"),
+    poster: video.getAttribute("poster") || null,
+    // NaN until metadata loads, Infinity for live streams
+    duration: Number.isFinite(video.duration) ? Math.round(video.duration * 10) / 10 : null,
+    source_type: videoSourceType(video),
+    width: Math.round(r.width),
+    height: Math.round(r.height),
+    source: elementSource(video),
+  };
+}
+
+function detectMedia({ inHero, searchRoots, viewportWidth, viewportHeight, heroBottom, headline, subheadline, layout }) {
+  const mediaElements = queryAllDeep(searchRoots, "img, video, svg, canvas, figure")
+    .filter((el) => inHero(el) && isVisible(el))
+    .map((el) => {
+      const r = viewportRect(el);
+      return {
+        el,
+        rect: r,
+        area: r.width * r.height,
+      };
+    })
+    .sort((a, b) => b.area - a.area);
+
+  const largestMedia = mediaElements[0];
+
+  // Collect details for all meaningful images/media in the hero
+  const heroMedia = mediaElements
+    .filter((m) => m.area > 400) // Skip tiny icons
+    .slice(0, 10); // Cap at 10
+  const heroImages = heroMedia
+    .map((m) => {
+      const el = m.el;
+      const tag = el.tagName.toLowerCase();
+      return {
+        tag,
+        alt: el.alt || el.getAttribute("aria-label") || null,
+        width: Math.round(m.rect.width),
+        height: Math.round(m.rect.height),
+        position: {
+          top: Math.round(m.rect.top),
+          left: Math.round(m.rect.left),
+        },
+        source: elementSource(el),
+        kind: classifyMediaKind(el, m.rect, { viewportWidth, heroBottom }),
+      };
+    });
+
+  const keywordText = [headline, subheadline].filter(Boolean).join(" ");
+  const hasDashboardKeywords = /(dashboard|analytics|reporting|metrics|kpi|overview|insights)/i.test(
+    keywordText
+  );
+  const heroMediaTag =
+    largestMedia?.el?.tagName?.toLowerCase?.() || null;
+  const heroMediaSource =
+    largestMedia?.el?.src ||
+    largestMedia?.el?.currentSrc ||
+    "";
+  const heroMediaAlt = largestMedia?.el?.alt || "";
+  const mediaLooksLikeProductUi = /(dashboard|analytics|report|insight|ui|product|screenshot)/i.test(
+    `${heroMediaSource} ${heroMediaAlt}`
+  );
+  // Video: native <video>, hosted-player iframes (plus the lazy
+  // <lite-youtube>/Wistia div embeds), and "Watch video" modal triggers
+  const prominentArea = viewportWidth * 0.22 * viewportHeight * 0.22;
+  const videos = mediaElements
+    .filter((m) => m.el.tagName === "VIDEO" && m.area > 400)
+    .map((m) => describeVideo(m.el));
+
+  const embeds = queryAllDeep(searchRoots, "iframe, lite-youtube, lite-vimeo, [class*='wistia_async_']")
+    .filter((el) => inHero(el) && isVisible(el))
+    .map((el) => {
+      const url = el.getAttribute("src") || el.getAttribute("data-src") ||
+        (el.getAttribute("videoid") ? `youtube.com/embed/${el.getAttribute("videoid")}` : "") ||
+        String(el.className);
+      const match = matchVideoProvider(url);
+      if (!match) return null;
+      const r = viewportRect(el);
+      return {
+        ...match,
+        autoplay: /[?&](autoplay|autoPlay)=(1|true)/.test(url),
+        width: Math.round(r.width),
+        height: Math.round(r.height),
+        area: r.width * r.height,
+        source: elementSource(el),
+      };
+    })
+    .filter(Boolean);
+
+  const videoTriggerText = /^(watch|play|see)\b.{0,30}\b(video|demo|film|trailer|story|keynote|it in action)|^play$|^watch( now)?$/i;
+  const videoTriggers = queryAllDeep(searchRoots, "a, button, [role='button']")
+    .filter((el) => inHero(el) && isVisible(el))
+    .map((el) => {
+      const text = cleanText(el.innerText || el.getAttribute("aria-label") || "");
+      const href = el.getAttribute("href") || "";
+      const linked = matchVideoProvider(href);
+      // Video wording on a link to another page is navigation, not a modal
+      const navigates = el.tagName === "A" && !!href && !href.startsWith("#") && !el.hasAttribute("data-video");
+      if (!linked && !(videoTriggerText.test(text) && !navigates)) return null;
+      return { text: text || null, provider: linked?.provider || null, href: href || null };
+    })
+    .filter(Boolean)
+    .slice(0, 5);
+
+  const largestVideoArea = Math.max(
+    0,
+    ...mediaElements.filter((m) => m.el.tagName === "VIDEO").map((m) => m.area),
+    ...embeds.map((e) => e.area)
+  );
+
+  const heroMediaType =
+    largestMedia &&
+    largestMedia.area > prominentArea &&
+    (heroMediaTag === "img" || heroMediaTag === "video") &&
+    (mediaLooksLikeProductUi || hasDashboardKeywords)
+      ? "product-ui"
+      : null;
+
+  const hasDashboardPreview =
+    heroMediaType === "product-ui" && hasDashboardKeywords;
+
+  const leftCopyRightMedia =
+    layout === "split" &&
+    largestMedia &&
+    largestMedia.rect.left > viewportWidth * 0.5;
+
+  return {
+    heroMediaType,
+    heroMediaElements: heroMedia.map((m) => m.el),
+    has_dashboard_preview: Boolean(hasDashboardPreview),
+    has_dashboard_keywords: Boolean(hasDashboardKeywords),
+    left_copy_right_media: Boolean(leftCopyRightMedia),
+    hero_media_type: heroMediaType,
+    hero_images: heroImages,
+    hero_image_count: heroImages.length,
+    hero_media: {
+      // hero_media_type stays "product-ui" | null; a prominent video only shows here
+      type: heroMediaType || (largestVideoArea > prominentArea ? "video" : null),
+      // Kind of the largest visual, so "left copy, right device mockup" reads off directly
+      kind: heroImages[0]?.kind || null,
+      has_video: videos.length > 0 || embeds.length > 0,
+      videos,
+      embeds: embeds.map(({ area, ...embed }) => embed),
+      video_triggers: videoTriggers,
+    },
+  };
+}
+
+// Review platforms recognised in badge images/links/widgets and rating text
+var REVIEW_PLATFORMS = [
+  { name: "G2", pattern: /\bg2(?:\s*crowd)?\b|g2\.com|g2crowd/i },
+  { name: "Capterra", pattern: /capterra/i },
+  { name: "Trustpilot", pattern: /trustpilot/i },
+  { name: "Product Hunt", pattern: /product\s*hunt|producthunt/i },
+];
+
+// Cap on each structured social proof list; past this it's a wall of logos
+var MAX_SOCIAL_PROOF_ITEMS = 12;
+
+// Words that decorate a logo's alt/filename without naming the customer
+var LOGO_NOISE_WORDS = /\b(logos?|logotype|logomark|wordmark|brand|company|customer|client|partner|icon|image|img|svg|png|webp|color|colou?red|white|black|dark|light|gr[ae]y|mono(chrome)?|full|small|large|default|original|horizontal|vertical|\d+x)\b/gi;
+
+function reviewPlatform(text) {
+  return REVIEW_PLATFORMS.find((p) => p.pattern.test(text || ""))?.name || null;
+}
+
+// "acme-logo-white@2x.svg" / "Acme Corp logo" → "Acme Corp"
+function logoName(text, { fromFilename = false } = {}) {
+  let name = String(text || "");
+  if (fromFilename) {
+    name = name
+      .replace(/[?#].*$/, "")
+      .split("/")
+      .pop()
+      .replace(/\.[a-z0-9]+$/i, "")
+      // Hash suffixes from bundlers and CMSes: acme.3f9a1c, acme_a1b2c3d4
+      .replace(/[._-][a-f0-9]{6,}$/i, "")
+      .replace(/@\dx$/i, "")
+      .replace(/[-_.]+/g, " ");
+  }
+  name = name.replace(/['’]s\b/g, "").replace(LOGO_NOISE_WORDS, " ").replace(/\s+/g, " ").trim();
+  if (name.length < 2 || /^\d+$/.test(name)) return null;
+  if (fromFilename) name = name.replace(/\b[a-z]/g, (c) => c.toUpperCase());
+  return name;
+}
+
+/**
+ * Customer name for one logo-row item (an img, an svg, or a wrapper around
+ * one). Tries, in order: aria-label (on the item, its wrapper or its
+ * link), alt text, title / svg <title>, then the image filename.
+ */
+function logoCustomerName(el) {
+  const img = el.tagName === "IMG" ? el : el.querySelector?.("img");
+  const svg = el.tagName.toLowerCase() === "svg" ? el : el.querySelector?.("svg");
+  const link = el.closest("a");
+
+  const labelled = [el, svg, img, el.parentElement, link].find((node) => node?.getAttribute("aria-label"));
+  if (labelled) {
+    const name = logoName(labelled.getAttribute("aria-label"));
+    if (name) return { name, source: "aria-label" };
+  }
+  if (img?.getAttribute("alt")) {
+    const name = logoName(img.getAttribute("alt"));
+    if (name) return { name, source: "alt" };
+  }
+  const title = el.getAttribute("title") || svg?.querySelector("title")?.textContent;
+  if (title) {
+    const name = logoName(title);
+    if (name) return { name, source: "title" };
+  }
+  const src = img?.currentSrc || img?.getAttribute("src") || svg?.querySelector("use")?.getAttribute("href");
+  if (src && !src.startsWith("data:")) {
+    const name = logoName(src, { fromFilename: true });
+    if (name) return { name, source: "filename" };
+  }
+  return null;
+}
 
-        const isFixedOrSticky = (el) => {
-          const style = getComputedStyle(el);
-          return style.position === "fixed" || style.position === "sticky";
-        };
+function parseReviewCount(digits, suffix) {
+  const n = Number(digits.replace(/[,.\s](?=\d{3}\b)/g, "").replace(",", "."));
+  if (!Number.isFinite(n)) return null;
+  const scale = { k: 1e3, m: 1e6 }[(suffix || "").toLowerCase()] || 1;
+  return Math.round(n * scale);
+}
 
-        // Hero boundary: find the above-the-fold section.
-        // Walk visible top-level sections (or deeper if body has ≤3 children)
-        // and cap at ~1.15× viewport height to avoid spanning the entire page.
-        const heroMaxBottom = viewportHeight * 1.15;
-
-        let heroSections = Array.from(document.body?.children || []);
-        // If body has very few direct children (SPA wrappers), look one level deeper
-        if (heroSections.length <= 3) {
-          const deeper = [];
-          for (const wrapper of heroSections) {
-            const r = wrapper.getBoundingClientRect();
-            // If the wrapper is taller than the viewport, dig into its children
-            if (r.height > viewportHeight * 1.5 && wrapper.children.length > 1) {
-              deeper.push(...Array.from(wrapper.children));
-            } else {
-              deeper.push(wrapper);
-            }
-          }
-          if (deeper.length > heroSections.length) heroSections = deeper;
-        }
+/**
+ * Rating in a short text chunk: "4.8 from 2,000 reviews", "4.9/5 on G2",
+ * "★★★★★ 1.2k ratings". Needs an explicit scale (/5, stars) or a review
+ * count, so a bare "4.8" never reads as a rating. Returns null otherwise.
+ */
+function parseRating(text) {
+  const scaled =
+    text.match(/(\d(?:[.,]\d{1,2})?)\s*(?:\/|out\s+of)\s*(5|10)\b/i) ||
+    text.match(/(\d(?:[.,]\d{1,2})?)\s*(?:stars?\b|★)/i);
+  const counted = text.match(/(\d[\d,.]*)\s*([km])?\+?\s*(?:[a-z]+\s+){0,2}?(?:reviews?|ratings?)\b/i);
+  const glyphs = (text.match(/★/g) || []).length;
+
+  let value = scaled ? Number(scaled[1].replace(",", ".")) : null;
+  if (value == null && counted) {
+    const bare = text.replace(counted[0], " ").match(/\b([1-4][.,]\d{1,2}|5(?:[.,]0{1,2})?)\b/);
+    if (bare) value = Number(bare[1].replace(",", "."));
+  }
+  if (value == null && glyphs >= 3) value = glyphs;
+  if (value == null && !counted) return null;
+
+  return {
+    value,
+    scale: scaled?.[2] ? Number(scaled[2]) : 5,
+    count: counted ? parseReviewCount(counted[1], counted[2]) : null,
+    platform: reviewPlatform(text),
+    text,
+  };
+}
 
-        const sections = heroSections.map((el) => {
-          const r = el.getBoundingClientRect();
-          return {
-            el,
-            top: r.top,
-            height: r.height,
-            bottom: r.bottom,
-          };
-        });
+// How much a parsed rating says — used to pick between nested chunks
+function ratingDetail(rating) {
+  return (rating.value != null) + (rating.count != null) + (rating.platform != null);
+}
 
-        let heroBottom = viewportHeight;
-        for (const s of sections) {
-          if (s.bottom <= 0) continue;
-          if (s.top >= heroMaxBottom) break;
-          heroBottom = Math.min(heroMaxBottom, Math.max(heroBottom, s.bottom));
+function detectSocialProof({ inHero, heroText, heroTextNodes, searchRoots, vocab }) {
+  // Logo detection: find small images that look like company/partner logos.
+  // Exclude images inside data containers (tables, grids).
+  const logoCandidate = Array.from(document.querySelectorAll("img"))
+    .filter((el) => {
+      if (!inHero(el) || !isVisible(el)) return false;
+      if (el.closest("table, [role='grid'], [role='row'], [role='cell'], tr, td, th")) return false;
+      return true;
+    })
+    .map((el) => {
+      const r = viewportRect(el);
+      return {
+        el,
+        width: r.width,
+        height: r.height,
+        top: r.top,
+        left: r.left,
+        centerY: r.top + r.height / 2,
+        alt: (el.alt || "").toLowerCase(),
+      };
+    })
+    .filter(
+      (img) =>
+        img.width > 24 &&
+        img.width < 180 &&
+        img.height < 80 &&
+        !/(icon|favicon)/i.test(img.alt)
+    );
+
+  // SVG logo detection: inline SVGs that look like partner/company logos
+  const svgLogoCandidates = Array.from(document.querySelectorAll("svg"))
+    .filter((el) => {
+      if (!inHero(el) || !isVisible(el)) return false;
+      if (inNavOrHeader(el)) return false;
+      // Exclude icon buttons — SVGs inside interactive elements are likely UI icons
+      if (el.closest("button, a[href], [role='button']")) return false;
+      if (el.closest("table, [role='grid'], [role='row']")) return false;
+      return true;
+    })
+    .map((el) => {
+      const r = viewportRect(el);
+      return {
+        el,
+        width: r.width,
+        height: r.height,
+        top: r.top,
+        left: r.left,
+        centerY: r.top + r.height / 2,
+        alt: (el.getAttribute("aria-label") || "").toLowerCase(),
+      };
+    })
+    .filter(
+      (svg) =>
+        svg.width > 24 &&
+        svg.width < 180 &&
+        svg.height > 10 &&
+        svg.height < 80 &&
+        !/(icon|favicon|arrow|chevron|check|close|menu|hamburger)/i.test(svg.alt)
+    );
+
+  // Merge img and svg logo candidates
+  const allLogoCandidates = [...logoCandidate, ...svgLogoCandidates];
+
+  // Detect horizontal logo rows: cluster logos by similar Y position (within 25px).
+  // A social proof row is 3+ logos at roughly the same vertical position,
+  // spread horizontally across a meaningful width (> 200px).
+  let logoRowCount = 0;
+  let logoRowElements = [];
+  let logoRowStrategy = null;
+  if (allLogoCandidates.length >= 3) {
+    const sorted = [...allLogoCandidates].sort((a, b) => a.centerY - b.centerY);
+    let i = 0;
+    while (i < sorted.length) {
+      const rowY = sorted[i].centerY;
+      const rowItems = [];
+      let j = i;
+      while (j < sorted.length && Math.abs(sorted[j].centerY - rowY) < 25) {
+        rowItems.push(sorted[j]);
+        j++;
+      }
+      if (rowItems.length >= 3) {
+        // Check horizontal spread: logos must span > 200px horizontally
+        const minLeft = Math.min(...rowItems.map((r) => r.left));
+        const maxLeft = Math.max(...rowItems.map((r) => r.left));
+        if (maxLeft - minLeft > 200 && rowItems.length > logoRowCount) {
+          logoRowCount = rowItems.length;
+          logoRowElements = rowItems.map((item) => item.el);
+          logoRowStrategy = "Logo-sized images clustered on one row";
         }
+      }
+      i = j;
+    }
+  }
 
-        const inHero = (el) => {
-          const r = el.getBoundingClientRect();
-          return r.bottom > 0 && r.top < heroBottom;
-        };
+  // Logo container detection: find flex/grid containers with 3+ small media children
+  // Catches styled logo bars even when individual items don't match size heuristics
+  if (logoRowCount < 3) {
+    const logoContainers = Array.from(document.querySelectorAll("div, section, ul"))
+      .filter((el) => {
+        if (!inHero(el) || !isVisible(el) || inNavOrHeader(el)) return false;
+        const style = getComputedStyle(el);
+        const isFlex = style.display === "flex" && style.flexDirection !== "column";
+        const isGrid = style.display === "grid";
+        return isFlex || isGrid;
+      });
+
+    for (const container of logoContainers) {
+      const mediaChildren = Array.from(container.children).filter((child) => {
+        if (!isVisible(child)) return false;
+        const hasMedia = !!child.querySelector("img, svg") || child.tagName === "IMG" || child.tagName === "svg";
+        const r = viewportRect(child);
+        return hasMedia && r.width < 200 && r.height < 100;
+      });
+      if (mediaChildren.length >= 3 && mediaChildren.length > logoRowCount) {
+        logoRowCount = mediaChildren.length;
+        logoRowElements = mediaChildren;
+        logoRowStrategy = "Flex/grid container with small media children";
+      }
+    }
+  }
 
-        const inNavOrHeader = (el) => {
-          // Semantic nav / footer — NOT <header> or <aside> because some sites
-          // wrap the entire hero inside these (e.g. Webflow uses <aside> for
-          // sticky hero sections, many sites wrap hero in <header>). We handle
-          // them separately with size checks below.
-          if (el.closest(
-            "nav, footer, [role='navigation'], [role='menubar'], [role='menu'], [role='toolbar'], [aria-label*='nav' i], [aria-label*='menu' i], [data-testid*='nav' i], [data-testid*='header' i]"
-          )) return true;
-          // For <header>: only flag if the header is short (nav-height, not hero-height)
-          const header = el.closest("header");
-          if (header) {
-            const hRect = header.getBoundingClientRect();
-            if (hRect.height < 150) return true;
-          }
-          // For <aside>: only flag if it's narrow (sidebar-width) or short.
-          // Full-width/tall <aside> elements are often used as hero wrappers
-          // (e.g. Webflow's <aside class="home-hero-sticky">).
-          const aside = el.closest("aside");
-          if (aside) {
-            const aRect = aside.getBoundingClientRect();
-            if (aRect.width < viewportWidth * 0.5 || aRect.height < 150) return true;
-          }
-          // Class/id-based nav detection (Webflow, Framer, custom sites)
-          const navClassRegex = /\b(nav|navbar|navigation|menu|topbar|top-bar|site-header|masthead|toolbar)\b/i;
-          let node = el;
-          while (node && node !== document.body) {
-            const cls = (node.className || "").toString();
-            const id = (node.id || "").toString();
-            if (navClassRegex.test(cls) || navClassRegex.test(id)) {
-              // Verify it looks like a nav bar: at the top and short
-              const r = node.getBoundingClientRect();
-              if (r.top < 120 && r.height < 150) return true;
-            }
-            node = node.parentElement;
-          }
-          return false;
-        };
+  const logoCount = logoRowCount > 0 ? logoRowCount : allLogoCandidates.length;
 
-        // Framer sites use data-framer-name; extend inNavOrHeader to detect
-        // Framer footer/nav sections that lack semantic HTML tags.
-        const inFramerNavOrFooter = (el) => {
-          let node = el;
-          while (node && node !== document.body) {
-            const framerName = (node.getAttribute("data-framer-name") || "").toLowerCase();
-            if (/\b(footer|nav|navbar|navigation|menu|header)\b/.test(framerName)) {
-              // For "header" Framer names, only flag as nav if it's short (nav-like)
-              if (/\bheader\b/.test(framerName)) {
-                const r = node.getBoundingClientRect();
-                if (r.height >= 150) { node = node.parentElement; continue; }
-              }
-              return true;
-            }
-            node = node.parentElement;
-          }
-          return false;
-        };
+  // --- Structured social proof ---
+  const customers = [];
+  for (const el of logoRowElements) {
+    const customer = logoCustomerName(el);
+    if (customer && !customers.some((c) => c.name.toLowerCase() === customer.name.toLowerCase())) {
+      customers.push(customer);
+    }
+  }
 
-        // Content-based footer heuristic: detect elements whose text is
-        // predominantly footer/legal content (copyright, "all rights reserved",
-        // long lists of nav words). These leak through on Framer/SPA sites
-        // where the footer is a plain <div> with no semantic role.
-        const looksLikeFooterContent = (el) => {
-          const text = (el.innerText || "").trim();
-          if (!text) return false;
-          // Copyright notices are a dead giveaway
-          if (/©|\bcopyright\b|\ball rights reserved\b/i.test(text)) return true;
-          return false;
-        };
+  // Leaf-ish text chunks: short enough to be one claim or one rating line
+  const chunks = heroTextNodes
+    .map((el) => ({ el, text: cleanText(el.innerText || "") }))
+    .filter((c) => c.text && c.text.length <= 160);
 
-        const heroTextNodes = Array.from(
-          document.querySelectorAll("h1, h2, h3, p, span, div")
-        ).filter((el) =>
-          inHero(el) &&
-          !inNavOrHeader(el) &&
-          !inFramerNavOrFooter(el) &&
-          !looksLikeFooterContent(el) &&
-          isVisible(el) &&
-          !isFixedOrSticky(el)
-        );
-
-        const cleanText = (text) =>
-          text.replace(/\s+/g, " ").replace(/[^\S\r\n]+/g, " ").trim();
-
-        // Nav-word heuristic: text containing many navigation keywords is likely nav, not hero copy
-        const NAV_WORDS = /\b(log\s?in|sign\s?in|sign\s?up|pricing|blog|resources|community|support|contact|about|products?|solutions?|enterprise|platform|documentation|docs|careers|partners?)\b/gi;
-        const looksLikeNavText = (text) => {
-          if (!text) return false;
-          const matches = text.match(NAV_WORDS) || [];
-          const words = text.split(/\s+/).filter(Boolean);
-          // If ≥ 3 nav words and they make up ≥ 25% of the text, it's nav-like
-          return matches.length >= 3 && matches.length / words.length >= 0.25;
-        };
+  const claims = [];
+  for (const { text } of chunks) {
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+      if (vocab.proofClaims.test(sentence) && !claims.includes(sentence)) claims.push(sentence);
+    }
+  }
 
-        // Extract only direct text from an element, stripping nested link/button/nav text
-        const getDirectHeadlineText = (el) => {
-          if (!el) return "";
-          const clone = el.cloneNode(true);
-          // Remove skip-to-content links (accessibility anchors)
-          clone.querySelectorAll("a[href^='#']").forEach((a) => {
-            const t = (a.innerText || "").toLowerCase();
-            if (/skip\s*(to)?\s*(main|content|navigation)/i.test(t)) a.remove();
-          });
-          // Remove any nested nav-like elements (links in bulk, buttons, etc.)
-          const links = clone.querySelectorAll("a, button, [role='button'], nav, header");
-          // Only strip links if there are many (nav bars) — a single link wrapping headline text is fine
-          if (links.length >= 3) {
-            links.forEach((n) => n.remove());
-          }
-          const text = cleanText(clone.innerText || "");
-          // If after stripping we still have meaningful text, use it
-          if (text && text.split(/\s+/).filter(Boolean).length >= 2) return text;
-          // Otherwise fall back to original (the H1 might be a single link wrapping the headline)
-          return cleanText(el.innerText || "");
-        };
+  // Shortest chunks first; a wrapper only replaces the chunks inside it when
+  // it says more ("4.8" + "from 2,000 reviews" → the line holding both)
+  const ratingChunks = chunks
+    .map((c) => ({ ...c, rating: parseRating(c.text) }))
+    .filter((c) => c.rating)
+    .sort((a, b) => a.text.length - b.text.length);
+  let keptRatings = [];
+  for (const chunk of ratingChunks) {
+    const nested = keptRatings.filter((k) => chunk.el.contains(k.el));
+    if (nested.length === 0) {
+      keptRatings.push(chunk);
+    } else if (nested.every((k) => ratingDetail(chunk.rating) > ratingDetail(k.rating))) {
+      keptRatings = keptRatings.filter((k) => !nested.includes(k)).concat(chunk);
+    }
+  }
 
-        // Headline sanity: cap overly long text (SPA wrappers, Webflow artifacts)
-        const MAX_HEADLINE_WORDS = 30;
-        const truncateHeadline = (text) => {
-          if (!text) return text;
-          const words = text.split(/\s+/).filter(Boolean);
-          if (words.length <= MAX_HEADLINE_WORDS) return text;
-          const sentenceMatch = text.match(/^[^.!?]+[.!?]/);
-          if (sentenceMatch && sentenceMatch[0].split(/\s+/).length <= MAX_HEADLINE_WORDS) {
-            return sentenceMatch[0].trim();
-          }
-          return words.slice(0, 15).join(" ");
-        };
+  const testimonials = [];
+  const quoteContainers = queryAllDeep(
+    searchRoots,
+    "blockquote, q, figure, [class*='testimonial' i], [class*='quote' i]"
+  ).filter((el) => inHero(el) && isVisible(el) && !inNavOrHeader(el));
+  for (const container of quoteContainers) {
+    const quoteEl = container.matches("blockquote, q") ? container : container.querySelector("blockquote, q, p");
+    const quote = cleanText(quoteEl?.innerText || "").replace(/^["“”'‘]+|["“”'’]+$/g, "").trim();
+    const words = wordCount(quote, vocab);
+    if (words < 6 || words > 80 || testimonials.some((t) => t.quote === quote)) continue;
+
+    // Attribution usually sits next to the quote, not inside it
+    const scope = container.closest("figure, [class*='testimonial' i]") || container.parentElement || container;
+    const authorEl = scope.querySelector("cite, figcaption, [class*='author' i], [class*='name' i]");
+    const roleEl = scope.querySelector("[class*='role' i], [class*='position' i], [class*='job' i], [class*='company' i]");
+    let author = authorEl && !authorEl.contains(quoteEl) ? cleanText(authorEl.innerText || "") : null;
+    let role = roleEl && roleEl !== authorEl ? cleanText(roleEl.innerText || "") : null;
+    if (author && role && author.includes(role)) author = author.replace(role, "").replace(/[\s,—–|-]+$/, "").trim();
+    // "Jane Doe, CTO at Acme" / "Jane Doe — CTO"
+    if (author && !role) {
+      const [name, ...rest] = author.split(/\s*(?:,|—|–|\||\s-\s)\s*/);
+      if (rest.length > 0) {
+        author = name;
+        role = rest.join(", ");
+      }
+    }
+    testimonials.push({
+      quote,
+      author: author?.replace(/^[—–-]\s*/, "") || null,
+      role: role || null,
+    });
+  }
 
-        const h1 = heroTextNodes.find((el) => el.tagName === "H1");
-        let headline = h1 ? getDirectHeadlineText(h1) : null;
-        let headlineEl = h1 || null;
-        const wordCount = (text) =>
-          (text || "").split(/\s+/).filter(Boolean).length;
-
-        // Framer / animated-word sites often split the headline across
-        // multiple elements (one per word or line) inside a container.
-        // If the H1 text is suspiciously short, try to grab the full
-        // headline from the nearest RichTextContainer or heading wrapper.
-        if (h1 && headline && headline.split(/\s+/).filter(Boolean).length <= 2) {
-          // Strategy 1: Framer RichTextContainer
-          const rtc = h1.closest('[data-framer-component-type="RichTextContainer"]');
-          if (rtc) {
-            const full = cleanText(rtc.innerText || "");
-            if (full.length > headline.length && full.split(/\s+/).filter(Boolean).length <= MAX_HEADLINE_WORDS) {
-              headline = full;
-            }
-          }
-          // Strategy 2: Walk up to the nearest wrapper that has more
-          // heading-level text (covers Webflow/generic animated headings)
-          if (headline.split(/\s+/).filter(Boolean).length <= 2) {
-            let wrapper = h1.parentElement;
-            while (wrapper && wrapper !== document.body) {
-              const wText = cleanText(wrapper.innerText || "");
-              const wWords = wText.split(/\s+/).filter(Boolean).length;
-              // Stop expanding if we've hit nav-like text or too much content
-              if (looksLikeNavText(wText) || wWords > MAX_HEADLINE_WORDS) break;
-              if (wWords > headline.split(/\s+/).filter(Boolean).length && wWords <= MAX_HEADLINE_WORDS) {
-                headline = wText;
-              }
-              // Don't go higher than a section-level container
-              const tag = wrapper.tagName;
-              if (tag === "SECTION" || tag === "HEADER" || tag === "MAIN" || tag === "ARTICLE") break;
-              wrapper = wrapper.parentElement;
-            }
-          }
-        }
+  const reviewBadges = [];
+  const badgeCandidates = queryAllDeep(
+    searchRoots,
+    "img, a[href], iframe, [class*='trustpilot' i], [class*='badge' i]"
+  ).filter((el) => inHero(el) && isVisible(el));
+  for (const el of badgeCandidates) {
+    const attrs = ["alt", "src", "href", "aria-label", "title", "class"]
+      .map((name) => el.getAttribute(name) || "")
+      .join(" ");
+    const platform = reviewPlatform(attrs);
+    if (!platform || reviewBadges.some((b) => b.platform === platform)) continue;
+    const tag = el.tagName.toLowerCase();
+    reviewBadges.push({
+      platform,
+      kind: tag === "img" ? "image" : tag === "a" ? "link" : "widget",
+    });
+  }
 
-        // Discard if the h1 captured the entire page (Webflow/SPA issue)
-        if (headline && headline.split(/\s+/).filter(Boolean).length > MAX_HEADLINE_WORDS) {
-          headline = null;
-          headlineEl = null;
-        }
-        // Discard if the headline is just nav text
-        if (headline && looksLikeNavText(headline)) {
-          headline = null;
-          headlineEl = null;
-        }
+  // Social proof: either explicit text OR a horizontal row of 3+ logos
+  const hasSocialProofText = vocab.proofClaims.test(heroText);
+  const hasLogoRow = logoRowCount >= 3;
+  const hasSocialProof = hasSocialProofText || hasLogoRow;
+
+  return {
+    logoRowElements,
+    logoRowStrategy,
+    has_social_proof: Boolean(hasSocialProof),
+    logo_count: logoCount,
+    social_proof: {
+      customers: customers.slice(0, MAX_SOCIAL_PROOF_ITEMS),
+      testimonials: testimonials.slice(0, MAX_SOCIAL_PROOF_ITEMS),
+      ratings: keptRatings.map((c) => c.rating).slice(0, MAX_SOCIAL_PROOF_ITEMS),
+      review_badges: reviewBadges,
+      claims: claims.slice(0, MAX_SOCIAL_PROOF_ITEMS),
+    },
+  };
+}
 
-        const candidates = heroTextNodes
-          .map((el) => ({
-            el,
-            text: cleanText(el.innerText || ""),
-            directText: getDirectHeadlineText(el),
-            size: parseFloat(getComputedStyle(el).fontSize || "0") || 0,
-            top: el.getBoundingClientRect().top,
-          }))
-          // Exclude pure numbers/metrics (e.g. "412", "$2.2B") and very short strings
-          .filter((c) => c.text.length > 3 && /[a-zA-Z]{2,}/.test(c.text))
-          // Exclude nav-like text
-          .filter((c) => !looksLikeNavText(c.text))
-          // Cap overly long candidates
-          .filter((c) => c.text.split(/\s+/).filter(Boolean).length <= MAX_HEADLINE_WORDS)
-          .sort((a, b) => b.size - a.size);
-        const best = candidates[0];
-        let largestText = null;
-        if (best) {
-          const direct = best.directText;
-          largestText = (direct && !looksLikeNavText(direct) && direct.split(/\s+/).length >= 2)
-            ? direct
-            : best.text;
-        }
-        if (largestText) largestText = truncateHeadline(largestText);
-
-        const h1Rect = h1 ? h1.getBoundingClientRect() : null;
-        const h1FontSize = h1 ? parseFloat(getComputedStyle(h1).fontSize || "0") || 0 : 0;
-        const h1IsLink = h1 ? !!h1.closest("a") || !!h1.querySelector("a") : false;
-        const h1LooksSticky = h1 ? isFixedOrSticky(h1) || isFixedOrSticky(h1.parentElement) : false;
-        const h1LikelyNav =
-          !!h1 &&
-          (inNavOrHeader(h1) ||
-            inFramerNavOrFooter(h1) ||
-            h1LooksSticky ||
-            (h1Rect && h1Rect.top < 90 && h1Rect.height < 90 && h1Rect.width < viewportWidth * 0.5));
-        const headlineLooksLikeLogo = Boolean(
-          h1 &&
-          headline &&
-          wordCount(headline) <= 3 &&
-          h1Rect &&
-          h1Rect.top < 120 &&
-          h1Rect.height < 90 &&
-          h1FontSize <= 28 &&
-          (h1IsLink || h1Rect.width < viewportWidth * 0.35)
-        );
-        const candidateBeatsH1 = Boolean(
-          best &&
-          largestText &&
-          (!h1Rect || best.top >= h1Rect.bottom + 20) &&
-          (h1FontSize === 0 || best.size >= h1FontSize + 4)
-        );
-        const candidateClearlyBetter = Boolean(
-          best &&
-          largestText &&
-          h1Rect &&
-          best.top >= h1Rect.bottom + 24 &&
-          best.size >= h1FontSize + 8
-        );
-
-        if ((headlineLooksLikeLogo && candidateBeatsH1) || (h1LikelyNav && candidateBeatsH1) || candidateClearlyBetter) {
-          headline = largestText;
-          headlineEl = best.el;
-        }
+// Cap on extracted metrics; stat bars rarely show more than four
+var MAX_METRICS = 8;
 
-        if (!headline && largestText) {
-          headline = largestText;
-          headlineEl = best ? best.el : null;
-        }
+// "$2.2B", "10M+", "99.99%", "3x", "10,000+" — currency, number, scale word
+// or letter, then plus / percent / times in either order
+var METRIC_REGEX = /(?<![\w.,])([$€£¥])?\s?(\d{1,3}(?:[,.]\d{3})+|\d+(?:[.,]\d+)?)\s?(?:(k|mm|m|bn|b|thousand|million|billion)(?![a-z]))?(\+)?\s?(%|x|×)?(\+)?(?![a-z\d])/gi;
 
-        const headlineRect = headlineEl ? headlineEl.getBoundingClientRect() : null;
-        const contentTop = headlineRect ? headlineRect.top - 20 : 0;
+var METRIC_MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+var METRIC_SCALE_UNITS = { k: "K", thousand: "K", m: "M", mm: "M", million: "M", b: "B", bn: "B", billion: "B" };
 
-        let subheadline = null;
+// Words that end a metric's label: "10,000+ teams use Acme" → "teams"
+var METRIC_LABEL_STOPWORDS = /^(and|or|to|of|in|on|for|with|the|a|an|by|from|use|trust|love|rely|per|every|across)$/i;
 
-        // Build hero text from leaf-level elements only (avoid double-counting from wrapper divs)
-        const heroTextLeaves = heroTextNodes.filter((el) => {
-          const r = el.getBoundingClientRect();
-          if (r.top < contentTop) return false;
-          // Skip container divs that have child heading/paragraph elements already in the list
-          if (el.tagName === "DIV" || el.tagName === "SPAN") {
-            if (el.querySelector("h1, h2, h3, p")) return false;
-          }
-          return true;
-        });
-        const heroText = cleanText(
-          heroTextLeaves
-            .map((el) => el.innerText || "")
-            .join(" ")
-        )
-          // Strip any leading "skip to" accessibility text
-          .replace(/^skip\s*(to)?\s*(main\s*)?(content|navigation)\s*/i, "");
+/**
+ * Metric from one regex match, or null for numbers that aren't a stat: bare
+ * years, versions, times, prices per period, and small unitless numbers.
+ */
+function parseMetric(match, { standalone = false } = {}) {
+  const [text, currency, digits, scale, plusA, symbol, plusB] = match;
+  const unitless = !currency && !scale && !plusA && !symbol && !plusB;
+  const grouped = /^\d{1,3}(?:[,.]\d{3})+$/.test(digits);
+  const value = grouped ? digits.replace(/[,.]/g, "") : digits.replace(",", ".");
+  if (unitless && /^(19|20)\d{2}$/.test(value)) return null;
+  if (unitless && !standalone && !grouped && value.length < 3) return null;
+  const rest = match.input.slice(match.index + text.length);
+  if (/^\s*(\/|per\s)\s*(mo|month|yr|year|user|seat)/i.test(rest) || /^[:.]\d/.test(rest)) return null;
+  if (/v$/i.test(match.input.slice(0, match.index))) return null;
+
+  const scaleKey = (scale || "").toLowerCase();
+  const unit = `${METRIC_SCALE_UNITS[scaleKey] || ""}${symbol || ""}${plusA || plusB ? "+" : ""}`;
+  return {
+    value,
+    unit: unit || null,
+    currency: currency || null,
+    multiplier: METRIC_MULTIPLIERS[scaleKey] || 1,
+    text: text.trim(),
+  };
+}
 
-        const ctaCandidates = Array.from(
-          document.querySelectorAll("button, a, [role='button'], input[type='submit']")
-        )
-          .filter((el) => inHero(el) && !inNavOrHeader(el) && !inFramerNavOrFooter(el) && isVisible(el))
-          .map((el) => {
-            const r = el.getBoundingClientRect();
-            return {
-              text: cleanText(el.innerText || el.value || ""),
-              top: r.top,
-              left: r.left,
-              area: r.width * r.height,
-              isButton: el.tagName === "BUTTON" || el.tagName === "INPUT" || (el.getAttribute("role") === "button"),
-            };
-          })
-          .filter((c) => c.text);
-
-        const legalLinkRegex = /(user agreement|privacy policy|cookie policy|terms|legal)/i;
-        // Exclude common footer, social media, and single-word nav links
-        const footerNavRegex = /^(instagram|twitter|facebook|linkedin|youtube|tiktok|discord|reddit|github|medium|x|blog|about|careers|contact|support|help|terms|privacy|cookie|home|back to top|manifesto|research|the boring|the good|the cool|play by the rules|rules)$/i;
-        // Utility/secondary auth links that should never be primary CTA
-        const utilityLinkRegex = /^(forgot(ten)?\s*(your\s*)?(password|email|username)|reset\s*(your\s*)?(password|email)|can'?t\s*(log|sign)\s*in|need\s*help|trouble\s*(logging|signing)\s*in)/i;
-        const filteredCtas = ctaCandidates.filter(
-          (c) => {
-            if (legalLinkRegex.test(c.text)) return false;
-            if (footerNavRegex.test(c.text.trim())) return false;
-            if (utilityLinkRegex.test(c.text.trim())) return false;
-            // Single-word items under 12 chars that aren't common CTA words
-            const words = c.text.trim().split(/\s+/).filter(Boolean);
-            if (words.length === 1 && c.text.trim().length < 12 && !/^(start|try|buy|join|get|apply|subscribe|download|install|register|explore|discover|watch|book|schedule|request|submit|enter|launch|upgrade|claim|demo|contact)/i.test(c.text.trim())) return false;
-            return true;
-          }
-        );
-
-        const heroCtaCandidates = filteredCtas.filter((c) => {
-          if (c.top < 120) return false;
-          if (!headlineRect) return true;
-          // Exclude CTAs in the bottom 20% of viewport that are far from headline
-          if (c.top > viewportHeight * 0.8 && c.top > (headlineRect.bottom || 0) + 420) return false;
-          return c.top >= headlineRect.top - 40 && c.top <= headlineRect.bottom + 420;
-        });
+// Up to two words right after the number, stopping at punctuation or a
+// function word: "99.99% uptime SLA." → "uptime SLA"
+function metricLabelAfter(rest) {
+  const words = [];
+  for (const word of rest.trim().split(/\s+/)) {
+    const clean = word.replace(/[.,;:!?)]+$/, "");
+    if (!clean || !/\p{L}/u.test(clean) || METRIC_LABEL_STOPWORDS.test(clean)) break;
+    words.push(clean);
+    if (clean !== word || words.length === 2) break;
+  }
+  return words.join(" ") || null;
+}
 
-        // Sort CTAs: prefer buttons near/below the headline, deprioritize OAuth buttons
-        const oauthCtaRegex = /(sign\s*(in|up)\s*with|continue\s*with|log\s*in\s*with)\s*(google|apple|github|microsoft)/i;
-        // Primary action words that indicate a real CTA (not a utility link)
-        const primaryCtaRegex = /^(log\s*in|sign\s*(in|up)|create|register|get\s*started|start|try|buy|join|subscribe|download|explore|book|launch|submit|talk\s*to|contact|request|schedule|demo|watch|deploy|install|begin)/i;
-        const ctaPriority = (text) => {
-          const t = text.trim().toLowerCase();
-          if (!t) return 0;
-          // Self-serve / product-first actions
-          if (/^(deploy|start|try|get\s*started|sign\s*up|create|register|join|launch|download|install|begin|buy|subscribe)/i.test(t)) {
-            return 3;
-          }
-          // Sales-led actions
-          if (/^(book|schedule|request|contact|talk\s*to|demo|get\s*demo|book\s*demo|request\s*demo)/i.test(t)) {
-            return 2;
-          }
-          // Informational/secondary actions
-          if (/^(learn\s*more|explore|watch|see\s*more|view\s*details)/i.test(t)) {
-            return 1;
-          }
-          return primaryCtaRegex.test(t) ? 1 : 0;
-        };
-        heroCtaCandidates.sort((a, b) => {
-          // Deprioritize OAuth-style CTAs (they're auth shortcuts, not primary actions)
-          const aIsOAuth = oauthCtaRegex.test(a.text);
-          const bIsOAuth = oauthCtaRegex.test(b.text);
-          if (aIsOAuth !== bIsOAuth) return aIsOAuth ? 1 : -1;
-          // Prefer actual buttons over links (buttons are more likely primary CTAs)
-          if (a.isButton !== b.isButton) return a.isButton ? -1 : 1;
-          // Prefer higher-priority CTA verbs (self-serve > sales-led > info)
-          const aPriority = ctaPriority(a.text);
-          const bPriority = ctaPriority(b.text);
-          if (aPriority !== bPriority) return bPriority - aPriority;
-          // Prefer CTAs closest to headline bottom (where main CTAs typically sit)
-          if (headlineRect) {
-            const idealTop = headlineRect.bottom + 20;
-            const aDist = Math.abs(a.top - idealTop);
-            const bDist = Math.abs(b.top - idealTop);
-            if (Math.abs(aDist - bDist) > 30) return aDist - bDist;
-          }
-          // Tie-break: larger area first, then left-to-right
-          if (a.area !== b.area) return b.area - a.area;
-          return a.left - b.left;
-        });
+// Label for a stat-card number ("10M+" over "Users"): the neighbouring
+// element, or the rest of the parent's text when that's short
+function statCardLabel(el, numberText) {
+  const isLabel = (text) => text && wordCount(text) <= 6 && !/\d/.test(text);
+  for (const sibling of [el.nextElementSibling, el.previousElementSibling]) {
+    const text = cleanText(sibling?.innerText || "");
+    if (isLabel(text)) return text;
+  }
+  const rest = cleanText((el.parentElement?.innerText || "").replace(numberText, " "));
+  return isLabel(rest) ? rest : null;
+}
 
-        const ctas = heroCtaCandidates.map((c) => c.text);
-        const ctaDetails = heroCtaCandidates.map((c) => ({
-          text: c.text,
-          type: c.isButton ? "button" : "link",
-          position: { top: Math.round(c.top), left: Math.round(c.left) },
-        }));
-        const primaryCta = heroCtaCandidates[0]?.text || null;
-
-        const normalizeText = (text) => cleanText(text || "").toLowerCase();
-        const ctaTextSet = new Set(ctas.map((text) => normalizeText(text)));
-        const isLikelyCtaText = (text) => {
-          const norm = normalizeText(text);
-          if (!norm) return false;
-          if (ctaTextSet.has(norm)) return true;
-          for (const cta of ctaTextSet) {
-            if (cta && norm.includes(cta)) return true;
-          }
-          const shortWords = norm.split(/\s+/).filter(Boolean).length <= 4;
-          if (
-            shortWords &&
-            /^(sign\s*up|sign\s*in|log\s*in|contact\s*sales|talk\s*to\s*sales|get\s*started|start|try|request|book|schedule|join|buy|explore|learn\s*more)$/i.test(norm)
-          ) return true;
-          return false;
-        };
+function detectMetrics({ heroText, heroTextNodes }) {
+  const metricsVisible = /(\$\s?\d|\b\d{1,3}(?:[.,]\d{3})*(?:k|m|b)?\b|%)/i.test(
+    heroText
+  );
+
+  const metrics = [];
+  const add = (metric, label) => {
+    const key = `${metric.text}|${(label || "").toLowerCase()}`;
+    if (metrics.length >= MAX_METRICS || metrics.some((m) => `${m.text}|${(m.label || "").toLowerCase()}` === key)) return;
+    metrics.push({ ...metric, label });
+  };
+  // Stat numbers are often <strong>/<dd>, which heroTextNodes doesn't list
+  const isBlock = (node) => /^(block|flex|grid|list-item|table)/.test(getComputedStyle(node).display);
+  const blocks = [
+    ...new Set([
+      ...heroTextNodes,
+      ...heroTextNodes.flatMap((el) => Array.from(el.querySelectorAll("strong, b, em, dt, dd, li, h4, h5, h6"))),
+    ]),
+  ].sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  for (const el of blocks) {
+    // Innermost text blocks only: inline children are read as part of their
+    // block, and a stat bar's wrapper would glue "10M+" to the next card
+    if (!isBlock(el) || Array.from(el.querySelectorAll("*")).some(isBlock)) continue;
+    const text = cleanText(el.innerText || "");
+    if (!text || text.length > 160) continue;
+    const matches = [...text.matchAll(METRIC_REGEX)];
+
+    // Stat card: the element holds only the number, the label sits beside it
+    if (matches.length === 1 && matches[0][0].trim() === text) {
+      const metric = parseMetric(matches[0], { standalone: true });
+      const label = metric ? statCardLabel(el, text) : null;
+      if (metric && (label || metric.unit || metric.currency)) add(metric, label);
+      continue;
+    }
+    // Inline: "10M+ users", "99.99% uptime" — an unlabeled number in running
+    // text is too ambiguous to keep
+    for (const match of matches) {
+      const metric = parseMetric(match);
+      const label = metric ? metricLabelAfter(text.slice(match.index + match[0].length)) : null;
+      if (label) add(metric, label);
+    }
+  }
 
-        const siblingSubheadline = (() => {
-          if (!headlineEl) return null;
-
-          // Helper: test if an element is a valid subheadline candidate
-          const isSubCandidate = (el) => {
-            if (!el || !inHero(el) || inNavOrHeader(el) || inFramerNavOrFooter(el)) return false;
-            const text = cleanText(el.innerText || "");
-            if (!text || text.length < 10) return false;
-            if (text.split(/\s+/).filter(Boolean).length < 3) return false;
-            if (el.closest("button, a, [role='button']")) return false;
-            if (isLikelyCtaText(text)) return false;
-            return true;
-          };
-
-          // Strategy 1: direct nextElementSibling of headlineEl
-          let next = headlineEl.nextElementSibling;
-          while (next && (!inHero(next) || inNavOrHeader(next) || inFramerNavOrFooter(next))) {
-            next = next.nextElementSibling;
-          }
-          if (next) {
-            // If the sibling itself is a clean text element, use it
-            if (isSubCandidate(next) && !next.querySelector("button, a, [role='button']")) {
-              return { el: next, text: cleanText(next.innerText || "") };
-            }
-            // If the sibling is a container with buttons, look for a <p> or <h2>/<h3> inside it
-            const nested = next.querySelector("p, h2, h3");
-            if (nested && isSubCandidate(nested) && !nested.querySelector("button, a, [role='button']")) {
-              return { el: nested, text: cleanText(nested.innerText || "") };
-            }
-          }
-
-          // Strategy 2: walk up to headlineEl's parent and check ITS next sibling
-          const parent = headlineEl.parentElement;
-          if (parent && parent !== document.body) {
-            let parentNext = parent.nextElementSibling;
-            while (parentNext && (!inHero(parentNext) || inNavOrHeader(parentNext) || inFramerNavOrFooter(parentNext))) {
-              parentNext = parentNext.nextElementSibling;
-            }
-            if (parentNext) {
-              // Direct match
-              if (isSubCandidate(parentNext) && !parentNext.querySelector("button, a, [role='button']")) {
-                return { el: parentNext, text: cleanText(parentNext.innerText || "") };
-              }
-              // Nested <p> inside
-              const nested = parentNext.querySelector("p, h2, h3");
-              if (nested && isSubCandidate(nested) && !nested.querySelector("button, a, [role='button']")) {
-                return { el: nested, text: cleanText(nested.innerText || "") };
-              }
-            }
-          }
-
-          // Strategy 3: split/grid layouts — walk up to grandparent (or further)
-          // and search all <p> elements within it that are near the headline
-          const ancestors = [];
-          let walk = headlineEl.parentElement;
-          while (walk && walk !== document.body && ancestors.length < 3) {
-            ancestors.push(walk);
-            walk = walk.parentElement;
-          }
-          for (const ancestor of ancestors) {
-            const paragraphs = Array.from(ancestor.querySelectorAll("p"))
-              .filter((p) => p !== headlineEl && isSubCandidate(p) && !p.querySelector("button, a, [role='button']"))
-              .filter((p) => {
-                // Must not be inside nav/header
-                if (inNavOrHeader(p) || inFramerNavOrFooter(p)) return false;
-                // Must be near the headline vertically (within same visual band)
-                const pRect = p.getBoundingClientRect();
-                if (!headlineRect) return true;
-                const verticallyNear = pRect.top <= headlineRect.bottom + 200 && pRect.bottom >= headlineRect.top - 50;
-                return verticallyNear;
-              })
-              .map((p) => ({
-                el: p,
-                text: cleanText(p.innerText || ""),
-                size: parseFloat(getComputedStyle(p).fontSize || "0") || 0,
-                top: p.getBoundingClientRect().top,
-              }))
-              .filter((c) => c.text.length >= 20 && c.text.split(/\s+/).filter(Boolean).length >= 5)
-              .sort((a, b) => {
-                // Prefer text closest to headline (vertical distance)
-                const aDist = Math.abs(a.top - (headlineRect ? headlineRect.top : 0));
-                const bDist = Math.abs(b.top - (headlineRect ? headlineRect.top : 0));
-                return aDist - bDist;
-              });
-            if (paragraphs.length > 0) {
-              return { el: paragraphs[0].el, text: paragraphs[0].text };
-            }
-          }
-
-          return null;
-        })();
-
-        if (siblingSubheadline) {
-          subheadline = siblingSubheadline.text;
-        }
+  return { metrics_visible: Boolean(metricsVisible), metrics };
+}
 
-        if (!subheadline) {
-          const headlineSize = headlineEl
-            ? parseFloat(getComputedStyle(headlineEl).fontSize || "0") || 0
-            : 0;
-          const headlineTop = headlineRect ? headlineRect.top : 0;
-          const headlineBottom = headlineRect ? headlineRect.bottom : 0;
-
-          const candidates = heroTextNodes
-            .filter((el) => el !== headlineEl)
-            .filter((el) => inHero(el) && isVisible(el) && !inNavOrHeader(el) && !inFramerNavOrFooter(el) && !looksLikeFooterContent(el) && !isFixedOrSticky(el))
-            .filter((el) => !el.closest("button, a, [role='button']"))
-            .filter((el) => !el.querySelector("button, a, [role='button']"))
-            .map((el) => {
-              const rect = el.getBoundingClientRect();
-              return {
-                el,
-                text: cleanText(el.innerText || ""),
-                size: parseFloat(getComputedStyle(el).fontSize || "0") || 0,
-                top: rect.top,
-              };
-            })
-            .filter((c) => c.text && c.text.length >= 12 && c.text.split(/\s+/).filter(Boolean).length >= 4)
-            .filter((c) => !looksLikeNavText(c.text))
-            .filter((c) => !isLikelyCtaText(c.text))
-            .filter((c) => {
-              if (!headlineRect) return true;
-              // Allow elements that are:
-              // - Below the headline (vertical layout): top >= headlineTop - 50, top <= headlineBottom + 320
-              // - Side-by-side (split layout): vertically overlapping the headline band
-              const verticallyNear =
-                (c.top >= headlineTop - 50 && c.top <= headlineBottom + 320);
-              const sizeOk = headlineSize ? c.size <= headlineSize - 4 : true;
-              const notTooSmall = c.size >= Math.max(12, headlineSize * 0.32);
-              return verticallyNear && sizeOk && notTooSmall;
-            })
-            .sort((a, b) => {
-              if (headlineRect) {
-                // Prefer elements closest to the headline (vertical distance to headline center)
-                const headlineCenter = (headlineTop + headlineBottom) / 2;
-                const aDist = Math.abs(a.top - headlineCenter);
-                const bDist = Math.abs(b.top - headlineCenter);
-                if (Math.abs(aDist - bDist) > 20) return aDist - bDist;
-              }
-              if (a.size !== b.size) return b.size - a.size;
-              return a.text.length - b.text.length;
-            });
-
-          if (candidates[0]) {
-            subheadline = candidates[0].text;
-          }
-        }
+function detectHeroColors({ headlineEl, headlineRect }) {
+  const darkThemeResult = (() => {
+    const result = {
+      is_dark: false,
+      hero_bg: null,
+      hero_bg_gradient: null,
+      hero_bg_color_name: null,
+      hero_bg_gradient_tag: null,
+      hero_text_color: null,
+      sampled_element: null,
+    };
+    if (!headlineEl || !headlineRect) return result;
+    // Sample a point just to the left of the headline — likely on the background, not on text
+    const sampleX = Math.max(10, headlineRect.left - 30);
+    const sampleY = Math.max(10, headlineRect.top + headlineRect.height / 2);
+
+    // Walk from the element at that point upward until we find a non-transparent bg or gradient
+    let el = document.elementFromPoint(sampleX, sampleY);
+    if (!el) return result;
+    let bg = "rgba(0, 0, 0, 0)";
+    let bgImage = "none";
+    let guard = 0;
+    while (el && guard < 10) {
+      const cs = getComputedStyle(el);
+      bg = cs.backgroundColor;
+      bgImage = cs.backgroundImage;
+      // Stop if we found a solid bg or a gradient
+      if ((bg && bg !== "rgba(0, 0, 0, 0)") || (bgImage && bgImage !== "none")) break;
+      el = el.parentElement;
+      guard += 1;
+    }
 
-        const forms = Array.from(document.querySelectorAll("form")).filter((f) =>
-          inHero(f) && !inNavOrHeader(f) && !inFramerNavOrFooter(f)
-        );
-        const formFields = forms.reduce(
-          (sum, f) => sum + f.querySelectorAll("input").length,
-          0
-        );
-        const hasEmailOnly = forms.some((f) => {
-          const inputs = f.querySelectorAll("input");
-          return (
-            inputs.length === 1 && f.querySelector('input[type="email"]')
-          );
-        });
+    result.sampled_element = el
+      ? el.tagName?.toLowerCase() + (el.className ? `.${String(el.className).split(" ")[0]}` : "")
+      : null;
+    result.hero_bg = bg;
 
-        // Auth/login form detection: look for password fields in hero forms
-        // Also check for password inputs outside of forms (React apps often
-        // render inputs without wrapping <form> elements)
-        const hasPasswordField = forms.some((f) =>
-          !!f.querySelector('input[type="password"]')
-        ) || !!Array.from(document.querySelectorAll('input[type="password"]')).find((el) =>
-          inHero(el) && isVisible(el)
-        );
-
-        // OAuth detection: look for Google/Apple/GitHub/Microsoft sign-in buttons
-        // using multiple strategies to handle custom-rendered OAuth buttons
-        const oauthProviders = /\b(google|apple|github|microsoft)\b/i;
-        const oauthSelectors = [
-          'button img[src*="google" i]', 'button img[src*="apple" i]',
-          'button svg[aria-label*="google" i]', 'button svg[aria-label*="apple" i]',
-          'a img[src*="google" i]', 'a img[src*="apple" i]',
-          '[data-provider*="google" i]', '[data-provider*="apple" i]',
-          '[aria-label*="Continue with Google" i]', '[aria-label*="Sign in with Google" i]',
-          '[aria-label*="Continue with Apple" i]', '[aria-label*="Sign in with Apple" i]',
-        ].join(", ");
-        const hasOAuthElement = !!document.querySelector(oauthSelectors);
-
-        // Also check all buttons/links in the hero for OAuth provider text
-        const heroCtas = Array.from(document.querySelectorAll("button, a, [role='button']"))
-          .filter((el) => inHero(el) && isVisible(el));
-        const hasOAuthText = heroCtas.some((el) => {
-          const text = (el.innerText || "").trim();
-          return oauthProviders.test(text) && /(sign|log|continue|connect)\s*(in|up|with)/i.test(text);
-        });
+    // Check for gradient background-image
+    const hasGradient = bgImage && bgImage !== "none" && /gradient/i.test(bgImage);
+    if (hasGradient) {
+      result.hero_bg_gradient = bgImage;
+      result.hero_bg_gradient_tag = buildGradientTag(bgImage);
+    }
 
-        const hasOAuth = hasOAuthElement || hasOAuthText;
+    // Text color
+    const textColor = getComputedStyle(headlineEl).color;
+    result.hero_text_color = textColor;
+
+    // Determine the effective background color for classification
+    let bgColor = null;
+    const parsedBg = parseRgba(bg);
+    if (parsedBg && parsedBg.a > 0) {
+      bgColor = parsedBg;
+    } else if (hasGradient) {
+      // Extract first color stop from gradient
+      bgColor = firstGradientColor(bgImage);
+    }
 
-        const grids = Array.from(document.querySelectorAll("*"))
-          .filter((el) => inHero(el) && isVisible(el))
-          .filter((el) => getComputedStyle(el).display === "grid");
-        let maxChildren = 0;
-        grids.forEach((g) => {
-          maxChildren = Math.max(maxChildren, g.children.length);
-        });
+    if (bgColor) {
+      result.hero_bg_color_name = classifyColor(bgColor);
+    }
 
-        const hasFilters = !!document.querySelector(
-          'input[type="search"], select, [role="listbox"], [role="combobox"], input[type="checkbox"]'
-        );
-
-        const layout = (() => {
-          const hero = document.body?.firstElementChild;
-          if (!hero) return "single-column";
-          const rects = Array.from(hero.children)
-            .filter((el) => inHero(el) && isVisible(el))
-            .map((el) => el.getBoundingClientRect());
-          const left = rects.filter((r) => r.left < viewportWidth * 0.4);
-          const right = rects.filter((r) => r.left > viewportWidth * 0.6);
-          if (left.length && right.length) return "split";
-          return "single-column";
-        })();
-
-        const alignment = (() => {
-          if (!h1) return null;
-          const style = getComputedStyle(h1);
-          return style.textAlign || null;
-        })();
-
-        const detectedStack = [];
-
-        // --- Frameworks / SSGs ---
-        const hasNext =
-          !!window.__NEXT_DATA__ ||
-          !!document.getElementById("__next") ||
-          !!document.querySelector("script#__NEXT_DATA__") ||
-          !!document.querySelector('script[src*="/_next/"], link[href*="/_next/"]') ||
-          !!document.querySelector('meta[name="next-head-count"]');
-        if (hasNext && !detectedStack.includes("nextjs")) detectedStack.push("nextjs");
-        if (window.Webflow) detectedStack.push("webflow");
-        if (document.querySelector('meta[name="generator"][content*="Framer"]'))
-          detectedStack.push("framer");
-        if (window.___gatsby || document.getElementById("___gatsby"))
-          detectedStack.push("gatsby");
-        if (window.__NUXT__ || document.getElementById("__nuxt"))
-          detectedStack.push("nuxt");
-        if (window.__remixContext) detectedStack.push("remix");
-        if (document.querySelector('meta[name="generator"][content*="Astro"]'))
-          detectedStack.push("astro");
-        if (document.querySelector('meta[name="generator"][content*="Hugo"]'))
-          detectedStack.push("hugo");
-        // SvelteKit: marker in DOM ids or inline scripts
-        if (
-          document.querySelector('[id*="__sveltekit"]') ||
-          Array.from(document.querySelectorAll("script"))
-            .slice(0, 30)
-            .some((s) => (s.textContent || "").includes("__sveltekit"))
-        )
-          detectedStack.push("sveltekit");
-        // WordPress: generator meta or wp-content/wp-includes resources
-        if (
-          document.querySelector('meta[name="generator"][content*="WordPress"]') ||
-          !!document.querySelector(
-            'link[href*="wp-content"], script[src*="wp-content"], link[href*="wp-includes"], script[src*="wp-includes"]'
-          )
-        )
-          detectedStack.push("wordpress");
-        // Shopify
-        if (
-          window.Shopify ||
-          !!document.querySelector(
-            'script[src*="cdn.shopify.com"], link[href*="cdn.shopify.com"]'
-          )
-        )
-          detectedStack.push("shopify");
-        // Wix
-        if (
-          window.wixBiSession ||
-          !!document.querySelector(
-            'link[href*="static.wixstatic.com"], script[src*="static.wixstatic.com"]'
-          )
-        )
-          detectedStack.push("wix");
-        // Squarespace
-        if (
-          (window.Static &&
-            document.querySelector('script[src*="squarespace"]')) ||
-          !!document.querySelector(
-            'link[href*="squarespace.com"], script[src*="squarespace.com"]'
-          )
-        )
-          detectedStack.push("squarespace");
-        // VitePress: check for VitePress-specific DOM markers
-        if (
-          document.getElementById("VPContent") ||
-          document.querySelector(".vp-doc, .VPDoc, .VPHome") ||
-          !!document.querySelector('script[src*="vitepress"]')
-        )
-          detectedStack.push("vitepress");
-        // Vue (generic — skip if already tagged as Nuxt or VitePress)
-        if (
-          !detectedStack.includes("nuxt") &&
-          !detectedStack.includes("vitepress") &&
-          (document.querySelector("[data-v-]") ||
-           document.getElementById("app")?.hasAttribute("data-server-rendered"))
-        )
-          detectedStack.push("vue");
-        // React (generic — skip if already tagged as Next/Gatsby/Remix)
-        // Note: window globals are not accessible from content script isolated
-        // world, so we rely on DOM markers only.
-        if (
-          !detectedStack.includes("nextjs") &&
-          !detectedStack.includes("gatsby") &&
-          !detectedStack.includes("remix")
-        ) {
-          const hasReact =
-            !!document.querySelector("[data-reactroot], [data-reactid]") ||
-            !!document.getElementById("react-root");
-          if (hasReact) detectedStack.push("react");
-        }
-        // Angular
-        if (
-          document.querySelector("[ng-version], [_nghost], [_ngcontent]") ||
-          !!document.querySelector('script[src*="angular"]')
-        )
-          detectedStack.push("angular");
-
-        // --- CSS / UI Libraries ---
-        // Use getAttribute('class') instead of el.className to handle SVG
-        // elements whose .className is an SVGAnimatedString object.
-        const classEls = Array.from(document.querySelectorAll("[class]")).slice(0, 500);
-        const getClass = (el) => el.getAttribute("class") || "";
-        const tailwindClasses = classEls.some((el) =>
-          /(^|\s)(bg-|text-|px-|py-|rounded-)/.test(getClass(el))
-        );
-        if (tailwindClasses) detectedStack.push("tailwind");
-        // Bootstrap: require 3+ distinct hits to avoid false positives
-        const bootstrapHits = classEls.filter((el) =>
-          /(^|\s)(btn btn-|container-fluid|col-(xs|sm|md|lg|xl)-|navbar-|form-control|card-body)/.test(
-            getClass(el)
-          )
-        ).length;
-        if (bootstrapHits >= 3) detectedStack.push("bootstrap");
-        // Material UI
-        if (classEls.some((el) => /(^|\s)Mui[A-Z]/.test(getClass(el))))
-          detectedStack.push("material-ui");
-        // Chakra UI
-        if (classEls.some((el) => /(^|\s)chakra-/.test(getClass(el))))
-          detectedStack.push("chakra-ui");
-        // Radix / Shadcn
-        if (
-          document.querySelector(
-            "[data-radix-popper-content-wrapper], [data-radix-collection-item], [data-state]"
-          )
-        )
-          detectedStack.push("radix");
-        // Ant Design
-        if (classEls.some((el) => /(^|\s)ant-/.test(getClass(el))))
-          detectedStack.push("ant-design");
-        // Emotion CSS-in-JS (class names like css-1a2b3c4)
-        if (
-          document.querySelector('style[data-emotion]') ||
-          classEls.filter((el) => /\bcss-[a-z0-9]{4,}\b/.test(getClass(el))).length >= 3
-        )
-          detectedStack.push("emotion");
-        // Styled Components
-        if (
-          document.querySelector('style[data-styled], style[data-styled-components]') ||
-          classEls.filter((el) => /\bsc-[a-zA-Z0-9]{6,}\b/.test(getClass(el))).length >= 3
-        )
-          detectedStack.push("styled-components");
-        // CSS Modules (hashed class names like styles_header__a1B2c)
-        if (
-          classEls.filter((el) => /\b\w+_\w+__[a-zA-Z0-9]{4,}\b/.test(getClass(el))).length >= 3
-        )
-          detectedStack.push("css-modules");
+    // Dark theme detection: luminance-based to catch dark blue/green/purple,
+    // not just near-black backgrounds.
+    if (bgColor && bgColor.a !== 0) {
+      const bgLum = (0.2126 * bgColor.r + 0.7152 * bgColor.g + 0.0722 * bgColor.b) / 255;
+      if (bgLum < 0.2) {
+        const tMatch = textColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/i);
+        const tR = tMatch ? Number(tMatch[1]) : 0;
+        const tG = tMatch ? Number(tMatch[2]) : 0;
+        const tB = tMatch ? Number(tMatch[3]) : 0;
+        const textLum = (0.2126 * tR + 0.7152 * tG + 0.0722 * tB) / 255;
+        result.is_dark = textLum > 0.7;
+      }
+    }
 
-        // --- Hosting / CDN ---
-        if (
-          document.querySelector(
-            'meta[name*="vercel" i], script[src*="vercel-insights"], script[src*="vercel-analytics"]'
-          )
-        )
-          detectedStack.push("vercel");
-        if (
-          !!document.querySelector(
-            'script[src*=".netlify"], link[href*=".netlify"]'
-          ) ||
-          !!document.querySelector(
-            'meta[name="generator"][content*="Netlify"]'
-          )
-        )
-          detectedStack.push("netlify");
-        if (
-          document.querySelector(
-            'script[src*="cloudflareinsights.com"], script[data-cf-beacon]'
-          )
-        )
-          detectedStack.push("cloudflare");
-        if (
-          document.querySelector(
-            'script[src*="aws-amplify"], meta[name*="amplify" i]'
-          )
-        )
-          detectedStack.push("aws-amplify");
+    return result;
+  })();
+
+  return {
+    dark_theme_hero: Boolean(darkThemeResult.is_dark),
+    hero_bg: darkThemeResult.hero_bg,
+    hero_bg_gradient: darkThemeResult.hero_bg_gradient,
+    hero_bg_color_name: darkThemeResult.hero_bg_color_name,
+    hero_bg_gradient_tag: darkThemeResult.hero_bg_gradient_tag,
+    hero_text_color: darkThemeResult.hero_text_color,
+    hero_bg_sampled_from: darkThemeResult.sampled_element,
+  };
+}
 
-        // --- Animation / Motion ---
-        if (window.gsap || document.querySelector('script[src*="gsap"]'))
-          detectedStack.push("gsap");
-        if (
-          document.querySelector('lottie-player, script[src*="lottie"]')
-        )
-          detectedStack.push("lottie");
-        // Framer Motion (React lib, distinct from Framer builder)
-        if (
-          !detectedStack.includes("framer") &&
-          document.querySelector(
-            "[data-framer-appear-id], [data-framer-component-type]"
-          )
-        )
-          detectedStack.push("framer-motion");
-
-        const heroHeightRatio = Math.min(1, heroBottom / viewportHeight);
-
-        const pricingText = [headline, subheadline, ...ctas]
-          .filter(Boolean)
-          .join(" ");
-        const hasPricingTokens = /(pricing|plans|per month|per year|billing|free trial)/i.test(
-          pricingText
-        );
-
-        // --- Promotion / e-commerce detection ---
-        const promoRegex = /(\d+%\s*off|\bsale\b|\bflash sale\b|\bclearance\b|\bdiscount\b|\bsave\s+\d|\bdeal(s)?\b|\blimited.?time\b|\bends?\s+(today|tonight|soon|in)\b|\blast\s+(day|chance|hours?)\b|\bhurry\b|\bwhile\s+stocks?\s+last\b|\bdouble\b.*\b(sale|offer|deal)\b)/i;
-        const transactionalCtaRegex = /^(shop\s*now|buy\s*now|add\s*to\s*cart|order\s*now|get\s*the\s*deal|grab\s*(it|yours)|shop\s*(all|the\s*sale)|view\s*deal)/i;
-        const priceRegex = /\$\d+|\d+[.,]\d{2}\s*(USD|EUR|GBP|SGD|AUD|MYR|THB|PHP|IDR|VND|HKD|KRW|JPY|INR|BRL|CAD)?|\d+%\s*off/i;
-
-        const allHeroText = heroText || "";
-        const hasPromoLanguage = promoRegex.test(allHeroText) || promoRegex.test([headline, subheadline].filter(Boolean).join(" "));
-        const hasTransactionalCta = ctas.some((cta) => transactionalCtaRegex.test(cta));
-        const hasPriceDisplay = priceRegex.test(allHeroText);
-
-        // Count price-tagged elements (product cards with prices)
-        const priceElements = Array.from(document.querySelectorAll("*"))
-          .filter((el) => inHero(el) && isVisible(el))
-          .filter((el) => {
-            const t = (el.innerText || "").trim();
-            return t.length < 30 && priceRegex.test(t) && el.children.length === 0;
-          });
-        const priceCount = priceElements.length;
-
-        // Countdown timer detection
-        const hasCountdown = (() => {
-          const timerSelectors = [
-            "[class*='countdown' i]", "[id*='countdown' i]",
-            "[class*='timer' i]", "[id*='timer' i]",
-            "[class*='clock' i]", "[data-countdown]",
-          ];
-          for (const sel of timerSelectors) {
-            const el = document.querySelector(sel);
-            if (el && inHero(el) && isVisible(el)) return true;
-          }
-          // Heuristic: look for colon-separated numbers (00:12:34) in small elements
-          const smallEls = Array.from(document.querySelectorAll("span, div, p"))
-            .filter((el) => inHero(el) && isVisible(el) && (el.innerText || "").length < 20);
-          return smallEls.some((el) => /\d{1,2}\s*:\s*\d{2}\s*:\s*\d{2}/.test(el.innerText || ""));
-        })();
-
-        const hasPromotionSignals = hasPromoLanguage || (hasTransactionalCta && hasPriceDisplay);
-
-        // --- Commerce structure detection ---
-        // Add-to-cart buttons in hero
-        const addToCartRegex = /^(add\s*to\s*cart|add\s*to\s*bag|add\s*to\s*basket|buy\s*now|shop\s*now|quick\s*add|quick\s*shop)\s*$/i;
-        const heroButtons = Array.from(document.querySelectorAll("button, a, [role='button']"))
-          .filter((el) => inHero(el) && isVisible(el));
-        const addToCartCount = heroButtons.filter((el) => addToCartRegex.test((el.innerText || "").trim())).length;
-
-        // Product cards: elements that contain both a price and an image (common e-commerce pattern)
-        const productCardSelectors = [
-          "[class*='product' i]", "[class*='item-card' i]", "[class*='sku' i]",
-          "[data-product]", "[data-sku]", "[data-item]",
-          "[class*='card' i]",
-        ].join(", ");
-        const candidateCards = Array.from(document.querySelectorAll(productCardSelectors))
-          .filter((el) => inHero(el) && isVisible(el));
-        const productCardCount = candidateCards.filter((card) => {
-          const hasImg = !!card.querySelector("img");
-          const cardText = (card.innerText || "").trim();
-          const hasPrice = priceRegex.test(cardText);
-          return hasImg && hasPrice && cardText.length < 300;
-        }).length;
-
-        // Category navigation: sidebar or horizontal nav with category-like links
-        const categoryNavSelectors = [
-          "[class*='category' i]", "[class*='categories' i]",
-          "[class*='department' i]", "[class*='sidebar' i] nav",
-          "[class*='sidebar' i] ul", "[data-category]",
-          "nav[class*='shop' i]", "[class*='browse' i]",
-        ].join(", ");
-        const categoryNavElements = Array.from(document.querySelectorAll(categoryNavSelectors))
-          .filter((el) => inHero(el) || el.getBoundingClientRect().top < viewportHeight);
-        const hasCategoryNav = categoryNavElements.some((el) => {
-          const links = el.querySelectorAll("a");
-          return links.length >= 3;
-        });
+function detectPalette({ inHero, viewportWidth, heroBottom, headlineEl, subheadlineEl, ctaElements }) {
+  const heroArea = viewportWidth * heroBottom;
+  // Visible part of a rect inside the hero region
+  const clippedArea = (r) => {
+    const w = Math.min(r.right, viewportWidth) - Math.max(r.left, 0);
+    const h = Math.min(r.bottom, heroBottom) - Math.max(r.top, 0);
+    return w > 0 && h > 0 ? w * h : 0;
+  };
+
+  // Colors within this RGB distance are treated as the same swatch
+  const swatches = [];
+  const addColor = (color, role, area) => {
+    if (!color || (color.a ?? 1) < 0.1 || area <= 0) return;
+    const swatch = swatches.find((s) =>
+      Math.hypot(s.color.r - color.r, s.color.g - color.g, s.color.b - color.b) <= 12
+    );
+    if (swatch) {
+      swatch.area += area;
+      swatch.roles.add(role);
+    } else {
+      swatches.push({ color, area, roles: new Set([role]) });
+    }
+  };
+
+  const pairs = new Map();
+  const addPair = (el, area, label) => {
+    const contrast = textContrast(el);
+    if (!contrast) return;
+    const { fg, bg, largeText } = contrast;
+    const key = `${colorToHex(fg)}/${colorToHex(bg)}/${largeText}`;
+    const pair = pairs.get(key) || { fg, bg, largeText, area: 0, labels: new Set() };
+    pair.area += area;
+    if (label) pair.labels.add(label);
+    pairs.set(key, pair);
+  };
+
+  const ctaSet = new Set(ctaElements);
+  const labelled = new Map([[headlineEl, "headline"], [subheadlineEl, "subheadline"], [ctaElements[0], "primary_cta"]]);
+  const hasOwnText = (el) =>
+    Array.from(el.childNodes).some((n) => n.nodeType === 3 && n.textContent.trim());
+
+  // The page background fills whatever the hero's own elements don't
+  if (document.body) addColor(effectiveBackground(document.body), "background", heroArea);
+
+  const elements = Array.from(document.body?.querySelectorAll("*") || [])
+    .filter((el) => inHero(el) && !isFixedOrSticky(el) && isVisible(el));
+
+  for (const el of elements) {
+    const style = getComputedStyle(el);
+    const r = viewportRect(el);
+    const area = clippedArea(r);
+    const isCta = ctaSet.has(el);
+
+    addColor(parseColor(style.backgroundColor), isCta ? "cta_fill" : "background", area);
+
+    if (/gradient/i.test(style.backgroundImage || "")) {
+      const stops = gradientColors(style.backgroundImage);
+      for (const stop of stops) addColor(stop, "gradient", area / stops.length);
+    }
 
-        // "New arrivals" / discovery language detection
-        const discoveryRegex = /\b(new\s*arrivals?|just\s*dropped|trending|best\s*sellers?|most\s*popular|curated|picks?\s*for\s*you|recommended|explore|discover|what'?s\s*new|fresh\s*finds?|editor'?s?\s*choice|top\s*rated)\b/i;
-        const hasDiscoveryLanguage = discoveryRegex.test(allHeroText);
-
-        // Brand campaign signals: full-bleed imagery, single-brand focus
-        const brandCampaignRegex = /\b(collection|campaign|introducing|new\s*season|spring|summer|autumn|fall|winter|holiday|launch|collab(oration)?|limited\s*edition|exclusive)\b/i;
-        const hasBrandCampaignLanguage = brandCampaignRegex.test(allHeroText);
-
-        // Trust signals: guarantees, badges, reassurance copy
-        const trustRegex = /\b(free\s*(shipping|delivery|returns?)|money.?back\s*guarantee|satisfaction\s*guaranteed|secure\s*(checkout|payment)|trusted\s*by|verified|authentic|100%\s*(genuine|original)|no\s*risk|easy\s*returns?|customer\s*reviews?|rated\s*\d|stars?\s*rating|\d+[,.]?\d*\+?\s*reviews?)\b/i;
-        const hasTrustSignals = trustRegex.test(allHeroText);
-        const trustBadgeSelectors = [
-          "[class*='trust' i]", "[class*='badge' i]", "[class*='guarantee' i]",
-          "[class*='secure' i]", "[class*='verified' i]", "[class*='certification' i]",
-        ].join(", ");
-        const trustBadgeCount = Array.from(document.querySelectorAll(trustBadgeSelectors))
-          .filter((el) => inHero(el) && isVisible(el)).length;
-
-        // Composite commerce signals
-        const isCommerceHero = productCardCount >= 2 || (addToCartCount >= 2 && hasPriceDisplay);
-
-        // --- Showcase / interactive demo detection ---
-        const inFold = (el) => {
-          const r = el.getBoundingClientRect();
-          return r.bottom > 0 && r.top < viewportHeight;
-        };
-        // Canvas and WebGL elements in hero
-        const heroCanvasElements = Array.from(document.querySelectorAll("canvas"))
-          .filter((el) => inHero(el) && isVisible(el));
-        const hasCanvas = heroCanvasElements.length > 0;
-        const hasWebGL = heroCanvasElements.some((el) => {
-          try { return !!(el.getContext("webgl2") || el.getContext("webgl")); } catch { return false; }
-        });
+    const borderWidth = parseFloat(style.borderTopWidth) || 0;
+    if (borderWidth > 0 && style.borderTopStyle !== "none") {
+      addColor(parseColor(style.borderTopColor), "border", 2 * (r.width + r.height) * borderWidth);
+    }
 
-        // Heavy SVG presence (inline animated SVGs, not just icons)
-        const heroSvgs = Array.from(document.querySelectorAll("svg"))
-          .filter((el) => inHero(el) && isVisible(el));
-        const largeSvgCount = heroSvgs.filter((el) => {
-          const r = el.getBoundingClientRect();
-          return r.width > 80 && r.height > 80;
-        }).length;
-
-        // Interactive elements: code editors, playgrounds, embedded demos
-        const interactiveSelectors = [
-          "[class*='playground' i]", "[class*='editor' i]", "[class*='sandbox' i]",
-          "[class*='codepen' i]", "[class*='repl' i]", "[class*='interactive' i]",
-          "[class*='demo' i]:not(button):not(a)", "iframe[src*='codepen']",
-          "iframe[src*='codesandbox']", "iframe[src*='stackblitz']",
-          "[contenteditable='true']",
-        ].join(", ");
-        const hasInteractiveDemoBase = !!document.querySelector(interactiveSelectors);
-
-        // Audio/voice-style interactive demo detection (e.g. ElevenLabs)
-        const heroTextInputs = Array.from(
-          document.querySelectorAll(
-            "textarea, input[type='text'], input[type='search'], [contenteditable='true'], [role='textbox']"
-          )
-        ).filter((el) => inFold(el) && isVisible(el));
-        const hasTextInput = heroTextInputs.length > 0;
-
-        const heroAudioElements = Array.from(document.querySelectorAll("audio"))
-          .filter((el) => inFold(el) && isVisible(el));
-        const hasAudioElement = heroAudioElements.length > 0;
-
-        const playButtonRegex = /\b(play|listen|preview|sample)\b/i;
-        const voiceRegex = /\b(voice|voices|text to speech|tts)\b/i;
-        const interactiveButtons = Array.from(
-          document.querySelectorAll("button, a, [role='button'], [tabindex]")
-        ).filter((el) => inFold(el) && isVisible(el));
-        const hasPlayButton = interactiveButtons.some((el) => {
-          const text = (el.innerText || "").trim();
-          const aria = (el.getAttribute("aria-label") || "").trim();
-          const title = (el.getAttribute("title") || "").trim();
-          return playButtonRegex.test(text) || playButtonRegex.test(aria) || playButtonRegex.test(title);
-        });
-        const playControlCandidates = Array.from(
-          document.querySelectorAll(
-            "button, a, [role='button'], [tabindex]"
-          )
-        )
-          .filter((el) => inFold(el) && isVisible(el))
-          .filter((el) => {
-            const cls = (el.className || "").toString();
-            const id = (el.id || "").toString();
-            const aria = (el.getAttribute("aria-label") || "");
-            const testId = (el.getAttribute("data-testid") || "");
-            const action = (el.getAttribute("data-action") || "");
-            return /\bplay\b/i.test(cls) ||
-              /\bplay\b/i.test(id) ||
-              /\bplay\b/i.test(aria) ||
-              /\bplay\b/i.test(testId) ||
-              /\bplay\b/i.test(action);
-          });
-        const hasPlayControl = hasPlayButton || playControlCandidates.length > 0;
-
-        const heroOptions = Array.from(
-          document.querySelectorAll(
-            "[role='listbox'], [role='option'], [role='tablist'], [role='tab'], [data-voice], [class*='voice' i]"
-          )
-        ).filter((el) => inFold(el) && isVisible(el));
-        let hasSelectableList = heroOptions.length >= 3;
-
-        // Detect list-style voice pickers: many rows with avatars + short labels
-        const rowContainers = Array.from(document.querySelectorAll("div, section, ul, ol"))
-          .filter((el) => inFold(el) && isVisible(el) && !inNavOrHeader(el) && !inFramerNavOrFooter(el))
-          .filter((el) => {
-            const style = getComputedStyle(el);
-            const isFlex = style.display === "flex" && style.flexDirection !== "column";
-            const isGrid = style.display === "grid";
-            return (isFlex || isGrid) && el.children.length >= 4;
-          });
-
-        const hasSelectableListFromRows = rowContainers.some((container) => {
-          const children = Array.from(container.children).filter(isVisible);
-          if (children.length < 4) return false;
-          const qualifying = children.filter((child) => {
-            const text = cleanText(child.innerText || "");
-            const wordCount = text.split(/\s+/).filter(Boolean).length;
-            const hasAvatar = !!child.querySelector("img, svg") || /avatar|voice|speaker/i.test(child.className || "");
-            return hasAvatar && wordCount > 0 && wordCount <= 4;
-          });
-          return qualifying.length >= 4;
-        });
-        if (hasSelectableListFromRows) hasSelectableList = true;
-
-        const hasVoiceLanguage = voiceRegex.test(allHeroText);
-
-        const looksLikeAudioDemo =
-          (hasTextInput && (hasSelectableList || hasVoiceLanguage || hasPlayControl || hasAudioElement)) ||
-          (hasSelectableList && (hasPlayControl || hasAudioElement || hasVoiceLanguage)) ||
-          (hasPlayControl && hasVoiceLanguage);
-
-        let hasInteractiveDemo = hasInteractiveDemoBase || looksLikeAudioDemo;
-
-        // Animation library in stack (already detected above in detectedStack)
-        const animationStacks = ["gsap", "lottie", "framer-motion", "three"];
-        const hasAnimationStack = detectedStack.some((s) => animationStacks.includes(s));
-
-        // Showcase language in hero text
-        const showcaseRegex = /\b(animate|animation|interactive|playground|demo|experiment|creative|motion|3d|webgl|three\.?js|canvas|generative|immersive|experience)\b/i;
-        const hasShowcaseLanguage = showcaseRegex.test(allHeroText);
-
-        // Composite showcase signal: animation stack + visual-heavy hero with minimal CTA
-        const isShowcaseHero = (hasAnimationStack || hasCanvas || hasWebGL || hasInteractiveDemo) &&
-          (ctas.length <= 1 || hasShowcaseLanguage || hasInteractiveDemo);
-
-        // --- Error / blocked page detection ---
-        const errorPageRegex = /\b(something went wrong|access denied|blocked|forbidden|error occurred|page not found|404|403|500|502|503|504|service unavailable|temporarily unavailable|try again later|request blocked|security check|verify you are human|captcha|challenge|bot detected|automated access|unusual traffic|reference\s*(error\s*)?(code|id)|cloudflare|akamai|incapsula|distil|datadome|perimeterx)\b/i;
-        const pageTitle = document.title || "";
-        const bodyText = (document.body?.innerText || "").slice(0, 500);
-        const isErrorPage = errorPageRegex.test(pageTitle) || errorPageRegex.test(bodyText) || errorPageRegex.test(allHeroText);
-        const errorPageReason = isErrorPage ? (
-          /access denied|blocked|forbidden|bot detected|automated|unusual traffic|security check|verify you are human|captcha|challenge/i.test(bodyText + pageTitle) ? "bot_blocked" :
-          /404|page not found/i.test(bodyText + pageTitle) ? "not_found" :
-          /500|502|503|504|service unavailable|temporarily unavailable/i.test(bodyText + pageTitle) ? "server_error" :
-          "unknown_error"
-        ) : null;
-
-        const legalTextRegex = /(user agreement|privacy policy|cookie policy|terms|legal)/i;
-        const navLinkRegex = /(^(top content|people|learning|jobs|games|career|productivity|finance|about|blog|pricing|contact|support|help|resources|docs|changelog|status)$)/i;
-        const listContainers = Array.from(
-          document.querySelectorAll("ul, ol")
-        ).filter((list) => {
-          if (!inHero(list) || !isVisible(list)) return false;
-          // Exclude lists inside nav, header, footer, menu roles
-          if (inNavOrHeader(list)) return false;
-          return true;
-        });
+    // Text counts where it's written, not on every ancestor
+    if (hasOwnText(el) || isCta || labelled.has(el)) {
+      addColor(parseColor(style.color), "text", area);
+      addPair(el, area, labelled.get(el));
+    }
+  }
 
-        const listItems = listContainers.flatMap((list) =>
-          Array.from(list.querySelectorAll("li")).map((el) => {
-            const r = el.getBoundingClientRect();
-            const style = getComputedStyle(el);
-            const listStyle = style.listStyleType || "";
-            const hasIcon =
-              !!el.querySelector("svg, img, i, [class*='icon' i]") ||
-              !!el.querySelector("[data-icon]");
-            const text = cleanText(el.innerText || "");
-            const wordCount = text.split(" ").filter(Boolean).length;
-            const looksLikeLogo =
-              wordCount <= 2 &&
-              !!el.querySelector("img, svg") &&
-              !el.querySelector("p, span, div");
-            const isLegal = legalTextRegex.test(text);
-            const isNavLink = navLinkRegex.test(text);
-            const inForm = !!el.closest("form");
-            // Check if the list item is essentially just a link (nav-style)
-            const isJustLink = el.children.length <= 1 && !!el.querySelector("a") && wordCount <= 3;
-            return {
-              text,
-              top: r.top,
-              listStyle,
-              hasIcon,
-              wordCount,
-              looksLikeLogo,
-              isLegal,
-              isNavLink,
-              inForm,
-              isJustLink,
-              listStyleType: listStyle,
-            };
-          })
-        );
-
-        const interactiveListItems = listItems
-          .filter((item) => item.hasIcon)
-          .filter((item) => !item.looksLikeLogo)
-          .filter((item) => !item.isLegal && !item.isNavLink && !item.inForm && !item.isJustLink)
-          .filter((item) => item.wordCount > 0 && item.wordCount <= 4)
-          .filter((item) => item.text.length >= 2);
-        const hasSelectableListFromItems = interactiveListItems.length >= 4;
-        if (hasSelectableListFromItems) hasSelectableList = true;
-        if (hasTextInput && (hasSelectableListFromItems || hasVoiceLanguage)) {
-          hasInteractiveDemo = true;
-        }
+  const totalArea = swatches.reduce((sum, s) => sum + s.area, 0) || 1;
+  const colors = swatches
+    .sort((a, b) => b.area - a.area)
+    .slice(0, MAX_PALETTE_COLORS)
+    .map((s) => ({
+      hex: colorToHex(s.color),
+      name: classifyColor(s.color),
+      roles: [...s.roles],
+      weight: roundFraction(s.area / totalArea),
+    }));
+
+  const contrastPairs = [...pairs.values()]
+    .map((p) => {
+      const ratio = contrastRatio(p.fg, p.bg);
+      return {
+        text: colorToHex(p.fg),
+        background: colorToHex(p.bg),
+        ratio: Number(ratio.toFixed(2)),
+        large_text: p.largeText,
+        wcag: wcagLevel(ratio, p.largeText),
+        elements: [...p.labels],
+        weight: roundFraction(p.area / (heroArea || 1)),
+      };
+    })
+    .sort((a, b) => b.elements.length - a.elements.length || b.weight - a.weight)
+    .slice(0, MAX_PALETTE_COLORS);
+
+  const ratios = contrastPairs.map((p) => p.ratio);
+  return {
+    palette: {
+      colors,
+      contrast_pairs: contrastPairs,
+      min_contrast_ratio: ratios.length > 0 ? Math.min(...ratios) : null,
+      low_contrast_count: contrastPairs.filter((p) => p.wcag === "fail").length,
+    },
+  };
+}
 
-        const interactiveDebug = {
-          has_text_input: hasTextInput,
-          text_input_count: heroTextInputs.length,
-          has_audio_element: hasAudioElement,
-          audio_count: heroAudioElements.length,
-          has_play_button: hasPlayButton,
-          has_play_control: hasPlayControl,
-          play_control_candidates: playControlCandidates.length,
-          selectable_option_count: heroOptions.length,
-          has_selectable_list: hasSelectableList,
-          row_container_count: rowContainers.length,
-          has_selectable_list_from_rows: hasSelectableListFromRows,
-          has_selectable_list_from_items: hasSelectableListFromItems,
-          has_voice_language: hasVoiceLanguage,
-          has_interactive_demo_base: hasInteractiveDemoBase,
-          looks_like_audio_demo: looksLikeAudioDemo,
-          has_interactive_demo: hasInteractiveDemo,
-        };
+// Accessible name of a control, roughly per accname: aria-labelledby,
+// aria-label, visible text, an image's alt or an SVG <title>, then title
+function accessibleName(el) {
+  const labelledBy = (el.getAttribute("aria-labelledby") || "")
+    .split(/\s+/)
+    .map((id) => id && document.getElementById(id))
+    .filter(Boolean)
+    .map((ref) => ref.textContent)
+    .join(" ");
+  return cleanText(
+    labelledBy ||
+    el.getAttribute("aria-label") ||
+    el.innerText ||
+    el.value ||
+    el.querySelector("img[alt]")?.getAttribute("alt") ||
+    el.querySelector("svg title")?.textContent ||
+    el.getAttribute("title") ||
+    ""
+  );
+}
 
-        // Filter for true feature bullets: substantive descriptions of product capabilities.
-        // Exclude: short action hints ("Add website"), trust badges ("No credit card"),
-        // and CTA-adjacent micro-copy.
-        const actionHintRegex = /^(no credit|no card|free |cancel anytime|money.back)/i;
-        const shortActionRegex = /^(add|import|see|view|get|try|start|create|set up|install|connect)\b/i;
-        const featureListItems = listItems
-          .filter((item) => item.text.length >= 20 && /[a-zA-Z]/.test(item.text))
-          .filter((item) => item.top >= contentTop)
-          .filter((item) => !item.looksLikeLogo)
-          .filter((item) => !item.isLegal && !item.isNavLink && !item.inForm && !item.isJustLink)
-          .filter((item) => !actionHintRegex.test(item.text))
-          // Short items (< 5 words) starting with action verbs are CTA hints, not features
-          .filter((item) => !(item.wordCount < 5 && shortActionRegex.test(item.text)))
-          .filter((item) => {
-            // Must have a visible list marker or a leading icon with substantial text
-            if (item.listStyleType && item.listStyleType !== "none") return item.wordCount >= 4;
-            if (!item.hasIcon) return false;
-            return item.wordCount >= 5;
-          });
-
-        const bulletCount = featureListItems.length;
-
-        // Virtual bullet detection: find div/section containers with 3+ similar children
-        // that follow an icon + text pattern (Tailwind/component-based builds)
-        let virtualBulletCount = 0;
-        if (bulletCount < 2) {
-          const bulletContainers = Array.from(
-            document.querySelectorAll("div, section")
-          ).filter((el) => {
-            if (!inHero(el) || !isVisible(el) || inNavOrHeader(el)) return false;
-            const style = getComputedStyle(el);
-            const isFlex = style.display === "flex";
-            const isGrid = style.display === "grid";
-            return (isFlex || isGrid) && el.children.length >= 3;
-          });
-
-          for (const container of bulletContainers) {
-            const children = Array.from(container.children).filter(isVisible);
-            if (children.length < 3) continue;
-
-            const featureChildren = children.filter((child) => {
-              const hasIcon = !!child.querySelector("svg, img, i, [class*='icon' i], [data-icon]");
-              const text = cleanText(child.innerText || "");
-              const wordCount = text.split(/\s+/).filter(Boolean).length;
-              return hasIcon && wordCount >= 4;
-            });
-
-            if (featureChildren.length >= 3) {
-              virtualBulletCount = Math.max(virtualBulletCount, featureChildren.length);
-            }
-          }
-        }
+// Short, readable handle for an element in a report
+function describeElement(el) {
+  const tag = el.tagName.toLowerCase();
+  const id = el.id ? `#${el.id}` : "";
+  const cls = typeof el.className === "string" && el.className.trim()
+    ? `.${el.className.trim().split(/\s+/)[0]}`
+    : "";
+  const href = el.getAttribute("href");
+  return `${tag}${id}${cls}${href ? `[href="${href.slice(0, 60)}"]` : ""}`;
+}
 
-        const totalBulletCount = bulletCount + virtualBulletCount;
-        const totalListsInHero = listContainers.length;
+// Whether any readable stylesheet has a prefers-reduced-motion media rule.
+// Null when every stylesheet is cross-origin (rules unreadable).
+function stylesHandleReducedMotion() {
+  let readable = false;
+  const visit = (rules) => {
+    for (const rule of rules) {
+      if (/prefers-reduced-motion/i.test(rule.conditionText || rule.media?.mediaText || "")) return true;
+      if (rule.cssRules && visit(rule.cssRules)) return true;
+    }
+    return false;
+  };
+  for (const sheet of Array.from(document.styleSheets)) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      continue; // Cross-origin sheet
+    }
+    readable = true;
+    if (visit(rules)) return true;
+  }
+  return readable ? false : null;
+}
 
-        const mediaElements = Array.from(
-          document.querySelectorAll("img, video, svg, canvas, figure")
-        )
-          .filter((el) => inHero(el) && isVisible(el))
-          .map((el) => {
-            const r = el.getBoundingClientRect();
-            return {
-              el,
-              rect: r,
-              area: r.width * r.height,
-            };
-          });
-
-        const largestMedia = mediaElements.sort((a, b) => b.area - a.area)[0];
-
-        // Collect details for all meaningful images/media in the hero
-        const heroImages = mediaElements
-          .filter((m) => m.area > 400) // Skip tiny icons
-          .slice(0, 10) // Cap at 10
-          .map((m) => {
-            const el = m.el;
-            const tag = el.tagName.toLowerCase();
-            return {
-              tag,
-              alt: el.alt || el.getAttribute("aria-label") || null,
-              width: Math.round(m.rect.width),
-              height: Math.round(m.rect.height),
-              position: {
-                top: Math.round(m.rect.top),
-                left: Math.round(m.rect.left),
-              },
-            };
-          });
-
-        const keywordText = [headline, subheadline].filter(Boolean).join(" ");
-        const hasDashboardKeywords = /(dashboard|analytics|reporting|metrics|kpi|overview|insights)/i.test(
-          keywordText
-        );
-        const heroMediaTag =
-          largestMedia?.el?.tagName?.toLowerCase?.() || null;
-        const heroMediaSource =
-          largestMedia?.el?.src ||
-          largestMedia?.el?.currentSrc ||
-          "";
-        const heroMediaAlt = largestMedia?.el?.alt || "";
-        const mediaLooksLikeProductUi = /(dashboard|analytics|report|insight|ui|product|screenshot)/i.test(
-          `${heroMediaSource} ${heroMediaAlt}`
-        );
-        const heroMediaType =
-          largestMedia &&
-          largestMedia.area > viewportWidth * 0.22 * viewportHeight * 0.22 &&
-          (heroMediaTag === "img" || heroMediaTag === "video") &&
-          (mediaLooksLikeProductUi || hasDashboardKeywords)
-            ? "product-ui"
-            : null;
-
-        const hasDashboardPreview =
-          heroMediaType === "product-ui" && hasDashboardKeywords;
-
-        // Logo detection: find small images that look like company/partner logos.
-        // Exclude images inside data containers (tables, grids).
-        const logoCandidate = Array.from(document.querySelectorAll("img"))
-          .filter((el) => {
-            if (!inHero(el) || !isVisible(el)) return false;
-            if (el.closest("table, [role='grid'], [role='row'], [role='cell'], tr, td, th")) return false;
-            return true;
-          })
-          .map((el) => {
-            const r = el.getBoundingClientRect();
-            return {
-              width: r.width,
-              height: r.height,
-              top: r.top,
-              left: r.left,
-              centerY: r.top + r.height / 2,
-              alt: (el.alt || "").toLowerCase(),
-            };
-          })
-          .filter(
-            (img) =>
-              img.width > 24 &&
-              img.width < 180 &&
-              img.height < 80 &&
-              !/(icon|favicon)/i.test(img.alt)
-          );
-
-        // SVG logo detection: inline SVGs that look like partner/company logos
-        const svgLogoCandidates = Array.from(document.querySelectorAll("svg"))
-          .filter((el) => {
-            if (!inHero(el) || !isVisible(el)) return false;
-            if (inNavOrHeader(el)) return false;
-            // Exclude icon buttons — SVGs inside interactive elements are likely UI icons
-            if (el.closest("button, a[href], [role='button']")) return false;
-            if (el.closest("table, [role='grid'], [role='row']")) return false;
-            return true;
-          })
-          .map((el) => {
-            const r = el.getBoundingClientRect();
-            return {
-              width: r.width,
-              height: r.height,
-              top: r.top,
-              left: r.left,
-              centerY: r.top + r.height / 2,
-              alt: (el.getAttribute("aria-label") || "").toLowerCase(),
-            };
-          })
-          .filter(
-            (svg) =>
-              svg.width > 24 &&
-              svg.width < 180 &&
-              svg.height > 10 &&
-              svg.height < 80 &&
-              !/(icon|favicon|arrow|chevron|check|close|menu|hamburger)/i.test(svg.alt)
-          );
-
-        // Merge img and svg logo candidates
-        const allLogoCandidates = [...logoCandidate, ...svgLogoCandidates];
-
-        // Detect horizontal logo rows: cluster logos by similar Y position (within 25px).
-        // A social proof row is 3+ logos at roughly the same vertical position,
-        // spread horizontally across a meaningful width (> 200px).
-        let logoRowCount = 0;
-        if (allLogoCandidates.length >= 3) {
-          const sorted = [...allLogoCandidates].sort((a, b) => a.centerY - b.centerY);
-          let i = 0;
-          while (i < sorted.length) {
-            const rowY = sorted[i].centerY;
-            const rowItems = [];
-            let j = i;
-            while (j < sorted.length && Math.abs(sorted[j].centerY - rowY) < 25) {
-              rowItems.push(sorted[j]);
-              j++;
-            }
-            if (rowItems.length >= 3) {
-              // Check horizontal spread: logos must span > 200px horizontally
-              const minLeft = Math.min(...rowItems.map((r) => r.left));
-              const maxLeft = Math.max(...rowItems.map((r) => r.left));
-              if (maxLeft - minLeft > 200) {
-                logoRowCount = Math.max(logoRowCount, rowItems.length);
-              }
-            }
-            i = j;
-          }
-        }
+function detectAccessibility({ inHero, headlineEl, ctaElements, detectedStack }) {
+  // Contrast: the headline and every hero CTA
+  const contrastFailures = [];
+  const checkContrast = (el, element) => {
+    const contrast = el && textContrast(el);
+    if (!contrast) return;
+    const required = contrast.largeText ? 3 : 4.5;
+    if (contrast.ratio < required) {
+      contrastFailures.push({
+        element,
+        text: truncateHeadline(cleanText(el.innerText || "")),
+        ratio: Number(contrast.ratio.toFixed(2)),
+        required,
+      });
+    }
+  };
+  checkContrast(headlineEl, "headline");
+  ctaElements.forEach((el) => checkContrast(el, "cta"));
+
+  // Images: no alt attribute at all vs. alt="" (fine only if decorative)
+  const heroImages = Array.from(document.querySelectorAll("img"))
+    .filter((el) => inHero(el) && isVisible(el));
+  const imagesMissingAlt = heroImages.filter((el) => !el.hasAttribute("alt"));
+  const imagesEmptyAlt = heroImages.filter((el) => el.getAttribute("alt")?.trim() === "");
+
+  // Controls screen readers would announce as just "link" / "button"
+  const unnamedControls = Array.from(
+    document.querySelectorAll("a[href], button, [role='button'], input[type='submit'], input[type='button']")
+  )
+    .filter((el) => inHero(el) && isVisible(el) && el.getAttribute("aria-hidden") !== "true")
+    .filter((el) => !accessibleName(el));
+
+  // Headings: page has an h1, and the hero's headings don't skip levels
+  const pageH1Count = Array.from(document.querySelectorAll("h1")).filter(isVisible).length;
+  const heroLevels = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6"))
+    .filter((el) => inHero(el) && isVisible(el))
+    .map((el) => Number(el.tagName[1]));
+  const skippedLevels = [];
+  heroLevels.forEach((level, i) => {
+    // A missing h1 is reported on its own, so don't also count it as a skip
+    const previous = i > 0 ? heroLevels[i - 1] : pageH1Count > 0 ? 1 : level;
+    if (level > previous + 1) skippedLevels.push(`h${previous}→h${level}`);
+  });
+
+  // Motion: autoplaying video or animation libraries without a reduced-motion escape hatch
+  const autoplayVideos = Array.from(document.querySelectorAll("video[autoplay]"))
+    .filter((el) => inHero(el) && isVisible(el)).length;
+  const animationLibraries = detectedStack.filter((s) => ["gsap", "lottie", "framer-motion"].includes(s));
+  const handlesReducedMotion = stylesHandleReducedMotion();
+  const motionAtRisk =
+    (autoplayVideos > 0 || animationLibraries.length > 0) && handlesReducedMotion !== true;
+
+  const issueCount =
+    contrastFailures.length +
+    imagesMissingAlt.length +
+    unnamedControls.length +
+    (pageH1Count === 0 ? 1 : 0) +
+    skippedLevels.length +
+    (motionAtRisk ? 1 : 0);
+
+  return {
+    accessibility: {
+      issue_count: issueCount,
+      contrast_failures: contrastFailures,
+      images_missing_alt: imagesMissingAlt.slice(0, 10).map((el) => el.currentSrc || el.src || describeElement(el)),
+      images_missing_alt_count: imagesMissingAlt.length,
+      images_empty_alt_count: imagesEmptyAlt.length,
+      unnamed_controls: unnamedControls.slice(0, 10).map(describeElement),
+      unnamed_controls_count: unnamedControls.length,
+      headings: {
+        page_h1_count: pageH1Count,
+        hero_levels: heroLevels,
+        skipped_levels: skippedLevels,
+      },
+      reduced_motion: {
+        autoplay_videos: autoplayVideos,
+        animation_libraries: animationLibraries,
+        handles_reduced_motion: handlesReducedMotion,
+        at_risk: motionAtRisk,
+      },
+    },
+  };
+}
 
-        // Logo container detection: find flex/grid containers with 3+ small media children
-        // Catches styled logo bars even when individual items don't match size heuristics
-        if (logoRowCount < 3) {
-          const logoContainers = Array.from(document.querySelectorAll("div, section, ul"))
-            .filter((el) => {
-              if (!inHero(el) || !isVisible(el) || inNavOrHeader(el)) return false;
-              const style = getComputedStyle(el);
-              const isFlex = style.display === "flex" && style.flexDirection !== "column";
-              const isGrid = style.display === "grid";
-              return isFlex || isGrid;
-            });
-
-          for (const container of logoContainers) {
-            const mediaChildren = Array.from(container.children).filter((child) => {
-              if (!isVisible(child)) return false;
-              const hasMedia = !!child.querySelector("img, svg") || child.tagName === "IMG" || child.tagName === "svg";
-              const r = child.getBoundingClientRect();
-              return hasMedia && r.width < 200 && r.height < 100;
-            });
-            if (mediaChildren.length >= 3) {
-              logoRowCount = Math.max(logoRowCount, mediaChildren.length);
-            }
-          }
-        }
+function detectTypography({ headlineEl, subheadlineEl, ctaElements }) {
+  // Families with at least one face actually loaded via @font-face
+  const fontSet = document.fonts;
+  const webFontFamilies = new Set();
+  if (fontSet) {
+    for (const face of fontSet) {
+      if (face.status === "loaded") {
+        webFontFamilies.add(face.family.replace(/^["']|["']$/g, "").toLowerCase());
+      }
+    }
+  }
 
-        const logoCount = logoRowCount > 0 ? logoRowCount : allLogoCandidates.length;
-
-        // Social proof: either explicit text OR a horizontal row of 3+ logos
-        const hasSocialProofText = /(trusted by|loved by|used by|chosen by|powering|backed by|as seen in|as seen on|featured in|featured on|customers include|partners include|join\s+\d|rated\s+\d|\d[\d,.\s]*\+?\s*(users|teams|companies|businesses|organizations|brands|developers|customers)|(over|more than)\s+\d[\d,.\s]*\s*(users|teams|companies|businesses|organizations|brands|developers|customers)|\d+\s*\+?\s*(customers|teams|companies)\s*(trust|use|love|rely))/i.test(
-          heroText
-        );
-        const hasLogoRow = logoRowCount >= 3;
-        const hasSocialProof = hasSocialProofText || hasLogoRow;
-
-        const metricsVisible = /(\$\s?\d|\b\d{1,3}(?:[.,]\d{3})*(?:k|m|b)?\b|%)/i.test(
-          heroText
-        );
-
-        const leftCopyRightMedia =
-          layout === "split" &&
-          largestMedia &&
-          largestMedia.rect.left > viewportWidth * 0.5;
-
-        // --- Helper: parse an rgb/rgba string into {r,g,b,a} or null ---
-        const parseRgba = (str) => {
-          const m = (str || "").match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\s*\)/i);
-          if (!m) return null;
-          return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]), a: m[4] !== undefined ? Number(m[4]) : 1 };
-        };
+  const headline = textStyle(headlineEl, webFontFamilies);
+  const subheadline = textStyle(subheadlineEl, webFontFamilies);
+
+  return {
+    typography: {
+      headline,
+      subheadline,
+      primary_cta: textStyle(ctaElements[0], webFontFamilies),
+      headline_to_subheadline_ratio:
+        headline?.font_size && subheadline?.font_size
+          ? Number((headline.font_size / subheadline.font_size).toFixed(2))
+          : null,
+      web_fonts_status: fontSet?.status || null,
+      web_fonts_loaded: [...webFontFamilies].sort(),
+    },
+  };
+}
 
-        // --- Helper: parse an hsl/hsla string into {r,g,b,a} ---
-        const parseHsla = (str) => {
-          const m = (str || "").match(/hsla?\(([\d.]+)(?:deg)?\s*[\s,]\s*([\d.]+)%\s*[\s,]\s*([\d.]+)%(?:\s*[\s,/]\s*([\d.]+%?))?\s*\)/i);
-          if (!m) return null;
-          const h = Number(m[1]) / 360;
-          const s = Number(m[2]) / 100;
-          const l = Number(m[3]) / 100;
-          const a = m[4] !== undefined ? (m[4].endsWith("%") ? Number(m[4].slice(0, -1)) / 100 : Number(m[4])) : 1;
-          const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1 / 6) return p + (q - p) * 6 * t;
-            if (t < 1 / 2) return q;
-            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-            return p;
-          };
-          let rr, gg, bb;
-          if (s === 0) {
-            rr = gg = bb = l;
-          } else {
-            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-            const p = 2 * l - q;
-            rr = hue2rgb(p, q, h + 1 / 3);
-            gg = hue2rgb(p, q, h);
-            bb = hue2rgb(p, q, h - 1 / 3);
-          }
-          return { r: Math.round(rr * 255), g: Math.round(gg * 255), b: Math.round(bb * 255), a };
-        };
+function detectGeometry({
+  viewportWidth,
+  viewportHeight,
+  heroBottom,
+  heroSections,
+  headlineEl,
+  subheadlineEl,
+  ctaElements,
+  heroForms,
+  logoRowElements,
+  heroMediaElements,
+}) {
+  const toRect = (rect) => toGeometryRect(rect, viewportWidth, viewportHeight);
+  const elementRect = (el) => (el ? toRect(viewportRect(el)) : null);
+
+  // Hero container: the top-level section that holds the headline
+  const heroContainer = headlineEl
+    ? heroSections.find((el) => el.contains(headlineEl)) || null
+    : null;
+
+  // ctas, forms and hero_images are index-aligned with cta_details,
+  // hero_forms and hero_images
+  return {
+    geometry: {
+      viewport: { width: viewportWidth, height: viewportHeight },
+      hero: toRect({ top: 0, left: 0, width: viewportWidth, height: heroBottom }),
+      hero_container: elementRect(heroContainer),
+      headline: elementRect(headlineEl),
+      subheadline: elementRect(subheadlineEl),
+      ctas: ctaElements.map(elementRect),
+      forms: heroForms.map(elementRect),
+      logo_row: toRect(unionRect(logoRowElements.map((el) => viewportRect(el)))),
+      hero_images: heroMediaElements.map(elementRect),
+    },
+  };
+}
 
-        // --- Helper: parse any CSS color token (rgb/rgba/hsl/hsla) ---
-        const parseColor = (str) => parseRgba(str) || parseHsla(str);
-
-        // --- Helper: parse a single CSS color token into {r,g,b,a} ---
-        const parseAnyColor = (str) => {
-          const parsed = parseColor(str);
-          if (parsed) return parsed;
-          if (str && str.startsWith("#")) {
-            const hex = str.slice(1);
-            let rr, gg, bb;
-            if (hex.length === 3) {
-              rr = parseInt(hex[0] + hex[0], 16);
-              gg = parseInt(hex[1] + hex[1], 16);
-              bb = parseInt(hex[2] + hex[2], 16);
-            } else if (hex.length >= 6) {
-              rr = parseInt(hex.slice(0, 2), 16);
-              gg = parseInt(hex.slice(2, 4), 16);
-              bb = parseInt(hex.slice(4, 6), 16);
-            } else {
-              return null;
-            }
-            return { r: rr, g: gg, b: bb, a: 1 };
-          }
-          return null;
-        };
+function detectPageMetadata() {
+  const nodes = jsonLdNodes();
+  const firstOfType = (type) => nodes.find((n) => ldTypes(n).includes(type)) || null;
+
+  const organization = firstOfType("Organization") || firstOfType("Corporation");
+  const product = firstOfType("Product");
+  const app =
+    firstOfType("SoftwareApplication") ||
+    firstOfType("WebApplication") ||
+    firstOfType("MobileApplication");
+  const faq = firstOfType("FAQPage");
+
+  const faqItems = [];
+  for (const q of [].concat(faq?.mainEntity || [])) {
+    if (faqItems.length >= MAX_FAQ_ITEMS) break;
+    const question = ldText(q?.name);
+    if (!question) continue;
+    const answer = ldText(q.acceptedAnswer?.text ?? q.acceptedAnswer);
+    faqItems.push({ question, answer: answer ? answer.slice(0, 300) : null });
+  }
 
-        // --- Helper: extract all parsed color stops from a gradient string ---
-        const gradientColors = (gradientStr) => {
-          const colorPattern = /(rgba?\([^)]+\)|hsla?\([^)]+\)|#[0-9a-fA-F]{3,8})/g;
-          const matches = gradientStr.match(colorPattern);
-          if (!matches || matches.length === 0) return [];
-          const colors = [];
-          for (const c of matches) {
-            const parsed = parseAnyColor(c);
-            if (parsed) colors.push(parsed);
-          }
-          return colors;
-        };
+  return {
+    page_metadata: {
+      title: document.title.trim() || null,
+      description: metaContent('meta[name="description" i]'),
+      canonical_url: absoluteUrl(document.querySelector('link[rel="canonical" i]')?.getAttribute("href")),
+      lang: document.documentElement.getAttribute("lang") || null,
+      hreflang: Array.from(document.querySelectorAll('link[rel="alternate" i][hreflang]'))
+        .map((link) => ({
+          lang: link.getAttribute("hreflang"),
+          href: absoluteUrl(link.getAttribute("href")),
+        }))
+        .filter((alt) => alt.href),
+      open_graph: {
+        title: metaContent('meta[property="og:title"]'),
+        description: metaContent('meta[property="og:description"]'),
+        image: absoluteUrl(metaContent('meta[property="og:image"], meta[property="og:image:url"]')),
+        url: absoluteUrl(metaContent('meta[property="og:url"]')),
+        site_name: metaContent('meta[property="og:site_name"]'),
+        type: metaContent('meta[property="og:type"]'),
+      },
+      // Twitter tags are officially name=, but property= is common in the wild
+      twitter: {
+        card: metaContent('meta[name="twitter:card"], meta[property="twitter:card"]'),
+        title: metaContent('meta[name="twitter:title"], meta[property="twitter:title"]'),
+        description: metaContent('meta[name="twitter:description"], meta[property="twitter:description"]'),
+        image: absoluteUrl(metaContent('meta[name="twitter:image"], meta[property="twitter:image"]')),
+        site: metaContent('meta[name="twitter:site"], meta[property="twitter:site"]'),
+      },
+      json_ld_types: [...new Set(nodes.flatMap(ldTypes))],
+      structured_data: {
+        organization: organization && {
+          name: ldText(organization.name),
+          url: absoluteUrl(ldText(organization.url)),
+          logo: absoluteUrl(ldText(organization.logo)),
+          same_as: [].concat(organization.sameAs || []).map(ldText).filter(Boolean),
+        },
+        product: product && {
+          name: ldText(product.name),
+          description: ldText(product.description),
+          brand: ldText(product.brand),
+          offer: ldOffer(product.offers),
+          rating: ldRating(product.aggregateRating),
+        },
+        software_application: app && {
+          name: ldText(app.name),
+          category: ldText(app.applicationCategory),
+          operating_system: ldText(app.operatingSystem),
+          offer: ldOffer(app.offers),
+          rating: ldRating(app.aggregateRating),
+        },
+        faq: faq && { questions: faqItems },
+      },
+    },
+  };
+}
 
-        // --- Helper: extract first color stop from a gradient string ---
-        const firstGradientColor = (gradientStr) => {
-          const colors = gradientColors(gradientStr);
-          return colors.length > 0 ? colors[0] : null;
-        };
+// --- Page outline ---
+// Optional whole-page pass (extractFingerprint's `pageOutline` option):
+// split the page into its major sections and classify each one with the
+// hero detectors' own heuristics, scoped to that section.
 
-        // --- Helper: build a gradient tag like "pink-yellow-gradient" from color stops ---
-        const buildGradientTag = (gradientStr) => {
-          const colors = gradientColors(gradientStr);
-          if (colors.length === 0) return null;
-          // Classify each stop, deduplicate while preserving order
-          const names = [];
-          for (const c of colors) {
-            const name = classifyColor(c);
-            if (name && (names.length === 0 || names[names.length - 1] !== name)) {
-              names.push(name);
-            }
-          }
-          if (names.length === 0) return null;
-          // Cap at 3 distinct colors to keep the tag readable
-          const unique = names.slice(0, 3);
-          return unique.join("-") + "-gradient";
-        };
+// Sections past this are almost always footer fragments or lazy-load stubs
+var MAX_PAGE_SECTIONS = 30;
 
-        // --- Helper: classify an {r,g,b} into a named color label ---
-        const classifyColor = (c) => {
-          if (!c) return null;
-          const { r, g, b } = c;
-          const maxC = Math.max(r, g, b);
-          const minC = Math.min(r, g, b);
-          const lum = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
-
-          // Very dark
-          if (maxC <= 35 && (maxC - minC) <= 10) return "black";
-          // Only classify as generic "dark" when the color is desaturated.
-          // Chromatic dark colors (e.g. deep burgundy, navy) should fall
-          // through to the hue classification below so they get a real name.
-          const darkDelta = maxC - minC;
-          if (lum < 0.15 && darkDelta < 40) return "dark";
-
-          // Very light / white
-          if (minC >= 240) return "white";
-          if (lum > 0.9) return "off_white";
-
-          // Determine dominant hue
-          const delta = maxC - minC;
-          if (delta < 20) {
-            // Grey tones
-            return lum > 0.5 ? "light_grey" : "dark_grey";
-          }
-
-          let h = 0;
-          if (maxC === r) h = ((g - b) / delta) % 6;
-          else if (maxC === g) h = (b - r) / delta + 2;
-          else h = (r - g) / delta + 4;
-          h = Math.round(h * 60);
-          if (h < 0) h += 360;
-
-          // Map hue ranges to names
-          if (h < 15 || h >= 345) return lum > 0.6 ? "light_red" : "red";
-          if (h < 35) return lum > 0.6 ? "peach" : "orange";
-          if (h < 65) return lum > 0.6 ? "light_yellow" : "yellow";
-          if (h < 160) return lum > 0.6 ? "light_green" : "green";
-          if (h < 200) return lum > 0.6 ? "light_cyan" : "cyan";
-          if (h < 260) return lum > 0.6 ? "light_blue" : "blue";
-          if (h < 290) return lum > 0.6 ? "light_purple" : "purple";
-          if (h < 345) return lum > 0.6 ? "pink" : "magenta";
-          return null;
-        };
+// Blocks shorter than this are dividers and spacers, not sections
+var MIN_SECTION_HEIGHT = 40;
+
+/**
+ * The page's major blocks in document order: body's children, descending
+ * through wrappers (a lone block child, or a container taller than 1.5
+ * viewports) until reaching sectioning elements or content.
+ */
+function outlineBlocks({ viewportHeight, overlayEls }) {
+  const blocks = [];
+  const isBlock = (el) =>
+    !/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|LINK|META)$/.test(el.tagName) &&
+    !el.id?.startsWith("herocapture") &&
+    !withinAny(el, overlayEls) &&
+    getComputedStyle(el).position !== "fixed" &&
+    viewportRect(el).height >= MIN_SECTION_HEIGHT &&
+    isVisible(el);
+
+  const visit = (parent, depth) => {
+    for (const child of Array.from(parent.children).filter(isBlock)) {
+      if (blocks.length >= MAX_PAGE_SECTIONS) return;
+      const inner = Array.from(child.children).filter(isBlock);
+      const isSectioning = /^(SECTION|FOOTER|HEADER|NAV|ARTICLE|ASIDE)$/.test(child.tagName);
+      const holdsSections = inner.some((el) => el.matches("section, footer"));
+      const isWrapper =
+        holdsSections ||
+        (!isSectioning &&
+          (inner.length === 1 || (inner.length > 1 && viewportRect(child).height > viewportHeight * 1.5)));
+      if (depth < 6 && isWrapper) {
+        visit(child, depth + 1);
+      } else {
+        blocks.push(child);
+      }
+    }
+  };
+  if (document.body) visit(document.body, 0);
+  return blocks;
+}
 
-        const darkThemeResult = (() => {
-          const result = {
-            is_dark: false,
-            hero_bg: null,
-            hero_bg_gradient: null,
-            hero_bg_color_name: null,
-            hero_bg_gradient_tag: null,
-            hero_text_color: null,
-            sampled_element: null,
-          };
-          if (!headlineEl || !headlineRect) return result;
-          // Sample a point just to the left of the headline — likely on the background, not on text
-          const sampleX = Math.max(10, headlineRect.left - 30);
-          const sampleY = Math.max(10, headlineRect.top + headlineRect.height / 2);
-
-          // Walk from the element at that point upward until we find a non-transparent bg or gradient
-          let el = document.elementFromPoint(sampleX, sampleY);
-          if (!el) return result;
-          let bg = "rgba(0, 0, 0, 0)";
-          let bgImage = "none";
-          let guard = 0;
-          while (el && guard < 10) {
-            const cs = getComputedStyle(el);
-            bg = cs.backgroundColor;
-            bgImage = cs.backgroundImage;
-            // Stop if we found a solid bg or a gradient
-            if ((bg && bg !== "rgba(0, 0, 0, 0)") || (bgImage && bgImage !== "none")) break;
-            el = el.parentElement;
-            guard += 1;
-          }
-
-          result.sampled_element = el
-            ? el.tagName?.toLowerCase() + (el.className ? `.${String(el.className).split(" ")[0]}` : "")
-            : null;
-          result.hero_bg = bg;
-
-          // Check for gradient background-image
-          const hasGradient = bgImage && bgImage !== "none" && /gradient/i.test(bgImage);
-          if (hasGradient) {
-            result.hero_bg_gradient = bgImage;
-            result.hero_bg_gradient_tag = buildGradientTag(bgImage);
-          }
-
-          // Text color
-          const textColor = getComputedStyle(headlineEl).color;
-          result.hero_text_color = textColor;
-
-          // Determine the effective background color for classification
-          let bgColor = null;
-          const parsedBg = parseRgba(bg);
-          if (parsedBg && parsedBg.a > 0) {
-            bgColor = parsedBg;
-          } else if (hasGradient) {
-            // Extract first color stop from gradient
-            bgColor = firstGradientColor(bgImage);
-          }
-
-          if (bgColor) {
-            result.hero_bg_color_name = classifyColor(bgColor);
-          }
-
-          // Dark theme detection: luminance-based to catch dark blue/green/purple,
-          // not just near-black backgrounds.
-          if (bgColor && bgColor.a !== 0) {
-            const bgLum = (0.2126 * bgColor.r + 0.7152 * bgColor.g + 0.0722 * bgColor.b) / 255;
-            if (bgLum < 0.2) {
-              const tMatch = textColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/i);
-              const tR = tMatch ? Number(tMatch[1]) : 0;
-              const tG = tMatch ? Number(tMatch[2]) : 0;
-              const tB = tMatch ? Number(tMatch[3]) : 0;
-              const textLum = (0.2126 * tR + 0.7152 * tG + 0.0722 * tB) / 255;
-              result.is_dark = textLum > 0.7;
-            }
-          }
-
-          return result;
-        })();
-        const darkThemeHero = darkThemeResult.is_dark;
-
-        const resolvedHeadline = headline || largestText;
-        const headlineWordCount = resolvedHeadline
-          ? resolvedHeadline.split(/\s+/).filter(Boolean).length
-          : 0;
-        // Copy-only hero: has a headline but no CTAs and no prominent media
-        const isCopyOnly =
-          !!resolvedHeadline &&
-          headlineWordCount >= 3 &&
-          ctas.length === 0 &&
-          !heroMediaType;
+function sectionHeading(el) {
+  const heading = Array.from(el.querySelectorAll("h1, h2, h3, h4, [role='heading']"))
+    .find((h) => isVisible(h) && cleanText(h.innerText || ""));
+  return heading ? cleanText(heading.innerText).slice(0, 120) : null;
+}
 
-        return {
-          layout,
-          alignment,
-          hero_height_ratio: Number(heroHeightRatio.toFixed(2)),
-          headline: resolvedHeadline,
-          subheadline,
-          headline_word_count: headlineWordCount,
-          cta_count: ctas.length,
-          primary_cta_text: primaryCta,
-          ctas,
-          cta_details: ctaDetails,
-          has_form: forms.length > 0,
-          form_fields_count: formFields,
-          has_email_only: hasEmailOnly,
-          has_password_field: hasPasswordField,
-          has_oauth: hasOAuth,
-          grid_cards_in_fold: maxChildren,
-          has_filters: hasFilters,
-          detected_stack: detectedStack,
-          page_text: heroText,
-          has_pricing_tokens: hasPricingTokens,
-          has_promotion_signals: Boolean(hasPromotionSignals),
-          has_promo_language: Boolean(hasPromoLanguage),
-          has_transactional_cta: Boolean(hasTransactionalCta),
-          has_price_display: Boolean(hasPriceDisplay),
-          price_count: priceCount,
-          has_countdown: Boolean(hasCountdown),
-          add_to_cart_count: addToCartCount,
-          product_card_count: productCardCount,
-          has_category_nav: Boolean(hasCategoryNav),
-          has_discovery_language: Boolean(hasDiscoveryLanguage),
-          has_brand_campaign_language: Boolean(hasBrandCampaignLanguage),
-          has_trust_signals: Boolean(hasTrustSignals),
-          trust_badge_count: trustBadgeCount,
-          is_commerce_hero: Boolean(isCommerceHero),
-          has_canvas: Boolean(hasCanvas),
-          has_webgl: Boolean(hasWebGL),
-          large_svg_count: largeSvgCount,
-          has_interactive_demo: Boolean(hasInteractiveDemo),
-          has_animation_stack: Boolean(hasAnimationStack),
-          has_showcase_language: Boolean(hasShowcaseLanguage),
-          is_showcase_hero: Boolean(isShowcaseHero),
-          is_error_page: Boolean(isErrorPage),
-          error_page_reason: errorPageReason,
-          bullet_count: totalBulletCount,
-          feature_bullet_count: totalBulletCount,
-          has_feature_bullets: totalBulletCount >= 2,
-          total_lists_in_hero: totalListsInHero,
-          has_dashboard_preview: Boolean(hasDashboardPreview),
-          has_dashboard_keywords: Boolean(hasDashboardKeywords),
-          has_social_proof: Boolean(hasSocialProof),
-          logo_count: logoCount,
-          left_copy_right_media: Boolean(leftCopyRightMedia),
-          dark_theme_hero: Boolean(darkThemeHero),
-          hero_bg: darkThemeResult.hero_bg,
-          hero_bg_gradient: darkThemeResult.hero_bg_gradient,
-          hero_bg_color_name: darkThemeResult.hero_bg_color_name,
-          hero_bg_gradient_tag: darkThemeResult.hero_bg_gradient_tag,
-          hero_text_color: darkThemeResult.hero_text_color,
-          hero_bg_sampled_from: darkThemeResult.sampled_element,
-          hero_media_type: heroMediaType,
-          hero_images: heroImages,
-          hero_image_count: heroImages.length,
-          metrics_visible: Boolean(metricsVisible),
-          is_copy_only: Boolean(isCopyOnly),
-          interactive_debug: interactiveDebug,
-          list_items_raw: featureListItems
-            .concat(
-              listItems.filter(
-                (item) =>
-                  !featureListItems.includes(item) &&
-                  !item.looksLikeLogo &&
-                  !item.isLegal &&
-                  !item.isNavLink &&
-                  !item.isJustLink
-              )
-            )
-            .slice(0, 20)
-            .map((item) => ({ text: item.text, wordCount: item.wordCount })),
-        };
+/**
+ * Kind of one page section: navigation | hero | faq | pricing |
+ * comparison_table | testimonials | logo_bar | features_grid | final_cta |
+ * footer | content. Runs the list, bullet and social proof detectors with
+ * `inHero` narrowed to the section.
+ */
+function classifySection(el, { heading, isFirstContent, vocab }) {
+  const text = cleanText(el.innerText || "");
+  const words = wordCount(text, vocab);
+  const inSection = (node) => el.contains(node);
+
+  if (el.matches("footer, [role='contentinfo']") || inFramerNavOrFooter(el) || looksLikeFooterContent(el, vocab)) {
+    return "footer";
+  }
+  if (el.matches("header, nav, [role='navigation']") || (inNavOrHeader(el) && viewportRect(el).height < 150)) {
+    return "navigation";
+  }
+  if (isFirstContent) return "hero";
+
+  const questions = Array.from(el.querySelectorAll("summary, h2, h3, h4, h5, dt, button"))
+    .filter((q) => /\?\s*$/.test(cleanText(q.innerText || ""))).length;
+  if (el.querySelectorAll("details").length >= 2 || questions >= 3 || (heading && vocab.faq.test(heading))) {
+    return "faq";
+  }
+
+  const prices = text.match(new RegExp(PLAN_PRICE_REGEX.source, "gi")) || [];
+  if (prices.length >= 2 && vocab.pricing.test(text)) return "pricing";
+  if (heading && vocab.pricing.test(heading) && prices.length >= 1) return "pricing";
+
+  const table = Array.from(el.querySelectorAll("table, [role='table']")).find((t) => {
+    const rows = t.querySelectorAll("tr, [role='row']");
+    return rows.length >= 3 && (rows[0].querySelectorAll("th, td, [role='columnheader'], [role='cell']").length >= 3);
+  });
+  if (table || (heading && vocab.comparison.test(heading) && el.querySelector("table, [role='table'], [role='grid']"))) {
+    return "comparison_table";
+  }
+
+  const textNodes = Array.from(el.querySelectorAll("h1, h2, h3, p, span, div")).filter(isVisible);
+  const searchRoots = [{ root: document, source: "document" }];
+  const social = detectSocialProof({ inHero: inSection, heroText: text, heroTextNodes: textNodes, searchRoots, vocab });
+  if (social.social_proof.testimonials.length > 0) return "testimonials";
+  if (social.logo_count >= 4 && words <= 60) return "logo_bar";
+
+  const lists = detectListItems({ inHero: inSection, vocab });
+  const bullets = detectBullets({ inHero: inSection, ...lists, contentTop: viewportRect(el).top, vocab });
+  if (bullets.feature_bullet_count >= 3) return "features_grid";
+
+  const hasCta = Array.from(el.querySelectorAll("a, button, [role='button']"))
+    .some((c) => isVisible(c) && vocab.primaryCta.test(cleanText(c.innerText || "")));
+  if (hasCta && words <= 60) return "final_cta";
+  return "content";
+}
+
+function detectPageOutline({ viewportHeight, heroBottom, overlayEls, vocab }) {
+  const blocks = outlineBlocks({ viewportHeight, overlayEls });
+  const scrollY = window.scrollY || 0;
+  let heroSeen = false;
+
+  const sections = blocks
+    .map((el) => ({ el, rect: viewportRect(el) }))
+    .sort((a, b) => a.rect.top - b.rect.top)
+    .map(({ el, rect }) => {
+      const heading = sectionHeading(el);
+      // The hero is the first non-nav block starting inside the hero bounds
+      const isFirstContent = !heroSeen && rect.top < heroBottom &&
+        !el.matches("header, nav, footer, [role='navigation']") && !(inNavOrHeader(el) && rect.height < 150);
+      if (isFirstContent) heroSeen = true;
+      return {
+        kind: classifySection(el, { heading, isFirstContent, vocab }),
+        heading,
+        top: Math.round(rect.top + scrollY),
+        height: Math.round(rect.height),
+        element: describeElement(el),
+      };
+    });
+
+  // A "final CTA" is only final when nothing but the footer follows it
+  const lastContent = sections.findLastIndex((s) => s.kind !== "footer");
+  for (let i = 0; i < sections.length; i++) {
+    if (sections[i].kind === "final_cta" && i !== lastContent) sections[i].kind = "content";
+  }
+
+  return {
+    page_outline: {
+      sections,
+      page_height: Math.round(document.documentElement.scrollHeight || 0),
+    },
+  };
+}
+
+function detectCopyOnly({ headline, ctas, heroMediaType, vocab }) {
+  // Copy-only hero: has a headline but no CTAs and no prominent media
+  const isCopyOnly =
+    !!headline &&
+    wordCount(headline, vocab) >= 3 &&
+    ctas.length === 0 &&
+    !heroMediaType;
+  return { is_copy_only: Boolean(isCopyOnly) };
+}
+
+// --- Detector registry ---
+
+/**
+ * Every signal in the fingerprint comes from one entry here. `inputs` name
+ * context values produced by other detectors' `provides`; `outputs` are the
+ * fingerprint keys copied from the value `run` returns. Order in this list
+ * only matters as a tie-break — dependencies decide the run order.
+ */
+function getDetectors() {
+  return [
+    {
+      name: "language",
+      inputs: [],
+      provides: ["vocab"],
+      outputs: ["language"],
+      run: detectLanguage,
+    },
+    {
+      name: "overlays",
+      inputs: ["vocab"],
+      provides: ["overlayEls"],
+      outputs: ["overlays"],
+      run: detectOverlays,
+    },
+    {
+      name: "hero_bounds",
+      inputs: ["overlayEls"],
+      provides: ["viewportHeight", "viewportWidth", "heroMaxBottom", "heroBottom", "heroSections", "inHero", "inFold"],
+      outputs: ["hero_height_ratio", "hero_bottom", "hero_rect", "scroll_y", "viewport_width", "viewport_height"],
+      run: detectHeroBounds,
+    },
+    {
+      name: "search_roots",
+      inputs: ["inHero"],
+      provides: ["searchRoots"],
+      outputs: ["dom_sources"],
+      run: detectSearchRoots,
+    },
+    {
+      name: "hero_text_nodes",
+      inputs: ["inHero", "searchRoots", "vocab"],
+      provides: ["heroTextNodes"],
+      outputs: [],
+      run: detectHeroTextNodes,
+    },
+    {
+      name: "headline",
+      inputs: ["heroTextNodes", "viewportWidth", "vocab"],
+      provides: ["h1", "headline", "headlineEl", "headlineRect", "headlineStrategy"],
+      outputs: ["headline", "headline_word_count", "headline_strategy", "headline_source"],
+      run: detectHeadline,
+    },
+    {
+      name: "hero_text",
+      inputs: ["heroTextNodes", "headlineRect"],
+      provides: ["contentTop", "heroText"],
+      outputs: ["page_text"],
+      run: detectHeroText,
+    },
+    {
+      name: "ctas",
+      inputs: ["inHero", "searchRoots", "viewportHeight", "headlineRect", "vocab"],
+      provides: ["ctas", "ctaElements", "ctaReasons"],
+      outputs: ["cta_count", "primary_cta_text", "loudest_cta_text", "ctas", "cta_details"],
+      run: detectCtas,
+    },
+    {
+      name: "subheadline",
+      inputs: ["heroTextNodes", "inHero", "headlineEl", "headlineRect", "ctas", "vocab"],
+      provides: ["subheadline", "subheadlineEl", "subheadlineStrategy"],
+      outputs: ["subheadline", "subheadline_strategy", "subheadline_source"],
+      run: detectSubheadline,
+    },
+    {
+      name: "forms",
+      inputs: ["inHero", "searchRoots", "vocab"],
+      provides: ["heroForms"],
+      outputs: [
+        "has_form", "form_fields_count", "has_email_only", "has_password_field", "has_oauth",
+        "form_sources", "hero_forms",
+      ],
+      run: detectForms,
+    },
+    {
+      name: "layout",
+      inputs: ["inHero", "viewportWidth", "h1"],
+      provides: ["layout"],
+      outputs: ["layout", "alignment", "grid_cards_in_fold", "has_filters"],
+      run: detectLayout,
+    },
+    {
+      name: "navigation",
+      inputs: ["viewportWidth", "overlayEls", "vocab"],
+      provides: [],
+      outputs: ["announcement_bar", "navigation"],
+      run: detectNavigation,
+    },
+    {
+      name: "stack",
+      inputs: [],
+      provides: ["detectedStack"],
+      outputs: ["detected_stack", "stack_details", "experimentation"],
+      run: detectStack,
+    },
+    {
+      name: "commerce",
+      inputs: ["inHero", "viewportHeight", "heroText", "headline", "subheadline", "ctas", "vocab"],
+      provides: [],
+      outputs: [
+        "has_pricing_tokens", "has_promotion_signals", "has_promo_language",
+        "has_transactional_cta", "has_price_display", "price_count", "has_countdown",
+        "add_to_cart_count", "product_card_count", "has_category_nav",
+        "has_discovery_language", "has_brand_campaign_language", "has_trust_signals",
+        "trust_badge_count", "is_commerce_hero",
+      ],
+      run: detectCommerce,
+    },
+    {
+      name: "list_items",
+      inputs: ["inHero", "vocab"],
+      provides: ["listContainers", "listItems"],
+      outputs: [],
+      run: detectListItems,
+    },
+    {
+      name: "showcase",
+      inputs: ["inHero", "inFold", "heroText", "ctas", "detectedStack", "listItems"],
+      provides: [],
+      outputs: [
+        "has_canvas", "has_webgl", "large_svg_count", "has_interactive_demo",
+        "has_animation_stack", "has_showcase_language", "is_showcase_hero",
+        "interactive_debug",
+      ],
+      run: detectShowcase,
+    },
+    {
+      name: "error_page",
+      inputs: ["heroText", "vocab", "overlayEls"],
+      provides: [],
+      outputs: ["is_error_page", "error_page_reason"],
+      run: detectErrorPage,
+    },
+    {
+      name: "bullets",
+      inputs: ["inHero", "listContainers", "listItems", "contentTop", "vocab"],
+      provides: [],
+      outputs: ["bullet_count", "feature_bullet_count", "has_feature_bullets", "total_lists_in_hero", "list_items_raw"],
+      run: detectBullets,
+    },
+    {
+      name: "media",
+      inputs: [
+        "inHero", "searchRoots", "viewportWidth", "viewportHeight", "heroBottom", "headline", "subheadline",
+        "layout",
+      ],
+      provides: ["heroMediaType", "heroMediaElements"],
+      outputs: [
+        "has_dashboard_preview", "has_dashboard_keywords", "left_copy_right_media",
+        "hero_media_type", "hero_images", "hero_image_count", "hero_media",
+      ],
+      run: detectMedia,
+    },
+    {
+      name: "social_proof",
+      inputs: ["inHero", "heroText", "heroTextNodes", "searchRoots", "vocab"],
+      provides: ["logoRowElements", "logoRowStrategy"],
+      outputs: ["has_social_proof", "logo_count", "social_proof"],
+      run: detectSocialProof,
+    },
+    {
+      name: "metrics",
+      inputs: ["heroText", "heroTextNodes"],
+      provides: [],
+      outputs: ["metrics_visible", "metrics"],
+      run: detectMetrics,
+    },
+    {
+      name: "hero_colors",
+      inputs: ["headlineEl", "headlineRect"],
+      provides: [],
+      outputs: [
+        "dark_theme_hero", "hero_bg", "hero_bg_gradient", "hero_bg_color_name",
+        "hero_bg_gradient_tag", "hero_text_color", "hero_bg_sampled_from",
+      ],
+      run: detectHeroColors,
+    },
+    {
+      name: "palette",
+      inputs: ["inHero", "viewportWidth", "heroBottom", "headlineEl", "subheadlineEl", "ctaElements"],
+      provides: [],
+      outputs: ["palette"],
+      run: detectPalette,
+    },
+    {
+      name: "accessibility",
+      inputs: ["inHero", "headlineEl", "ctaElements", "detectedStack"],
+      provides: [],
+      outputs: ["accessibility"],
+      run: detectAccessibility,
+    },
+    {
+      name: "copy_only",
+      inputs: ["headline", "ctas", "heroMediaType", "vocab"],
+      provides: [],
+      outputs: ["is_copy_only"],
+      run: detectCopyOnly,
+    },
+    {
+      name: "typography",
+      inputs: ["headlineEl", "subheadlineEl", "ctaElements"],
+      provides: [],
+      outputs: ["typography"],
+      run: detectTypography,
+    },
+    {
+      name: "geometry",
+      inputs: [
+        "viewportWidth", "viewportHeight", "heroBottom", "heroSections", "headlineEl",
+        "subheadlineEl", "ctaElements", "heroForms", "logoRowElements", "heroMediaElements",
+      ],
+      provides: [],
+      outputs: ["geometry"],
+      run: detectGeometry,
+    },
+    {
+      name: "page_metadata",
+      inputs: [],
+      provides: [],
+      outputs: ["page_metadata"],
+      run: detectPageMetadata,
+    },
+    {
+      name: "pricing_plans",
+      inputs: ["viewportHeight", "overlayEls", "vocab"],
+      provides: [],
+      outputs: ["pricing_plans"],
+      run: detectPricingPlans,
+    },
+    {
+      name: "page_outline",
+      inputs: ["viewportHeight", "heroBottom", "overlayEls", "vocab"],
+      provides: [],
+      outputs: ["page_outline"],
+      run: detectPageOutline,
+    },
+  ];
+}
+
+// --- Detector runner ---
+
+// Map each context key to the name of the detector that provides it.
+function indexProviders(detectors) {
+  const providers = new Map();
+  for (const detector of detectors) {
+    for (const key of detector.provides) {
+      if (providers.has(key)) {
+        throw new Error(`"${key}" is provided by both ${providers.get(key)} and ${detector.name}`);
+      }
+      providers.set(key, detector.name);
+    }
+  }
+  return providers;
+}
+
+// Depth-first topological sort. A missing provider or a cycle is a bug in
+// the registry, not in the page, so both throw.
+function orderDetectors(detectors, providers) {
+  const byName = new Map(detectors.map((d) => [d.name, d]));
+  const marks = new Map();
+  const ordered = [];
+
+  const visit = (detector, trail) => {
+    const mark = marks.get(detector.name);
+    if (mark === "done") return;
+    if (mark === "visiting") {
+      throw new Error(`Detector cycle: ${[...trail, detector.name].join(" -> ")}`);
+    }
+    marks.set(detector.name, "visiting");
+    for (const input of detector.inputs) {
+      const provider = providers.get(input);
+      if (!provider) {
+        throw new Error(`Detector ${detector.name} needs "${input}", which no detector provides`);
+      }
+      visit(byName.get(provider), [...trail, detector.name]);
+    }
+    marks.set(detector.name, "done");
+    ordered.push(detector);
+  };
+
+  for (const detector of detectors) visit(detector, []);
+  return ordered;
+}
+
+// Names of the given detectors plus every detector that reads, directly or
+// transitively, one of their `provides`. `ordered` must be topologically sorted.
+function downstreamOf(ordered, providers, names) {
+  const downstream = new Set(names);
+  for (const detector of ordered) {
+    if (detector.inputs.some((key) => downstream.has(providers.get(key)))) {
+      downstream.add(detector.name);
+    }
+  }
+  return downstream;
+}
+
+/**
+ * Run detectors in dependency order and merge their outputs.
+ * A detector that throws (or is disabled) gets null for each of its outputs,
+ * and every detector reading one of its `provides` is skipped.
+ *
+ * `overrides` maps a detector name to a replacement `(ctx, run) => result`,
+ * where `run` is the detector's own run. With `previous` (an earlier
+ * { ctx, fingerprint, report }), only the overridden detectors and those
+ * downstream of them run; the rest keep their previous results.
+ *
+ * Returns { ctx, fingerprint, report } where report has one entry per detector.
+ */
+function runDetectors(detectors, { disabled = [], overrides = {}, previous = null } = {}) {
+  const providers = indexProviders(detectors);
+  const ordered = orderDetectors(detectors, providers);
+  const stale = previous ? downstreamOf(ordered, providers, Object.keys(overrides)) : null;
+  const ctx = {};
+  const fingerprint = {};
+  const report = [];
+  const succeeded = new Set();
+
+  for (const detector of ordered) {
+    if (stale && !stale.has(detector.name)) {
+      const prior = previous.report.find((e) => e.name === detector.name);
+      for (const key of detector.provides) ctx[key] = previous.ctx[key];
+      for (const key of detector.outputs) fingerprint[key] = previous.fingerprint[key] ?? null;
+      if (prior?.status === "ok") succeeded.add(detector.name);
+      report.push(prior);
+      continue;
+    }
+
+    const entry = { name: detector.name, status: "ok", ms: 0, error: null };
+    const blockedBy = [...new Set(detector.inputs.map((key) => providers.get(key)))]
+      .filter((name) => !succeeded.has(name));
+
+    if (disabled.includes(detector.name)) {
+      entry.status = "disabled";
+    } else if (blockedBy.length > 0) {
+      entry.status = "skipped";
+      entry.error = `Needs ${blockedBy.join(", ")}`;
+    } else {
+      const started = performance.now();
+      try {
+        const override = overrides[detector.name];
+        const result = (override ? override(ctx, detector.run) : detector.run(ctx)) || {};
+        for (const key of detector.provides) ctx[key] = result[key];
+        for (const key of detector.outputs) fingerprint[key] = result[key] ?? null;
+        succeeded.add(detector.name);
+      } catch (error) {
+        entry.status = "error";
+        entry.error = error?.message || String(error);
+      }
+      entry.ms = Number((performance.now() - started).toFixed(1));
+    }
+
+    if (entry.status !== "ok") {
+      for (const key of detector.outputs) fingerprint[key] = null;
+    }
+    report.push(entry);
+  }
+
+  return { ctx, fingerprint, report };
+}
+
+/**
+ * Build the hero fingerprint for the current page.
+ * `options.disabled` lists detector names to leave out of this run;
+ * `options.pageOutline` also outlines the whole page and reads pricing
+ * tables wherever they are (off by default — both walk every section;
+ * pricing tables are always read on a /pricing page). `options.settle` is how the page settled before the
+ * run (waitForSettle's result), kept so corrections report it too.
+ */
+function extractFingerprint(options = {}) {
+  const disabled = [
+    ...(options.disabled || []),
+    ...(options.pageOutline ? [] : ["page_outline"]),
+    ...(options.pageOutline || isPricingPath() ? [] : ["pricing_plans"]),
+  ];
+  const { ctx, fingerprint, report } = runDetectors(getDetectors(), { ...options, disabled });
+  lastExtraction = {
+    ctx,
+    fingerprint,
+    report,
+    disabled,
+    overrides: {},
+    scrollY: window.scrollY,
+    settle: options.settle ?? null,
+  };
+  return formatFingerprint(fingerprint, report, lastExtraction.settle);
+}
+
+function formatFingerprint(fingerprint, report, settle) {
+  return {
+    fingerprint_version: FINGERPRINT_VERSION,
+    ...fingerprint,
+    detector_report: report,
+    settle,
+  };
+}
+
+// --- Settle phase ---
+// Hydrating SPAs and entrance animations (Framer, GSAP) leave the hero
+// half-built for a moment after load: opacity-0 headlines, empty shells,
+// images still decoding. Extraction waits until the page has been quiet for
+// SETTLE_QUIET_MS, or gives up after SETTLE_TIMEOUT_MS.
+
+var SETTLE_QUIET_MS = 300;
+var SETTLE_TIMEOUT_MS = 4000;
+var SETTLE_POLL_MS = 100;
+
+// Finite CSS/Web Animations still running. Infinite ones (spinners,
+// marquees) never finish, so they don't hold up extraction.
+function runningAnimationCount() {
+  if (!document.getAnimations) return 0;
+  return document.getAnimations().filter((animation) => {
+    if (animation.playState !== "running") return false;
+    const endTime = animation.effect?.getComputedTiming?.().endTime;
+    return Number.isFinite(endTime);
+  }).length;
+}
+
+// Images in or just below the first viewport that haven't finished loading
+function pendingHeroImageCount() {
+  const limit = (window.innerHeight || 900) * 1.15;
+  return Array.from(document.images).filter((img) => {
+    if (img.complete || img.loading === "lazy") return false;
+    const r = viewportRect(img);
+    return r.bottom > 0 && r.top < limit;
+  }).length;
+}
+
+// Whether a mutation can change what the extractor sees: inside the hero
+// cap (1.15× the viewport, as in detectHeroBounds) and outside known
+// overlays and the extension's own nodes. Carousels, countdowns and chat
+// widgets elsewhere would otherwise keep the page from ever going quiet
+function isSettleRelevant(node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!el) return false;
+  const signatures = typeof OVERLAY_SIGNATURES !== "undefined" ? OVERLAY_SIGNATURES : [];
+  const ignored = [
+    "[id^='herocapture']", `[${OVERLAY_HIDDEN_ATTR}]`, ...signatures.flatMap((sig) => sig.selectors),
+  ].join(", ");
+  if (el.closest(ignored)) return false;
+  return viewportRect(el).top < (window.innerHeight || 900) * 1.15;
+}
+
+/**
+ * Resolve once DOM mutations in the hero, finite animations and hero image
+ * loads have all been quiet, or at the timeout. Resolves with
+ * { waited_ms, stopped_because: "quiet" | "timeout", pending: [...] } where
+ * `pending` names what was still busy when it stopped.
+ */
+function waitForSettle({ quietMs = SETTLE_QUIET_MS, timeoutMs = SETTLE_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const started = performance.now();
+    let lastMutation = started;
+    const observer = new MutationObserver((records) => {
+      if (records.some((record) => isSettleRelevant(record.target))) lastMutation = performance.now();
+    });
+    observer.observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      // Attributes that change layout or what's shown; aria-* and data-*
+      // state toggles on tickers don't
+      attributeFilter: ["style", "class", "src", "hidden"],
+      characterData: true,
+    });
+
+    const check = () => {
+      const now = performance.now();
+      const pending = [];
+      if (now - lastMutation < quietMs) pending.push("mutations");
+      if (runningAnimationCount() > 0) pending.push("animations");
+      if (pendingHeroImageCount() > 0) pending.push("images");
+
+      const timedOut = now - started >= timeoutMs;
+      // Quiet only counts once a full quiet window has passed since we started
+      if ((pending.length === 0 && now - started >= quietMs) || timedOut) {
+        observer.disconnect();
+        resolve({
+          waited_ms: Math.round(now - started),
+          stopped_because: pending.length === 0 ? "quiet" : "timeout",
+          pending,
+        });
+        return;
+      }
+      setTimeout(check, SETTLE_POLL_MS);
+    };
+    setTimeout(check, SETTLE_POLL_MS);
+  });
+}
+
+// --- Inspect overlay ---
+// Outlines the elements the last extraction picked, in page coordinates so
+// the boxes stay put while the user scrolls. Labels carry a tooltip naming
+// the strategy that chose each element.
+
+var INSPECT_OVERLAY_ID = "herocapture-inspect";
+
+// Context of the most recent extraction, kept so the overlay shows exactly
+// what was captured rather than a fresh (possibly different) run.
+var lastExtraction = null;
+
+function hideInspectOverlay() {
+  document.getElementById(INSPECT_OVERLAY_ID)?.remove();
+}
+
+function showInspectOverlay(ctx, captureScrollY = window.scrollY) {
+  hideInspectOverlay();
+
+  const container = document.createElement("div");
+  container.id = INSPECT_OVERLAY_ID;
+
+  const style = document.createElement("style");
+  style.textContent = `
+    #${INSPECT_OVERLAY_ID} {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 0;
+      height: 0;
+      z-index: 2147483646;
+      pointer-events: none;
+      font-family: -apple-system, BlinkMacSystemFont, "SF Pro Text", "Segoe UI", sans-serif;
+    }
+    #${INSPECT_OVERLAY_ID} .hc-box {
+      position: absolute;
+      box-sizing: border-box;
+      border: 2px solid var(--hc-color);
+      background: color-mix(in srgb, var(--hc-color) 8%, transparent);
+      border-radius: 3px;
+    }
+    #${INSPECT_OVERLAY_ID} .hc-label {
+      position: absolute;
+      bottom: 100%;
+      left: -2px;
+      margin-bottom: 2px;
+      padding: 2px 6px;
+      border-radius: 3px;
+      background: var(--hc-color);
+      color: #ffffff;
+      font-size: 11px;
+      font-weight: 600;
+      line-height: 1.4;
+      white-space: nowrap;
+      cursor: help;
+      pointer-events: auto;
+    }
+    #${INSPECT_OVERLAY_ID} .hc-tooltip {
+      display: none;
+      position: absolute;
+      top: 100%;
+      left: 0;
+      margin-top: 4px;
+      padding: 6px 8px;
+      border-radius: 6px;
+      background: #0f172a;
+      color: #f8fafc;
+      font-size: 11px;
+      font-weight: 400;
+      line-height: 1.4;
+      white-space: normal;
+      width: max-content;
+      max-width: 320px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+    }
+    #${INSPECT_OVERLAY_ID} .hc-label:hover .hc-tooltip {
+      display: block;
+    }
+    #${INSPECT_OVERLAY_ID} .hc-line {
+      position: absolute;
+      left: 0;
+      height: 0;
+      border-top: 2px solid #dc2626;
+    }
+    #${INSPECT_OVERLAY_ID} .hc-line.hc-line-max {
+      border-top-style: dashed;
+      border-top-color: #f97316;
+    }
+    #${INSPECT_OVERLAY_ID} .hc-line .hc-label {
+      bottom: auto;
+      top: 2px;
+      left: 8px;
+      margin: 0;
+      background: var(--hc-color);
+    }
+  `;
+  container.appendChild(style);
+
+  const scrollX = window.scrollX;
+  const scrollY = window.scrollY;
+
+  const addLabel = (parent, text, strategy) => {
+    const label = document.createElement("div");
+    label.className = "hc-label";
+    label.textContent = text;
+    if (strategy) {
+      const tooltip = document.createElement("div");
+      tooltip.className = "hc-tooltip";
+      tooltip.textContent = strategy;
+      label.appendChild(tooltip);
+    }
+    parent.appendChild(label);
+  };
+
+  const addBox = (rect, text, color, strategy) => {
+    if (!rect || rect.width <= 0 || rect.height <= 0) return;
+    const box = document.createElement("div");
+    box.className = "hc-box";
+    box.style.setProperty("--hc-color", color);
+    box.style.top = `${rect.top + scrollY}px`;
+    box.style.left = `${rect.left + scrollX}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    addLabel(box, text, strategy);
+    container.appendChild(box);
+  };
+
+  const addLine = (pageY, text, className, color, strategy) => {
+    if (!Number.isFinite(pageY)) return;
+    const line = document.createElement("div");
+    line.className = `hc-line ${className}`;
+    line.style.setProperty("--hc-color", color);
+    line.style.top = `${pageY}px`;
+    line.style.width = `${document.documentElement.scrollWidth}px`;
+    addLabel(line, text, strategy);
+    container.appendChild(line);
+  };
+
+  const rectOf = (el) => (el?.isConnected ? viewportRect(el) : null);
+
+  addBox(rectOf(ctx.headlineEl), "Headline", "#2563eb", ctx.headlineStrategy);
+  addBox(rectOf(ctx.subheadlineEl), "Subheadline", "#7c3aed", ctx.subheadlineStrategy);
+  (ctx.ctaElements || []).forEach((el, i) => {
+    addBox(rectOf(el), i === 0 ? "Primary CTA" : `CTA ${i + 1}`, i === 0 ? "#16a34a" : "#65a30d", ctx.ctaReasons?.[i]);
+  });
+  const logoRects = (ctx.logoRowElements || []).map(rectOf).filter(Boolean);
+  addBox(unionRect(logoRects), `Logos (${logoRects.length})`, "#db2777", ctx.logoRowStrategy);
+  (ctx.heroMediaElements || []).forEach((el, i) => {
+    if (i === 0) {
+      addBox(rectOf(el), ctx.heroMediaType ? `Hero media (${ctx.heroMediaType})` : "Hero media", "#0891b2",
+        "Largest img/video/svg/canvas/figure in the hero");
+    } else {
+      addBox(rectOf(el), `Media ${i + 1}`, "#0e7490", `Ranked #${i + 1} by area among hero media`);
+    }
+  });
+  (ctx.heroForms || []).forEach((el) => {
+    addBox(rectOf(el), "Form", "#ca8a04", el.tagName === "FORM"
+      ? "<form> inside the hero, outside nav/footer"
+      : "Embedded form widget (HubSpot, Typeform, Marketo) inside the hero");
+  });
+
+  // The hero bounds are viewport-relative to the scroll position at capture
+  addLine(ctx.heroMaxBottom + captureScrollY, "Hero max bottom", "hc-line-max", "#f97316",
+    "Cap: 1.15× viewport height");
+  addLine(ctx.heroBottom + captureScrollY, "Hero bottom", "hc-line-bottom", "#dc2626",
+    "Bottom of the furthest top-level section starting above the cap");
+
+  document.documentElement.appendChild(container);
+}
+
+// --- Click-to-correct ---
+// The side panel asks for a field, the user clicks the right element, and
+// only the detectors downstream of that field re-run on top of the last
+// extraction. The result goes back to the side panel as CORRECTION_PICKED.
+
+var PICKER_ID = "herocapture-picker";
+
+var CORRECTION_FIELDS = {
+  headline: { label: "headline", detector: "headline", selector: "h1, h2, h3, h4, h5, h6, p" },
+  subheadline: { label: "subheadline", detector: "subheadline", selector: "h2, h3, h4, h5, h6, p" },
+  primary_cta: { label: "primary CTA", detector: "ctas", selector: "a, button, [role='button'], input[type='submit']" },
+};
+
+// Replacement run for the field's detector that swaps in the picked element
+function correctionOverride(field, el) {
+  const text = cleanText(el.innerText || el.value || el.textContent || "");
+  const strategy = "Picked by user";
+
+  if (field === "headline") {
+    return (ctx, run) => ({
+      ...run(ctx),
+      headline: text,
+      headlineEl: el,
+      headlineRect: viewportRect(el),
+      headlineStrategy: strategy,
+      headline_word_count: wordCount(text, ctx.vocab),
+      headline_strategy: strategy,
+      headline_source: elementSource(el),
+    });
+  }
+
+  if (field === "subheadline") {
+    return (ctx, run) => ({
+      ...run(ctx),
+      subheadline: text,
+      subheadlineEl: el,
+      subheadlineStrategy: strategy,
+      subheadline_strategy: strategy,
+      subheadline_source: elementSource(el),
+    });
+  }
+
+  // primary_cta: move the picked element to the front of the ranked CTAs
+  return (ctx, run) => {
+    const result = run(ctx);
+    const r = viewportRect(el);
+    const picked = {
+      el,
+      text,
+      reason: strategy,
+      detail: {
+        text,
+        type: el.tagName === "BUTTON" || el.tagName === "INPUT" || el.getAttribute("role") === "button" ? "button" : "link",
+        position: { top: Math.round(r.top), left: Math.round(r.left) },
+        source: elementSource(el),
+        ...ctaStyle(el),
+      },
+    };
+    const rest = result.ctaElements
+      .map((ctaEl, i) => ({
+        el: ctaEl,
+        text: result.ctas[i],
+        reason: result.ctaReasons[i],
+        detail: result.cta_details[i],
+      }))
+      .filter((c) => !c.el.contains(el) && !el.contains(c.el));
+    const ranked = [picked, ...rest];
+    const details = ranked.map((c) => c.detail);
+    const loudest = assignCtaHierarchy(details);
+    return {
+      ctas: ranked.map((c) => c.text),
+      ctaElements: ranked.map((c) => c.el),
+      ctaReasons: ranked.map((c) => c.reason),
+      cta_count: ranked.length,
+      primary_cta_text: text,
+      loudest_cta_text: loudest?.text || null,
+      cta_details: details,
+    };
+  };
+}
+
+/**
+ * Re-run the fingerprint with `el` as the value of `field`. Earlier
+ * corrections on the page stay applied; detectors that depend on none of the
+ * corrected fields keep their results from the last extraction.
+ */
+function applyCorrection(field, el) {
+  if (!lastExtraction) throw new Error("Nothing captured on this page yet");
+  const { detector } = CORRECTION_FIELDS[field];
+
+  // Detectors measure against the viewport, so measure from where the
+  // original capture was taken, then put the user back where they were
+  const { scrollX, scrollY } = window;
+  window.scrollTo(scrollX, lastExtraction.scrollY);
+  try {
+    const overrides = { ...lastExtraction.overrides, [detector]: correctionOverride(field, el) };
+    const { ctx, fingerprint, report } = runDetectors(getDetectors(), {
+      disabled: lastExtraction.disabled,
+      overrides,
+      previous: lastExtraction,
+    });
+    lastExtraction = { ...lastExtraction, ctx, fingerprint, report, overrides };
+    return formatFingerprint(fingerprint, report, lastExtraction.settle);
+  } finally {
+    window.scrollTo(scrollX, scrollY);
+  }
+}
+
+function stopElementPicker() {
+  const picker = document.getElementById(PICKER_ID);
+  if (!picker) return;
+  picker.__herocaptureStop();
+  picker.remove();
+}
+
+// Highlight the element under the cursor; a click picks it, Escape cancels
+function startElementPicker(field) {
+  stopElementPicker();
+  const { label, selector } = CORRECTION_FIELDS[field];
+
+  const picker = document.createElement("div");
+  picker.id = PICKER_ID;
+
+  const style = document.createElement("style");
+  style.textContent = `
+    #${PICKER_ID} .hc-pick-box {
+      position: fixed;
+      z-index: 2147483646;
+      box-sizing: border-box;
+      border: 2px solid #2563eb;
+      background: rgba(37, 99, 235, 0.08);
+      border-radius: 3px;
+      pointer-events: none;
+      display: none;
+    }
+    #${PICKER_ID} .hc-pick-banner {
+      position: fixed;
+      top: 12px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      padding: 8px 14px;
+      border-radius: 8px;
+      background: #0f172a;
+      color: #ffffff;
+      font-family: -apple-system, BlinkMacSystemFont, "SF Pro Text", "Segoe UI", sans-serif;
+      font-size: 13px;
+      font-weight: 500;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+      pointer-events: none;
+    }
+  `;
+  const box = document.createElement("div");
+  box.className = "hc-pick-box";
+  const banner = document.createElement("div");
+  banner.className = "hc-pick-banner";
+  banner.textContent = `Click the ${label} · Esc to cancel`;
+  picker.append(style, box, banner);
+  document.documentElement.appendChild(picker);
+
+  const targetOf = (event) => {
+    const el = event.target;
+    // Ignore the extension's own UI (picker, inspect overlay, floating icon)
+    if (!(el instanceof Element) || el.closest(`#${PICKER_ID}, #${INSPECT_OVERLAY_ID}, #herocapture-fab`)) {
+      return null;
+    }
+    return el.closest(selector) || el;
+  };
+
+  const onMove = (event) => {
+    const el = targetOf(event);
+    if (!el) return;
+    const r = viewportRect(el);
+    box.style.display = "block";
+    box.style.top = `${r.top}px`;
+    box.style.left = `${r.left}px`;
+    box.style.width = `${r.width}px`;
+    box.style.height = `${r.height}px`;
+  };
+
+  const onClick = (event) => {
+    const el = targetOf(event);
+    if (!el) return;
+    // Keep the page from following links or submitting forms
+    event.preventDefault();
+    event.stopPropagation();
+    stopElementPicker();
+    try {
+      const fingerprint = applyCorrection(field, el);
+      if (document.getElementById(INSPECT_OVERLAY_ID)) {
+        showInspectOverlay(lastExtraction.ctx, lastExtraction.scrollY);
+      }
+      chrome.runtime.sendMessage({
+        type: "CORRECTION_PICKED",
+        field,
+        text: cleanText(el.innerText || el.value || el.textContent || ""),
+        fingerprint,
+      });
+    } catch (error) {
+      chrome.runtime.sendMessage({ type: "CORRECTION_CANCELLED", field, error: error.message });
+    }
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key !== "Escape") return;
+    event.preventDefault();
+    stopElementPicker();
+    chrome.runtime.sendMessage({ type: "CORRECTION_CANCELLED", field, error: null });
+  };
+
+  // Capture phase so the page's own handlers never see the picking click
+  document.addEventListener("mousemove", onMove, true);
+  document.addEventListener("click", onClick, true);
+  document.addEventListener("keydown", onKeyDown, true);
+  picker.__herocaptureStop = () => {
+    document.removeEventListener("mousemove", onMove, true);
+    document.removeEventListener("click", onClick, true);
+    document.removeEventListener("keydown", onKeyDown, true);
+  };
 }
 
 // Listen for messages from the service worker / side panel
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+function handleMessage(message, sender, sendResponse) {
+  if (message.type === "PING") {
+    sendResponse({ success: true });
+    return;
+  }
+
   if (message.type === "EXTRACT_FINGERPRINT") {
+    // Don't let a stale overlay or picker end up in the fingerprint or screenshot
+    hideInspectOverlay();
+    stopElementPicker();
+    // Hidden before settling so the page can relayout; the service worker
+    // sends RESTORE_OVERLAYS once the screenshot is taken
+    if (message.hideOverlays) hidePageOverlays();
+    const settled = message.settle === false ? Promise.resolve(null) : waitForSettle();
+    settled
+      .then((settle) => {
+        const fingerprint = extractFingerprint({
+          disabled: message.disabledDetectors || [],
+          pageOutline: !!message.pageOutline,
+          settle,
+        });
+        sendResponse({ success: true, fingerprint });
+      })
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true; // async response
+  }
+
+  if (message.type === "SHOW_INSPECT_OVERLAY") {
     try {
-      const fingerprint = extractFingerprint();
-      sendResponse({ success: true, fingerprint });
+      if (!lastExtraction) extractFingerprint();
+      showInspectOverlay(lastExtraction.ctx, lastExtraction.scrollY);
+      sendResponse({ success: true });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
     }
-    return true; // async response
+    return;
+  }
+
+  if (message.type === "START_CORRECTION") {
+    if (!lastExtraction) {
+      sendResponse({ success: false, error: "Capture this page again before correcting it" });
+    } else if (!CORRECTION_FIELDS[message.field]) {
+      sendResponse({ success: false, error: `Unknown field: ${message.field}` });
+    } else {
+      startElementPicker(message.field);
+      sendResponse({ success: true });
+    }
+    return;
+  }
+
+  if (message.type === "CANCEL_CORRECTION") {
+    stopElementPicker();
+    sendResponse({ success: true });
+    return;
+  }
+
+  if (message.type === "RESTORE_OVERLAYS") {
+    restorePageOverlays();
+    sendResponse({ success: true });
+    return;
+  }
+
+  if (message.type === "HIDE_INSPECT_OVERLAY") {
+    hideInspectOverlay();
+    sendResponse({ success: true });
   }
-});
+}
+
+// Re-injection would otherwise stack a second listener on top of the first
+if (window.__herocaptureOnMessage) {
+  chrome.runtime.onMessage.removeListener(window.__herocaptureOnMessage);
+}
+window.__herocaptureOnMessage = handleMessage;
+chrome.runtime.onMessage.addListener(handleMessage);
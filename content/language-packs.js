@@ -0,0 +1,621 @@
+/**
+ * HeroCapture Language Packs
+ * Per-language vocabularies for the extractor's text heuristics (CTA verbs,
+ * nav and footer links, promo, trust and social proof language, error pages,
+ * form purposes, consent checkboxes, cookie banners, section headings,
+ * pricing tables, sign-in links and the CTA micro-copy that isn't a
+ * feature bullet).
+ * Injected just before the content script, which picks a pack from
+ * html[lang] or the page text and always merges English on top — localized
+ * sites still ship plenty of English CTAs.
+ *
+ * Each pack:
+ *   name            display name reported in the fingerprint
+ *   stopwords       common function words, used to guess the language when
+ *                   html[lang] is missing or has no pack
+ *   script          optional regex for a writing system; 20+ matching
+ *                   characters in the page text select the pack outright
+ *   wordBoundaries  false for languages written without spaces (Japanese):
+ *                   "word" vocabularies then match anywhere in the text
+ *   vocab           key → list of regex alternatives (strings, matched
+ *                   case-insensitively). How a key is anchored (start of the
+ *                   text, whole text, whole words) is decided by the content
+ *                   script — see VOCAB_MODES — so entries here are bare
+ *                   alternatives. A key a pack leaves out falls back to English.
+ *
+ * Top-level declarations stay `var` — the file is re-injected on every capture.
+ */
+
+var LANGUAGE_PACKS = {
+  en: {
+    name: "English",
+    stopwords: [
+      "the", "and", "with", "your", "for", "you", "that", "this", "from", "are",
+      "our", "what", "more", "all", "into", "how", "get", "can", "will", "about",
+    ],
+    vocab: {
+      copyright: ["copyright", "all rights reserved"],
+      navWords: [
+        "log\\s?in", "sign\\s?in", "sign\\s?up", "pricing", "blog", "resources", "community",
+        "support", "contact", "about", "products?", "solutions?", "enterprise", "platform",
+        "documentation", "docs", "careers", "partners?",
+      ],
+      legalLinks: ["user agreement", "privacy policy", "cookie policy", "terms", "legal"],
+      footerLinks: [
+        "instagram", "twitter", "facebook", "linkedin", "youtube", "tiktok", "discord", "reddit",
+        "github", "medium", "x", "blog", "about", "careers", "contact", "support", "help", "terms",
+        "privacy", "cookie", "home", "back to top", "manifesto", "research", "the boring",
+        "the good", "the cool", "play by the rules", "rules",
+      ],
+      utilityLinks: [
+        "forgot(ten)?\\s*(your\\s*)?(password|email|username)",
+        "reset\\s*(your\\s*)?(password|email)",
+        "can'?t\\s*(log|sign)\\s*in",
+        "need\\s*help",
+        "trouble\\s*(logging|signing)\\s*in",
+      ],
+      actionWords: [
+        "start", "try", "buy", "join", "get", "apply", "subscribe", "download", "install",
+        "register", "explore", "discover", "watch", "book", "schedule", "request", "submit",
+        "enter", "launch", "upgrade", "claim", "demo", "contact",
+      ],
+      oauthCta: ["(sign\\s*(in|up)\\s*with|continue\\s*with|log\\s*in\\s*with)\\s*(google|apple|github|microsoft)"],
+      primaryCta: [
+        "log\\s*in", "sign\\s*(in|up)", "create", "register", "get\\s*started", "start", "try",
+        "buy", "join", "subscribe", "download", "explore", "book", "launch", "submit",
+        "talk\\s*to", "contact", "request", "schedule", "demo", "watch", "deploy", "install", "begin",
+      ],
+      ctaSelfServe: [
+        "deploy", "start", "try", "get\\s*started", "sign\\s*up", "create", "register", "join",
+        "launch", "download", "install", "begin", "buy", "subscribe",
+      ],
+      ctaSalesLed: [
+        "book", "schedule", "request", "contact", "talk\\s*to", "demo", "get\\s*demo",
+        "book\\s*demo", "request\\s*demo",
+      ],
+      ctaInformational: ["learn\\s*more", "explore", "watch", "see\\s*more", "view\\s*details"],
+      ctaPhrases: [
+        "sign\\s*up", "sign\\s*in", "log\\s*in", "contact\\s*sales", "talk\\s*to\\s*sales",
+        "get\\s*started", "start", "try", "request", "book", "schedule", "join", "buy", "explore",
+        "learn\\s*more",
+      ],
+      navLinks: [
+        "top content", "people", "learning", "jobs", "games", "career", "productivity", "finance",
+        "about", "blog", "pricing", "contact", "support", "help", "resources", "docs", "changelog",
+        "status",
+      ],
+      pricing: ["pricing", "plans", "per month", "per year", "billing", "free trial"],
+      proofClaims: [
+        "trusted by", "loved by", "used by", "chosen by", "powering", "backed by", "as seen in",
+        "as seen on", "featured in", "featured on", "customers include", "partners include",
+        "join\\s+\\d", "rated\\s+\\d",
+        "\\d[\\d,.\\s]*\\+?\\s*(users|teams|companies|businesses|organizations|brands|developers|customers)",
+        "(over|more than)\\s+\\d[\\d,.\\s]*\\s*(users|teams|companies|businesses|organizations|brands|developers|customers)",
+        "\\d+\\s*\\+?\\s*(customers|teams|companies)\\s*(trust|use|love|rely)",
+      ],
+      promo: [
+        "\\d+%\\s*off", "sale", "flash sale", "clearance", "discount", "save\\s+\\d", "deal(s)?",
+        "limited.?time", "ends?\\s+(today|tonight|soon|in)", "last\\s+(day|chance|hours?)", "hurry",
+        "while\\s+stocks?\\s+last", "double\\b.*\\b(sale|offer|deal)",
+      ],
+      transactionalCta: [
+        "shop\\s*now", "buy\\s*now", "add\\s*to\\s*cart", "order\\s*now", "get\\s*the\\s*deal",
+        "grab\\s*(it|yours)", "shop\\s*(all|the\\s*sale)", "view\\s*deal",
+      ],
+      addToCart: [
+        "add\\s*to\\s*cart", "add\\s*to\\s*bag", "add\\s*to\\s*basket", "buy\\s*now", "shop\\s*now",
+        "quick\\s*add", "quick\\s*shop",
+      ],
+      trust: [
+        "free\\s*(shipping|delivery|returns?)", "money.?back\\s*guarantee", "satisfaction\\s*guaranteed",
+        "secure\\s*(checkout|payment)", "trusted\\s*by", "verified", "authentic",
+        "100%\\s*(genuine|original)", "no\\s*risk", "easy\\s*returns?", "customer\\s*reviews?",
+        "rated\\s*\\d", "stars?\\s*rating", "\\d+[,.]?\\d*\\+?\\s*reviews?",
+      ],
+      errorPage: [
+        "something went wrong", "access denied", "blocked", "forbidden", "error occurred",
+        "page not found", "404", "403", "500", "502", "503", "504", "service unavailable",
+        "temporarily unavailable", "try again later", "request blocked", "security check",
+        "verify you are human", "captcha", "challenge", "bot detected", "automated access",
+        "unusual traffic", "reference\\s*(error\\s*)?(code|id)", "cloudflare", "akamai",
+        "incapsula", "distil", "datadome", "perimeterx",
+      ],
+      errorBlocked: [
+        "access denied", "blocked", "forbidden", "bot detected", "automated", "unusual traffic",
+        "security check", "verify you are human", "captcha", "challenge",
+      ],
+      errorNotFound: ["404", "page not found"],
+      errorServer: ["500", "502", "503", "504", "service unavailable", "temporarily unavailable"],
+      formWaitlist: [
+        "wait\\s?list", "early access", "notify me", "get notified", "join the list",
+        "be the first to know", "request (an )?invite",
+      ],
+      formNewsletter: ["newsletter", "subscribe", "stay (in the loop|up to date|updated)", "updates in your inbox"],
+      formConsent: [
+        "i agree", "i consent", "i accept", "privacy policy", "terms", "opt[- ]?in",
+        "(receive|send me) (emails|marketing|communications|updates)", "unsubscribe at any time",
+      ],
+      cookieNotice: [
+        "cookies?", "accept all", "reject all", "allow all", "manage (preferences|settings)",
+        "consent preferences", "we value your privacy",
+      ],
+      consentButton: [
+        "(accept|allow|reject|decline)( all)?( cookies)?", "(i )?agree", "got it", "ok(ay)?",
+        "manage (preferences|settings|cookies)", "customi[sz]e( settings)?", "necessary (cookies )?only",
+      ],
+      faq: ["faqs?", "frequently asked( questions)?", "common questions", "questions\\?"],
+      comparison: ["compare", "comparison", "vs\\.?", "versus"],
+      billingMonthly: ["monthly", "month", "mo", "billed monthly"],
+      billingAnnual: ["annual(ly)?", "yearly", "year", "yr", "billed (annually|yearly)"],
+      billingDiscount: [
+        "save\\s*(up to\\s*)?\\d+\\s*%", "\\d+\\s*%\\s*off", "(get\\s*)?\\d+\\s*months?\\s*free",
+        "two months free",
+      ],
+      planHighlight: ["most popular", "recommended", "best value", "popular", "best deal"],
+      customPrice: ["custom", "contact (us|sales)", "let'?s talk", "get a quote", "talk to sales", "on request"],
+      freePrice: ["free"],
+      login: ["log\\s?in", "sign\\s?in", "log\\s?on", "my\\s*account"],
+      bulletHint: ["no credit", "no card", "free ", "cancel anytime", "money.back"],
+      bulletAction: ["(add|import|see|view|get|try|start|create|set up|install|connect)\\b"],
+    },
+  },
+
+  de: {
+    name: "German",
+    stopwords: [
+      "der", "die", "das", "und", "mit", "für", "ist", "nicht", "ihre", "ihr", "sie", "wir",
+      "auf", "den", "dem", "ein", "eine", "zu", "von", "auch",
+    ],
+    vocab: {
+      copyright: ["urheberrecht", "alle rechte vorbehalten"],
+      navWords: [
+        "anmelden", "einloggen", "registrieren", "preise", "blog", "ressourcen", "community",
+        "support", "kontakt", "über uns", "produkte?", "lösungen", "unternehmen", "plattform",
+        "dokumentation", "karriere", "jobs", "partner",
+      ],
+      legalLinks: ["impressum", "datenschutz", "agb", "nutzungsbedingungen", "cookie-richtlinie", "rechtliches"],
+      footerLinks: [
+        "blog", "über uns", "karriere", "jobs", "kontakt", "support", "hilfe", "impressum",
+        "datenschutz", "agb", "startseite", "nach oben",
+      ],
+      utilityLinks: [
+        "passwort\\s*vergessen", "passwort\\s*zurücksetzen", "benutzername\\s*vergessen",
+        "probleme\\s*beim\\s*(anmelden|einloggen)", "brauchen\\s*sie\\s*hilfe",
+      ],
+      actionWords: [
+        "starten", "loslegen", "testen", "kaufen", "registrieren", "anmelden", "abonnieren",
+        "herunterladen", "installieren", "entdecken", "ansehen", "buchen", "anfragen", "absenden",
+        "upgraden", "demo", "kontakt",
+      ],
+      oauthCta: ["mit\\s*(google|apple|github|microsoft)\\s*(anmelden|registrieren|fortfahren|einloggen)"],
+      primaryCta: [
+        "(jetzt\\s*)?(kostenlos\\s*)?(starten|loslegen|testen|registrieren|anmelden|einloggen|kaufen|bestellen|abonnieren|herunterladen|installieren)",
+        "(kostenlos|gratis)\\s*(testen|starten|registrieren)", "konto\\s*erstellen",
+        "demo\\s*(anfordern|buchen|vereinbaren|ansehen)", "termin\\s*(buchen|vereinbaren)",
+        "kontakt(\\s*aufnehmen)?", "vertrieb\\s*kontaktieren", "angebot\\s*anfordern", "entdecken",
+        "mehr\\s*erfahren",
+      ],
+      ctaSelfServe: [
+        "(jetzt\\s*)?(kostenlos\\s*)?(starten|loslegen|testen|registrieren|kaufen|bestellen|abonnieren|herunterladen|installieren)",
+        "(kostenlos|gratis)\\s*(testen|starten|registrieren)", "konto\\s*erstellen",
+      ],
+      ctaSalesLed: [
+        "demo\\s*(anfordern|buchen|vereinbaren)", "termin\\s*(buchen|vereinbaren)",
+        "kontakt(\\s*aufnehmen)?", "vertrieb\\s*kontaktieren", "angebot\\s*anfordern",
+        "beratung\\s*(anfragen|vereinbaren)",
+      ],
+      ctaInformational: ["mehr\\s*erfahren", "mehr\\s*ansehen", "entdecken", "video\\s*ansehen", "details\\s*ansehen"],
+      ctaPhrases: [
+        "registrieren", "anmelden", "einloggen", "jetzt\\s*starten", "loslegen", "kostenlos\\s*testen",
+        "demo\\s*anfordern", "vertrieb\\s*kontaktieren", "kontakt", "mehr\\s*erfahren", "kaufen",
+      ],
+      navLinks: [
+        "über uns", "blog", "preise", "kontakt", "support", "hilfe", "ressourcen", "dokumentation",
+        "karriere", "jobs", "status",
+      ],
+      pricing: ["preise", "tarife", "pakete", "pro monat", "pro jahr", "monatlich", "jährlich", "kostenlos testen", "testphase"],
+      proofClaims: [
+        "vertraut\\s*von", "vertrauen\\s*(uns|auf)", "bekannt\\s*aus", "über\\s+\\d",
+        "\\d[\\d,.\\s]*\\+?\\s*(nutzer|kunden|teams|unternehmen|marken|entwickler)",
+      ],
+      promo: [
+        "\\d+\\s*%\\s*rabatt", "sale", "ausverkauf", "rabatt", "angebote?", "sparen\\s+sie\\s+\\d",
+        "nur\\s*für\\s*kurze\\s*zeit", "zeitlich\\s*begrenzt", "endet\\s+(heute|bald)",
+        "letzte\\s+chance", "solange\\s*der\\s*vorrat\\s*reicht",
+      ],
+      transactionalCta: [
+        "jetzt\\s*(kaufen|shoppen|bestellen)", "in\\s*den\\s*warenkorb", "zum\\s*angebot",
+        "angebot\\s*sichern", "zum\\s*shop",
+      ],
+      addToCart: ["in\\s*den\\s*warenkorb", "zum\\s*warenkorb\\s*hinzufügen", "jetzt\\s*kaufen", "jetzt\\s*shoppen"],
+      trust: [
+        "kostenlose?r?\\s*(versand|lieferung|rückversand)", "geld.?zurück.?garantie",
+        "sichere?\\s*(zahlung|bezahlung)", "vertraut\\s*von", "verifiziert", "kundenbewertungen",
+        "\\d+[,.]?\\d*\\+?\\s*bewertungen", "einfache\\s*rückgabe",
+      ],
+      errorPage: [
+        "etwas ist schiefgelaufen", "zugriff verweigert", "seite nicht gefunden", "nicht verfügbar",
+        "versuchen sie es später", "sicherheitsüberprüfung", "bestätigen sie, dass sie ein mensch sind",
+      ],
+      errorBlocked: ["zugriff verweigert", "gesperrt", "sicherheitsüberprüfung", "ein mensch sind"],
+      errorNotFound: ["seite nicht gefunden"],
+      errorServer: ["vorübergehend nicht verfügbar", "dienst nicht verfügbar"],
+      formWaitlist: ["warteliste", "früher zugang", "benachrichtigen sie mich", "benachrichtigt werden"],
+      formNewsletter: ["newsletter", "abonnieren", "auf dem laufenden"],
+      formConsent: ["ich stimme", "einverstanden", "datenschutz", "einwilligung", "ich akzeptiere", "agb"],
+      cookieNotice: ["cookies?", "alle akzeptieren", "alle ablehnen", "einstellungen verwalten", "einwilligung"],
+      consentButton: ["(alle )?(akzeptieren|ablehnen|zulassen)", "einverstanden", "verstanden", "ok", "einstellungen( verwalten)?", "nur notwendige( cookies)?"],
+      faq: ["faqs?", "häufig gestellte fragen", "häufige fragen"],
+      comparison: ["vergleich", "vergleichen", "vs\\.?"],
+      billingMonthly: ["monatlich", "monat", "mtl\\.?"],
+      billingAnnual: ["jährlich", "jahr", "jährliche abrechnung"],
+      billingDiscount: ["spare?n?\\s*\\d+\\s*%", "\\d+\\s*%\\s*(rabatt|günstiger|sparen)", "\\d+\\s*monate?\\s*gratis"],
+      planHighlight: ["am beliebtesten", "beliebteste?", "empfohlen", "bestseller"],
+      customPrice: ["individuell", "auf anfrage", "kontaktieren sie uns", "vertrieb kontaktieren"],
+      freePrice: ["kostenlos", "gratis"],
+      login: ["anmelden", "einloggen", "login", "mein\\s*konto"],
+      bulletHint: ["keine kreditkarte", "ohne kreditkarte", "kostenlos ", "jederzeit kündbar", "geld.zurück"],
+      bulletAction: ["(hinzufügen|importieren|ansehen|anzeigen|testen|starten|erstellen|einrichten|installieren|verbinden)(?![a-zäöüß])"],
+    },
+  },
+
+  fr: {
+    name: "French",
+    stopwords: [
+      "le", "la", "les", "et", "des", "une", "pour", "avec", "vous", "votre", "vos", "est",
+      "dans", "sur", "qui", "nous", "pas", "plus", "du", "au",
+    ],
+    vocab: {
+      copyright: ["tous droits réservés", "droits d'auteur"],
+      navWords: [
+        "connexion", "se connecter", "inscription", "s'inscrire", "tarifs", "blog", "ressources",
+        "communauté", "support", "contact", "à propos", "produits?", "solutions?", "entreprise",
+        "plateforme", "documentation", "carrières", "partenaires?",
+      ],
+      legalLinks: [
+        "mentions légales", "politique de confidentialité", "confidentialité",
+        "conditions (générales|d'utilisation)", "cgu", "cgv", "politique de cookies",
+      ],
+      footerLinks: [
+        "blog", "à propos", "carrières", "recrutement", "contact", "support", "aide",
+        "mentions légales", "confidentialité", "accueil", "retour en haut",
+      ],
+      utilityLinks: [
+        "mot\\s*de\\s*passe\\s*oublié", "réinitialiser\\s*(votre\\s*|le\\s*)?mot\\s*de\\s*passe",
+        "besoin\\s*d'aide", "problème\\s*de\\s*connexion",
+      ],
+      actionWords: [
+        "commencer", "essayer", "acheter", "rejoindre", "s'inscrire", "s'abonner", "télécharger",
+        "installer", "découvrir", "explorer", "regarder", "réserver", "demander", "envoyer",
+        "démo", "contact", "contactez-nous",
+      ],
+      oauthCta: ["(se connecter|s'inscrire|continuer|connexion)\\s*avec\\s*(google|apple|github|microsoft)"],
+      primaryCta: [
+        "commencer", "démarrer", "essayer", "essai\\s*gratuit", "créer", "s'inscrire", "inscrivez-vous",
+        "se\\s*connecter", "acheter", "rejoindre", "s'abonner", "télécharger", "installer",
+        "découvrir", "explorer", "réserver", "demander", "planifier", "contacter", "contactez",
+        "parler\\s*(à|avec)", "démo", "regarder",
+      ],
+      ctaSelfServe: [
+        "commencer", "démarrer", "essayer", "essai\\s*gratuit", "créer", "s'inscrire",
+        "inscrivez-vous", "acheter", "rejoindre", "s'abonner", "télécharger", "installer",
+      ],
+      ctaSalesLed: [
+        "réserver", "demander", "planifier", "contacter", "contactez", "parler\\s*(à|avec)", "démo",
+        "obtenir\\s*une\\s*démo", "prendre\\s*rendez-vous",
+      ],
+      ctaInformational: ["en\\s*savoir\\s*plus", "découvrir", "explorer", "regarder", "voir\\s*plus", "voir\\s*les\\s*détails"],
+      ctaPhrases: [
+        "s'inscrire", "se\\s*connecter", "commencer", "essayer", "essai\\s*gratuit",
+        "contacter\\s*(les\\s*)?ventes", "demander\\s*une\\s*démo", "réserver", "en\\s*savoir\\s*plus",
+        "acheter",
+      ],
+      navLinks: [
+        "à propos", "blog", "tarifs", "contact", "support", "aide", "ressources", "documentation",
+        "carrières", "emplois", "statut",
+      ],
+      pricing: ["tarifs", "prix", "forfaits", "par mois", "par an", "facturation", "essai gratuit"],
+      proofClaims: [
+        "ils nous font confiance", "approuvé par", "utilisé par", "vu dans", "plus de\\s+\\d",
+        "\\d[\\d,.\\s]*\\+?\\s*(utilisateurs|clients|équipes|entreprises|marques|développeurs)",
+      ],
+      promo: [
+        "-\\d+\\s*%", "soldes", "promo(tion)?s?", "réduction", "remise", "offre\\s*limitée",
+        "durée\\s*limitée", "dernière\\s*chance", "jusqu'à\\s+\\d+\\s*%", "dans\\s*la\\s*limite\\s*des\\s*stocks",
+      ],
+      transactionalCta: [
+        "acheter\\s*maintenant", "ajouter\\s*au\\s*panier", "commander(\\s*maintenant)?",
+        "j'en\\s*profite", "voir\\s*l'offre", "découvrir\\s*l'offre",
+      ],
+      addToCart: ["ajouter\\s*au\\s*panier", "acheter\\s*maintenant", "ajout\\s*rapide", "commander"],
+      trust: [
+        "livraison\\s*(gratuite|offerte)", "retours?\\s*(gratuits?|offerts?)", "satisfait\\s*ou\\s*remboursé",
+        "paiement\\s*sécurisé", "approuvé\\s*par", "vérifié", "avis\\s*clients?", "\\d+[,.]?\\d*\\+?\\s*avis",
+      ],
+      errorPage: [
+        "une erreur (s'est produite|est survenue)", "accès refusé", "page introuvable",
+        "page non trouvée", "service indisponible", "réessayez plus tard", "vérification de sécurité",
+      ],
+      errorBlocked: ["accès refusé", "bloqué", "vérification de sécurité", "vérifiez que vous êtes humain"],
+      errorNotFound: ["page introuvable", "page non trouvée"],
+      errorServer: ["service indisponible", "temporairement indisponible"],
+      formWaitlist: ["liste d'attente", "accès anticipé", "prévenez-moi", "être informé"],
+      formNewsletter: ["newsletter", "s'abonner", "abonnez-vous", "lettre d'information"],
+      formConsent: ["j'accepte", "je consens", "politique de confidentialité", "conditions", "consentement"],
+      cookieNotice: ["cookies?", "tout accepter", "tout refuser", "gérer (mes|les) préférences", "consentement"],
+      consentButton: ["(tout )?(accepter|refuser)( tout)?", "j'accepte", "continuer sans accepter", "ok", "(gérer les |mes )?préférences", "paramétrer"],
+      faq: ["faqs?", "questions fréquentes", "foire aux questions"],
+      comparison: ["comparer", "comparaison", "vs\\.?"],
+      billingMonthly: ["mensuel(lement)?", "mois"],
+      billingAnnual: ["annuel(lement)?", "par an", "année"],
+      billingDiscount: ["économisez\\s*\\d+\\s*%", "\\d+\\s*%\\s*de réduction", "\\d+\\s*mois offerts"],
+      planHighlight: ["le plus populaire", "populaire", "recommandé", "meilleure offre"],
+      customPrice: ["sur mesure", "sur devis", "nous contacter", "contactez"],
+      freePrice: ["gratuit"],
+      login: ["se\\s*connecter", "connexion", "mon\\s*compte"],
+      bulletHint: ["sans carte", "gratuit ", "sans engagement", "résiliable à tout moment", "satisfait ou remboursé"],
+      bulletAction: ["(ajouter|importer|voir|essayer|commencer|créer|configurer|installer|connecter)(?![a-zà-ÿ])"],
+    },
+  },
+
+  es: {
+    name: "Spanish",
+    stopwords: [
+      "el", "los", "las", "del", "para", "con", "una", "por", "que", "tu", "sus", "nuestro",
+      "nuestra", "es", "más", "como", "este", "esta", "y", "al",
+    ],
+    vocab: {
+      copyright: ["todos los derechos reservados", "derechos de autor"],
+      navWords: [
+        "iniciar sesión", "acceder", "registrarse", "regístrate", "precios", "blog", "recursos",
+        "comunidad", "soporte", "contacto", "nosotros", "productos?", "soluciones", "empresa",
+        "plataforma", "documentación", "empleo", "socios",
+      ],
+      legalLinks: [
+        "aviso legal", "política de privacidad", "privacidad", "términos", "condiciones",
+        "política de cookies",
+      ],
+      footerLinks: [
+        "blog", "nosotros", "sobre nosotros", "empleo", "trabaja con nosotros", "contacto",
+        "soporte", "ayuda", "aviso legal", "privacidad", "inicio", "volver arriba",
+      ],
+      utilityLinks: [
+        "¿?olvidaste\\s*(tu\\s*)?contraseña", "restablecer\\s*(la\\s*|tu\\s*)?contraseña",
+        "¿?necesitas\\s*ayuda", "problemas\\s*para\\s*(iniciar\\s*sesión|acceder)",
+      ],
+      actionWords: [
+        "empezar", "comenzar", "empieza", "comienza", "probar", "prueba", "comprar", "compra",
+        "únete", "suscríbete", "descargar", "descarga", "instalar", "regístrate", "explorar",
+        "descubre", "descubrir", "ver", "reservar", "reserva", "solicitar", "solicita", "enviar",
+        "demo", "contacto", "contáctanos",
+      ],
+      oauthCta: ["(iniciar sesión|regístrate|continuar|acceder)\\s*con\\s*(google|apple|github|microsoft)"],
+      primaryCta: [
+        "empi?e?za", "empezar", "comenzar", "comienza", "prueba", "probar", "crea(r)?", "regístrate",
+        "registrarse", "iniciar\\s*sesión", "compra(r)?", "únete", "suscríbete", "descarga(r)?",
+        "instalar", "explorar", "descubre", "reserva(r)?", "solicita(r)?", "agenda(r)?",
+        "contacta(r|nos)?", "habla\\s*con", "demo", "ver",
+      ],
+      ctaSelfServe: [
+        "empi?e?za", "empezar", "comenzar", "comienza", "prueba", "probar", "crea(r)?",
+        "regístrate", "registrarse", "compra(r)?", "únete", "suscríbete", "descarga(r)?", "instalar",
+      ],
+      ctaSalesLed: [
+        "reserva(r)?", "solicita(r)?", "agenda(r)?", "contacta(r|nos)?", "habla\\s*con", "demo",
+        "pide\\s*una\\s*demo",
+      ],
+      ctaInformational: ["más\\s*información", "saber\\s*más", "descubre", "explorar", "ver\\s*más", "ver\\s*detalles"],
+      ctaPhrases: [
+        "regístrate", "iniciar\\s*sesión", "empezar", "comenzar", "prueba\\s*gratis",
+        "contactar\\s*con\\s*ventas", "habla\\s*con\\s*ventas", "solicitar\\s*demo",
+        "más\\s*información", "comprar",
+      ],
+      navLinks: [
+        "nosotros", "blog", "precios", "contacto", "soporte", "ayuda", "recursos", "documentación",
+        "empleo", "estado",
+      ],
+      pricing: ["precios", "planes", "al mes", "por mes", "al año", "por año", "facturación", "prueba gratis"],
+      proofClaims: [
+        "confían en nosotros", "con la confianza de", "utilizado por", "usado por", "más de\\s+\\d",
+        "\\d[\\d,.\\s]*\\+?\\s*(usuarios|clientes|equipos|empresas|marcas|desarrolladores)",
+      ],
+      promo: [
+        "-?\\d+\\s*%\\s*(de\\s*)?descuento", "rebajas", "ofertas?", "descuento", "liquidación",
+        "tiempo\\s*limitado", "última\\s*oportunidad", "hasta\\s+\\d+\\s*%", "hasta\\s*agotar\\s*existencias",
+      ],
+      transactionalCta: [
+        "comprar\\s*ahora", "compra\\s*ahora", "añadir\\s*al\\s*carrito", "agregar\\s*al\\s*carrito",
+        "pedir\\s*ahora", "ver\\s*oferta",
+      ],
+      addToCart: ["añadir\\s*al\\s*carrito", "agregar\\s*al\\s*carrito", "comprar\\s*ahora", "compra\\s*ahora"],
+      trust: [
+        "envío\\s*gratis", "envío\\s*gratuito", "devoluciones?\\s*gratis", "garantía\\s*de\\s*devolución",
+        "pago\\s*seguro", "con\\s*la\\s*confianza\\s*de", "verificado", "opiniones\\s*de\\s*clientes",
+        "\\d+[,.]?\\d*\\+?\\s*(reseñas|opiniones)",
+      ],
+      errorPage: [
+        "algo salió mal", "acceso denegado", "página no encontrada", "servicio no disponible",
+        "inténtalo más tarde", "verificación de seguridad",
+      ],
+      errorBlocked: ["acceso denegado", "bloqueado", "verificación de seguridad"],
+      errorNotFound: ["página no encontrada"],
+      errorServer: ["servicio no disponible", "temporalmente no disponible"],
+      formWaitlist: ["lista de espera", "acceso anticipado", "avísame", "notifícame"],
+      formNewsletter: ["newsletter", "boletín", "suscríbete", "suscribirse"],
+      formConsent: ["acepto", "doy mi consentimiento", "política de privacidad", "términos", "condiciones"],
+      cookieNotice: ["cookies?", "aceptar todas?", "rechazar todas?", "configurar cookies", "consentimiento"],
+      consentButton: ["(aceptar|rechazar)( todas?)?( las cookies)?", "acepto", "entendido", "ok", "configurar( cookies)?", "solo necesarias"],
+      faq: ["faqs?", "preguntas frecuentes"],
+      comparison: ["comparar", "comparación", "vs\\.?"],
+      billingMonthly: ["mensual(mente)?", "mes"],
+      billingAnnual: ["anual(mente)?", "año"],
+      billingDiscount: ["ahorra\\s*\\d+\\s*%", "\\d+\\s*%\\s*de descuento", "\\d+\\s*meses gratis"],
+      planHighlight: ["más popular", "popular", "recomendado", "mejor valor"],
+      customPrice: ["personalizado", "a medida", "contáctanos", "contactar"],
+      freePrice: ["gratis"],
+      login: ["iniciar\\s*sesión", "inicia\\s*sesión", "acceder", "entrar", "mi\\s*cuenta"],
+      bulletHint: ["sin tarjeta", "gratis ", "sin compromiso", "cancela cuando quieras", "garantía de devolución"],
+      bulletAction: ["(añade|añadir|importa|importar|ver|prueba|probar|empieza|crea|crear|configura|instala|conecta)(?![a-zà-ÿ])"],
+    },
+  },
+
+  pt: {
+    name: "Portuguese",
+    stopwords: [
+      "o", "os", "as", "do", "da", "dos", "das", "para", "com", "uma", "um", "por", "que",
+      "você", "seu", "sua", "não", "mais", "em", "no",
+    ],
+    vocab: {
+      copyright: ["todos os direitos reservados", "direitos autorais"],
+      navWords: [
+        "entrar", "login", "cadastre-se", "cadastrar", "preços", "planos", "blog", "recursos",
+        "comunidade", "suporte", "contato", "sobre", "produtos?", "soluções", "empresa",
+        "plataforma", "documentação", "carreiras", "parceiros",
+      ],
+      legalLinks: [
+        "termos de uso", "termos", "política de privacidade", "privacidade", "política de cookies",
+        "aviso legal",
+      ],
+      footerLinks: [
+        "blog", "sobre", "sobre nós", "carreiras", "contato", "suporte", "ajuda", "termos",
+        "privacidade", "início", "voltar ao topo",
+      ],
+      utilityLinks: [
+        "esqueceu\\s*(sua\\s*|a\\s*)?senha", "esqueci\\s*(minha\\s*|a\\s*)?senha",
+        "redefinir\\s*(sua\\s*|a\\s*)?senha", "precisa\\s*de\\s*ajuda",
+      ],
+      actionWords: [
+        "começar", "comece", "experimentar", "experimente", "testar", "teste", "comprar", "compre",
+        "assinar", "assine", "baixar", "baixe", "instalar", "cadastre-se", "explorar", "descubra",
+        "assistir", "agendar", "agende", "solicitar", "solicite", "enviar", "demo", "contato",
+      ],
+      oauthCta: ["(entrar|cadastre-se|continuar|acessar)\\s*com\\s*(google|apple|github|microsoft)"],
+      primaryCta: [
+        "comece", "começar", "experimente", "experimentar", "teste", "testar", "crie", "criar",
+        "cadastre-se", "cadastrar", "entrar", "compre", "comprar", "assine", "assinar", "baixe",
+        "baixar", "instalar", "explorar", "descubra", "agende", "agendar", "solicite", "solicitar",
+        "fale\\s*com", "entre\\s*em\\s*contato", "demo", "assistir",
+      ],
+      ctaSelfServe: [
+        "comece", "começar", "experimente", "experimentar", "teste", "testar", "crie", "criar",
+        "cadastre-se", "cadastrar", "compre", "comprar", "assine", "assinar", "baixe", "baixar", "instalar",
+      ],
+      ctaSalesLed: [
+        "agende", "agendar", "solicite", "solicitar", "fale\\s*com", "entre\\s*em\\s*contato", "demo",
+        "peça\\s*uma\\s*demo",
+      ],
+      ctaInformational: ["saiba\\s*mais", "descubra", "explorar", "assistir", "ver\\s*mais", "ver\\s*detalhes"],
+      ctaPhrases: [
+        "cadastre-se", "entrar", "comece\\s*agora", "começar", "teste\\s*grátis", "fale\\s*com\\s*vendas",
+        "solicitar\\s*demo", "saiba\\s*mais", "comprar",
+      ],
+      navLinks: [
+        "sobre", "blog", "preços", "planos", "contato", "suporte", "ajuda", "recursos",
+        "documentação", "carreiras", "status",
+      ],
+      pricing: ["preços", "planos", "por mês", "/mês", "por ano", "cobrança", "teste grátis"],
+      proofClaims: [
+        "confiam em nós", "usado por", "utilizado por", "mais de\\s+\\d",
+        "\\d[\\d,.\\s]*\\+?\\s*(usuários|clientes|equipes|empresas|marcas|desenvolvedores)",
+      ],
+      promo: [
+        "-?\\d+\\s*%\\s*(de\\s*)?desconto", "promoção", "liquidação", "ofertas?", "desconto",
+        "tempo\\s*limitado", "última\\s*chance", "até\\s+\\d+\\s*%", "enquanto\\s*durarem\\s*os\\s*estoques",
+      ],
+      transactionalCta: [
+        "compre\\s*agora", "comprar\\s*agora", "adicionar\\s*ao\\s*carrinho", "peça\\s*já",
+        "aproveite", "ver\\s*oferta",
+      ],
+      addToCart: ["adicionar\\s*ao\\s*carrinho", "compre\\s*agora", "comprar\\s*agora", "comprar"],
+      trust: [
+        "frete\\s*grátis", "entrega\\s*grátis", "devolução\\s*grátis", "garantia\\s*de\\s*reembolso",
+        "pagamento\\s*seguro", "compra\\s*segura", "verificado", "avaliações\\s*de\\s*clientes",
+        "\\d+[,.]?\\d*\\+?\\s*avaliações",
+      ],
+      errorPage: [
+        "algo deu errado", "acesso negado", "página não encontrada", "serviço indisponível",
+        "tente novamente mais tarde", "verificação de segurança",
+      ],
+      errorBlocked: ["acesso negado", "bloqueado", "verificação de segurança"],
+      errorNotFound: ["página não encontrada"],
+      errorServer: ["serviço indisponível", "temporariamente indisponível"],
+      formWaitlist: ["lista de espera", "acesso antecipado", "avise-me", "me avise"],
+      formNewsletter: ["newsletter", "assine", "inscreva-se", "boletim"],
+      formConsent: ["concordo", "aceito", "consinto", "política de privacidade", "termos"],
+      cookieNotice: ["cookies?", "aceitar todos", "rejeitar todos", "gerenciar (preferências|cookies)", "consentimento"],
+      consentButton: ["(aceitar|rejeitar)( todos)?( os cookies)?", "aceito", "entendi", "ok", "(gerenciar|configurar)( cookies| preferências)?", "apenas necessários"],
+      faq: ["faqs?", "perguntas frequentes"],
+      comparison: ["comparar", "comparação", "vs\\.?"],
+      billingMonthly: ["mensal(mente)?", "mês"],
+      billingAnnual: ["anual(mente)?", "ano"],
+      billingDiscount: ["economize\\s*\\d+\\s*%", "\\d+\\s*%\\s*de desconto", "\\d+\\s*meses grátis"],
+      planHighlight: ["mais popular", "popular", "recomendado", "melhor valor"],
+      customPrice: ["personalizado", "sob consulta", "fale conosco", "entre em contato"],
+      freePrice: ["grátis", "gratuito"],
+      login: ["entrar", "fazer\\s*login", "acessar", "minha\\s*conta"],
+      bulletHint: ["sem cartão", "grátis ", "sem compromisso", "cancele quando quiser", "garantia de reembolso"],
+      bulletAction: ["(adicione|adicionar|importe|importar|veja|ver|experimente|comece|crie|criar|configure|instale|conecte)(?![a-zà-ÿ])"],
+    },
+  },
+
+  ja: {
+    name: "Japanese",
+    stopwords: [],
+    // Hiragana and katakana — unique to Japanese among the packs
+    script: "[\\u3040-\\u30ff]",
+    wordBoundaries: false,
+    vocab: {
+      copyright: ["無断転載", "著作権"],
+      navWords: [
+        "ログイン", "新規登録", "料金", "ブログ", "リソース", "コミュニティ", "サポート",
+        "お問い合わせ", "会社概要", "製品", "ソリューション", "導入事例", "採用", "パートナー",
+        "ドキュメント",
+      ],
+      legalLinks: ["利用規約", "プライバシーポリシー", "個人情報", "特定商取引法", "クッキーポリシー"],
+      footerLinks: [
+        "ブログ", "会社概要", "採用情報", "お問い合わせ", "サポート", "ヘルプ", "利用規約",
+        "プライバシーポリシー", "ホーム", "ページトップへ",
+      ],
+      utilityLinks: ["パスワードを(お)?忘れ", "パスワード(の)?再設定", "ログインできない"],
+      // Japanese CTAs put the verb last ("無料で始める"), so allow a short lead-in
+      actionWords: [".{0,8}(始める|試す|購入|登録|申し込|ダウンロード|インストール|予約|見る|問い合わせ|デモ)"],
+      oauthCta: ["(google|apple|github|microsoft)\\s*(で|アカウントで)(ログイン|サインイン|登録|続ける)"],
+      primaryCta: [
+        ".{0,10}(始める|はじめる|試す|お試し|無料登録|新規登録|登録|申し込|申込|購入|ダウンロード|インストール|予約|相談|問い合わせ|資料請求|デモ|見る)",
+        "ログイン",
+      ],
+      ctaSelfServe: [".{0,10}(始める|はじめる|試す|お試し|無料登録|新規登録|登録|申し込|申込|購入|ダウンロード|インストール)"],
+      ctaSalesLed: [".{0,10}(予約|相談|問い合わせ|資料請求|デモ)"],
+      ctaInformational: [".{0,10}(詳しく|詳細|もっと見る|見る)"],
+      ctaPhrases: ["新規登録", "ログイン", "無料で始める", "無料で試す", "お問い合わせ", "資料請求", "詳しく見る", "購入する"],
+      navLinks: ["会社概要", "ブログ", "料金", "お問い合わせ", "サポート", "ヘルプ", "リソース", "ドキュメント", "採用"],
+      pricing: ["料金", "プラン", "月額", "年額", "無料トライアル", "お試し"],
+      proofClaims: ["導入実績", "導入企業", "\\d[\\d,]*\\s*社(以上)?", "\\d[\\d,]*\\s*(万)?人(以上)?(が利用|のユーザー)", "満足度"],
+      promo: ["\\d+\\s*%\\s*(オフ|off)", "セール", "割引", "期間限定", "キャンペーン", "今だけ", "数量限定", "最大\\s*\\d+\\s*%"],
+      transactionalCta: ["今すぐ購入", "カートに(入れる|追加)", "購入する", "注文する"],
+      addToCart: ["カートに(入れる|追加)", "今すぐ購入", "購入する"],
+      trust: ["送料無料", "返品無料", "返金保証", "安心", "安全な(決済|お支払い)", "導入実績", "\\d+[,.]?\\d*\\+?\\s*件の(レビュー|評価)"],
+      errorPage: ["エラーが発生しました", "アクセスが拒否されました", "ページが見つかりません", "しばらくしてから", "ただいまアクセスが集中"],
+      errorBlocked: ["アクセスが拒否されました", "ブロック"],
+      errorNotFound: ["ページが見つかりません"],
+      errorServer: ["ただいまアクセスが集中", "メンテナンス中", "一時的に利用できません"],
+      formWaitlist: ["ウェイトリスト", "順番待ち", "先行登録", "事前登録", "先行アクセス"],
+      formNewsletter: ["ニュースレター", "メルマガ", "メールマガジン", "購読"],
+      formConsent: ["同意", "プライバシーポリシー", "利用規約", "個人情報"],
+      cookieNotice: ["クッキー", "cookie", "すべて(を)?(許可|受け入れる|拒否)", "同意する"],
+      consentButton: ["(すべて)?(同意|許可|拒否)(する)?", "受け入れる", "ok", "設定", "必須のみ"],
+      faq: ["よくある質問", "faq", "q&a"],
+      comparison: ["比較", "vs"],
+      billingMonthly: ["月額", "月払い", "毎月", "/月"],
+      billingAnnual: ["年額", "年払い", "年間", "/年"],
+      billingDiscount: ["\\d+\\s*%\\s*(お得|オフ|off)", "\\d+\\s*ヶ月(分)?無料"],
+      planHighlight: ["一番人気", "人気", "おすすめ"],
+      customPrice: ["要問い合わせ", "お問い合わせ", "個別見積", "カスタム"],
+      freePrice: ["無料"],
+      login: ["ログイン", "サインイン", "マイページ"],
+      bulletHint: ["(クレジット)?カード(登録)?不要", "いつでも解約", "返金保証", "無料で"],
+      // Verb-last: a short item ending in an action ("サイトを追加")
+      bulletAction: [".{0,10}(追加|インポート|見る|試す|始める|作成|設定|インストール|接続)(する)?$"],
+    },
+  },
+};
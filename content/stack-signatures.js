@@ -0,0 +1,460 @@
+/**
+ * HeroCapture Stack Signatures
+ * Declarative tech stack fingerprints, evaluated by detectStack in
+ * content-script.js. Injected just before the content script, so this file
+ * holds data only — add or tune a detection here without touching the
+ * extractor.
+ *
+ * Each signature:
+ *   name          tag written to detected_stack
+ *   category      framework | site-builder | cms | ecommerce | ui-library |
+ *                 css | hosting | cdn | animation | analytics | chat |
+ *                 marketing-automation | scheduling | experimentation
+ *   globals       window properties (only visible when the page mirrors
+ *                 them into the DOM — content scripts run in an isolated world)
+ *   selectors     CSS selectors that must match at least one element
+ *   resources     regexes tested against <script src> and the href of
+ *                 stylesheet, preload and modulepreload links
+ *   meta          { name, content } — content is a regex on that meta tag
+ *   cookies       regexes tested against cookie names
+ *   inlineScripts regexes tested against the first 30 inline scripts
+ *   inlineStyles  regexes tested against the first 30 <style> blocks
+ *   classes       { pattern, minCount } — regex over the first 500 class
+ *                 attributes, case-sensitive; minCount defaults to 1
+ *   implies       technologies this one is built on (reported as implied)
+ *   suppressedBy  don't report this one when any of these matched directly
+ *                 (generic React next to Next.js, Vue next to Nuxt, …)
+ *
+ * Regexes are strings and, except for classes, case-insensitive. Order is
+ * the order tags appear in detected_stack.
+ *
+ * OVERLAY_SIGNATURES (end of file) names the consent managers and chat
+ * widgets whose banners and launchers sit on top of the hero.
+ *
+ * Top-level declarations stay `var` — the file is re-injected on every capture.
+ */
+
+var STACK_SIGNATURES = [
+  // --- Frameworks / SSGs ---
+  {
+    name: "nextjs",
+    category: "framework",
+    globals: ["__NEXT_DATA__"],
+    selectors: ["#__next", "script#__NEXT_DATA__", 'meta[name="next-head-count"]'],
+    resources: ["/_next/"],
+    implies: ["react"],
+  },
+  {
+    name: "webflow",
+    category: "site-builder",
+    globals: ["Webflow"],
+    selectors: ["html[data-wf-site]", "html[data-wf-page]"],
+    meta: [{ name: "generator", content: "Webflow" }],
+    resources: ["assets(-global)?\\.website-files\\.com"],
+  },
+  {
+    name: "framer",
+    category: "site-builder",
+    meta: [{ name: "generator", content: "Framer" }],
+    resources: ["framerusercontent\\.com", "framer\\.com/m/"],
+    implies: ["react"],
+  },
+  {
+    name: "gatsby",
+    category: "framework",
+    globals: ["___gatsby"],
+    selectors: ["#___gatsby"],
+    meta: [{ name: "generator", content: "Gatsby" }],
+    implies: ["react"],
+  },
+  {
+    name: "nuxt",
+    category: "framework",
+    globals: ["__NUXT__"],
+    selectors: ["#__nuxt"],
+    resources: ["/_nuxt/"],
+    implies: ["vue"],
+  },
+  {
+    name: "remix",
+    category: "framework",
+    globals: ["__remixContext"],
+    inlineScripts: ["__remixContext"],
+    implies: ["react"],
+  },
+  {
+    name: "astro",
+    category: "framework",
+    meta: [{ name: "generator", content: "Astro" }],
+    selectors: ["astro-island"],
+  },
+  {
+    name: "hugo",
+    category: "framework",
+    meta: [{ name: "generator", content: "Hugo" }],
+  },
+  {
+    name: "sveltekit",
+    category: "framework",
+    selectors: ['[id*="__sveltekit"]'],
+    inlineScripts: ["__sveltekit"],
+    implies: ["svelte"],
+  },
+  {
+    // Svelte without the kit: scoped class hashes like svelte-1x2y3z
+    name: "svelte",
+    category: "framework",
+    classes: [{ pattern: "(^|\\s)svelte-[a-z0-9]{5,}", minCount: 3 }],
+    suppressedBy: ["sveltekit"],
+  },
+  {
+    name: "wordpress",
+    category: "cms",
+    meta: [{ name: "generator", content: "WordPress" }],
+    resources: ["wp-content", "wp-includes"],
+  },
+  {
+    name: "shopify",
+    category: "ecommerce",
+    globals: ["Shopify"],
+    resources: ["cdn\\.shopify\\.com"],
+    cookies: ["^_shopify_"],
+  },
+  {
+    name: "wix",
+    category: "site-builder",
+    globals: ["wixBiSession"],
+    resources: ["static\\.wixstatic\\.com"],
+  },
+  {
+    name: "squarespace",
+    category: "site-builder",
+    resources: ["squarespace\\.com"],
+  },
+  {
+    name: "vitepress",
+    category: "framework",
+    selectors: ["#VPContent", ".vp-doc", ".VPDoc", ".VPHome"],
+    resources: ["vitepress"],
+    implies: ["vue"],
+  },
+  {
+    name: "vue",
+    category: "framework",
+    selectors: ["[data-v-]", "#app[data-server-rendered]"],
+    suppressedBy: ["nuxt", "vitepress"],
+  },
+  {
+    name: "react",
+    category: "framework",
+    selectors: ["[data-reactroot]", "[data-reactid]", "#react-root"],
+    suppressedBy: ["nextjs", "gatsby", "remix"],
+  },
+  {
+    name: "angular",
+    category: "framework",
+    selectors: ["[ng-version]", "[_nghost]", "[_ngcontent]"],
+    resources: ["angular"],
+  },
+
+  // --- CSS / UI libraries ---
+  {
+    name: "tailwind",
+    category: "css",
+    classes: [{ pattern: "(^|\\s)(bg-|text-|px-|py-|rounded-)" }],
+  },
+  {
+    name: "bootstrap",
+    category: "css",
+    // 3+ hits: single utility-like class names are too common
+    classes: [{
+      pattern: "(^|\\s)(btn btn-|container-fluid|col-(xs|sm|md|lg|xl)-|navbar-|form-control|card-body)",
+      minCount: 3,
+    }],
+  },
+  {
+    name: "material-ui",
+    category: "ui-library",
+    classes: [{ pattern: "(^|\\s)Mui[A-Z]" }],
+    implies: ["react"],
+  },
+  {
+    name: "chakra-ui",
+    category: "ui-library",
+    classes: [{ pattern: "(^|\\s)chakra-" }],
+    implies: ["react"],
+  },
+  {
+    name: "radix",
+    category: "ui-library",
+    selectors: ["[data-radix-popper-content-wrapper]", "[data-radix-collection-item]", "[data-state]"],
+  },
+  {
+    name: "ant-design",
+    category: "ui-library",
+    classes: [{ pattern: "(^|\\s)ant-" }],
+  },
+  {
+    name: "emotion",
+    category: "css",
+    selectors: ["style[data-emotion]"],
+    classes: [{ pattern: "\\bcss-[a-z0-9]{4,}\\b", minCount: 3 }],
+  },
+  {
+    name: "styled-components",
+    category: "css",
+    selectors: ["style[data-styled]", "style[data-styled-components]"],
+    classes: [{ pattern: "\\bsc-[a-zA-Z0-9]{6,}\\b", minCount: 3 }],
+  },
+  {
+    name: "css-modules",
+    category: "css",
+    classes: [{ pattern: "\\b\\w+_\\w+__[a-zA-Z0-9]{4,}\\b", minCount: 3 }],
+  },
+
+  // --- Hosting / CDN ---
+  {
+    name: "vercel",
+    category: "hosting",
+    selectors: ['meta[name*="vercel" i]'],
+    resources: ["vercel-insights", "vercel-analytics", "/_vercel/"],
+  },
+  {
+    name: "netlify",
+    category: "hosting",
+    meta: [{ name: "generator", content: "Netlify" }],
+    resources: ["\\.netlify"],
+  },
+  {
+    name: "cloudflare",
+    category: "cdn",
+    selectors: ["script[data-cf-beacon]"],
+    resources: ["cloudflareinsights\\.com"],
+    cookies: ["^__cf_bm$", "^cf_clearance$"],
+  },
+  {
+    name: "aws-amplify",
+    category: "hosting",
+    selectors: ['meta[name*="amplify" i]'],
+    resources: ["aws-amplify"],
+  },
+
+  // --- Animation / motion ---
+  {
+    name: "gsap",
+    category: "animation",
+    globals: ["gsap"],
+    resources: ["gsap"],
+  },
+  {
+    name: "lottie",
+    category: "animation",
+    selectors: ["lottie-player", "dotlottie-player"],
+    resources: ["lottie"],
+  },
+  {
+    // Framer Motion (React lib), as distinct from the Framer builder
+    name: "framer-motion",
+    category: "animation",
+    selectors: ["[data-framer-appear-id]", "[data-framer-component-type]"],
+    suppressedBy: ["framer"],
+    implies: ["react"],
+  },
+
+  // --- Analytics ---
+  {
+    name: "google-analytics",
+    category: "analytics",
+    resources: ["googletagmanager\\.com/gtag/js", "google-analytics\\.com/(analytics|ga)\\.js"],
+    inlineScripts: ["gtag\\(\\s*['\"]config['\"]\\s*,\\s*['\"](G|UA)-"],
+    cookies: ["^_ga(_|$)"],
+  },
+  {
+    name: "google-tag-manager",
+    category: "analytics",
+    resources: ["googletagmanager\\.com/gtm\\.js"],
+    selectors: ['iframe[src*="googletagmanager.com/ns.html"]'],
+    inlineScripts: ["['\"]GTM-[A-Z0-9]+['\"]"],
+  },
+  {
+    name: "segment",
+    category: "analytics",
+    resources: ["cdn\\.segment\\.(com|io)/analytics\\.js"],
+    inlineScripts: ["analytics\\.load\\(\\s*['\"]"],
+    cookies: ["^ajs_anonymous_id$"],
+  },
+  {
+    name: "amplitude",
+    category: "analytics",
+    resources: ["cdn\\.amplitude\\.com"],
+    inlineScripts: ["amplitude\\.(getInstance\\(\\)\\.init|init)\\("],
+    cookies: ["^AMP_"],
+  },
+  {
+    name: "mixpanel",
+    category: "analytics",
+    resources: ["cdn\\.mxpnl\\.com", "mixpanel-[\\w.-]*\\.js"],
+    inlineScripts: ["mixpanel\\.init\\("],
+    cookies: ["^mp_\\w+_mixpanel$"],
+  },
+  {
+    name: "posthog",
+    category: "analytics",
+    resources: ["posthog\\.com/static/", "posthog-js"],
+    inlineScripts: ["posthog\\.init\\("],
+    cookies: ["^ph_\\w+_posthog$"],
+  },
+
+  // --- Chat ---
+  {
+    name: "intercom",
+    category: "chat",
+    resources: ["widget\\.intercom\\.io", "js\\.intercomcdn\\.com"],
+    selectors: ["#intercom-container", ".intercom-lightweight-app", "iframe#intercom-frame"],
+    inlineScripts: ["intercomSettings"],
+    cookies: ["^intercom-(id|session)-"],
+  },
+  {
+    name: "drift",
+    category: "chat",
+    resources: ["js\\.driftt\\.com"],
+    selectors: ["#drift-widget", "#drift-frame-controller"],
+    inlineScripts: ["drift\\.load\\("],
+    cookies: ["^driftt_aid$"],
+  },
+
+  // --- Marketing automation ---
+  {
+    name: "hubspot",
+    category: "marketing-automation",
+    resources: ["js\\.hs-scripts\\.com", "js\\.hsforms\\.net", "js\\.hs-analytics\\.net"],
+    selectors: ["script#hs-script-loader", ".hbspt-form", "form.hs-form"],
+    cookies: ["^hubspotutk$", "^__hstc$"],
+  },
+  {
+    name: "marketo",
+    category: "marketing-automation",
+    resources: ["munchkin\\.marketo\\.net", "/js/forms2/js/forms2(\\.min)?\\.js"],
+    selectors: ['form[id^="mktoForm_"]', "form.mktoForm"],
+    inlineScripts: ["MktoForms2\\.loadForm"],
+    cookies: ["^_mkto_trk$"],
+  },
+
+  // --- Scheduling ---
+  {
+    name: "calendly",
+    category: "scheduling",
+    resources: ["assets\\.calendly\\.com"],
+    selectors: [".calendly-inline-widget", 'iframe[src*="calendly.com"]', 'a[href*="calendly.com/"]'],
+  },
+  {
+    name: "chili-piper",
+    category: "scheduling",
+    resources: ["js\\.chilipiper\\.com"],
+    selectors: ['iframe[src*="chilipiper.com"]'],
+    inlineScripts: ["ChiliPiper\\.(scheduling|submit|deploy)\\("],
+  },
+
+  // --- A/B testing / personalization ---
+  {
+    name: "optimizely",
+    category: "experimentation",
+    resources: ["cdn\\.optimizely\\.com", "optimizely\\.com/js/"],
+    cookies: ["^optimizelyEndUserId$"],
+  },
+  {
+    name: "vwo",
+    category: "experimentation",
+    resources: ["visualwebsiteoptimizer\\.com"],
+    inlineScripts: ["_vwo_code"],
+    cookies: ["^_vwo_uuid"],
+  },
+  {
+    name: "launchdarkly",
+    category: "experimentation",
+    resources: ["launchdarkly"],
+    inlineScripts: ["LDClient\\.initialize\\("],
+  },
+  {
+    // Sunset in 2023, but the snippet lingers on plenty of pages
+    name: "google-optimize",
+    category: "experimentation",
+    resources: ["googleoptimize\\.com/optimize\\.js"],
+    inlineScripts: ["['\"]OPT-[A-Z0-9]+['\"]"],
+  },
+];
+
+/**
+ * Anti-flicker snippets: a testing tool hides the page (or part of it) until
+ * variations are applied. Any match means experiments are likely running,
+ * even when the tool's own script is loaded late or from a proxy. Same
+ * matcher fields as STACK_SIGNATURES; `tool` names the signature it belongs
+ * to, or null for a hand-rolled snippet.
+ */
+var ANTI_FLICKER_SIGNATURES = [
+  {
+    name: "google-optimize-async-hide",
+    tool: "google-optimize",
+    selectors: ["html.async-hide"],
+    inlineStyles: ["\\.async-hide\\s*\\{[^}]*opacity\\s*:\\s*0"],
+    inlineScripts: ["dataLayer\\.hide\\s*="],
+  },
+  {
+    name: "vwo-hide-element",
+    tool: "vwo",
+    selectors: ["style#_vis_opt_path_hides"],
+    inlineScripts: ["_vwo_code[\\s\\S]*hide_element"],
+  },
+  {
+    name: "optimizely-edge-hide",
+    tool: "optimizely",
+    inlineStyles: ["\\.optimizely-hide|optimizely[\\w-]*\\{[^}]*opacity\\s*:\\s*0"],
+  },
+  {
+    name: "generic-anti-flicker",
+    tool: null,
+    selectors: ['style[id*="anti-flicker" i]', 'style[id*="antiflicker" i]'],
+    inlineScripts: ["anti-?flicker"],
+  },
+];
+
+// Known overlays, matched before extraction and kept out of the hero (see
+// detectOverlays). kind: consent | chat. Selectors list the outermost
+// container first; nested matches collapse into the outermost visible one.
+var OVERLAY_SIGNATURES = [
+  {
+    name: "onetrust",
+    kind: "consent",
+    selectors: ["#onetrust-consent-sdk", "#onetrust-banner-sdk", "#onetrust-pc-sdk", ".optanon-alert-box-wrapper"],
+  },
+  {
+    name: "cookiebot",
+    kind: "consent",
+    selectors: ["#CybotCookiebotDialog", "#CybotCookiebotDialogBodyUnderlay", "#CookiebotWidget"],
+  },
+  {
+    name: "didomi",
+    kind: "consent",
+    selectors: ["#didomi-host", "#didomi-notice", "#didomi-popup", ".didomi-popup-container"],
+  },
+  {
+    name: "trustarc",
+    kind: "consent",
+    selectors: ["#truste-consent-track", "#consent_blackbar", "#trustarc-banner-overlay", ".truste_box_overlay", ".truste_overlay"],
+  },
+  {
+    name: "intercom",
+    kind: "chat",
+    selectors: ["#intercom-container", ".intercom-lightweight-app", "iframe#intercom-frame"],
+  },
+  {
+    name: "drift",
+    kind: "chat",
+    selectors: ["#drift-widget-container", "#drift-frame-controller", "#drift-frame-chat"],
+  },
+  {
+    name: "hubspot",
+    kind: "chat",
+    selectors: ["#hubspot-messages-iframe-container"],
+  },
+];
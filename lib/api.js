@@ -43,13 +43,21 @@ async function authFetch(path, options = {}) {
 }
 
 /**
- * Submit a capture with pre-extracted fingerprint.
+ * Submit a capture with pre-extracted fingerprint and, when available, the
+ * hero screenshot taken by the extension (PNG data URL).
+ * `userOverrides` ({ field: text }) marks a resubmission whose fields were
+ * corrected by hand in click-to-correct mode.
  * Returns the full hero card data.
  */
-export async function captureHero(url, fingerprint) {
+export async function captureHero(url, fingerprint, screenshot = null, { userOverrides = null } = {}) {
   return authFetch("/capture", {
     method: "POST",
-    body: JSON.stringify({ url, fingerprint }),
+    body: JSON.stringify({
+      url,
+      fingerprint,
+      screenshot,
+      ...(userOverrides && { user_overrides: userOverrides }),
+    }),
   });
 }
 
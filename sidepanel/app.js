@@ -61,6 +61,16 @@ const EXECUTION_DESCRIPTIONS = {
   "Execution: Exploration-first CTA": "Hero persuades by inviting exploration (e.g. watch video, learn more, early access) rather than immediate conversion.",
 };
 
+// Brand names the generic title-casing gets wrong
+const STACK_TAG_SPELLINGS = {
+  hubspot: "HubSpot",
+  posthog: "PostHog",
+  launchdarkly: "LaunchDarkly",
+  onetrust: "OneTrust",
+  trustarc: "TrustArc",
+  vwo: "VWO",
+};
+
 const formatStackTag = (tag) => {
   if (!tag) return "";
   return String(tag)
@@ -74,11 +84,42 @@ const formatStackTag = (tag) => {
       }
       if (lower === "nextjs") return "Nextjs";
       if (lower === "nodejs") return "Node.js";
+      if (STACK_TAG_SPELLINGS[lower]) return STACK_TAG_SPELLINGS[lower];
       return lower[0].toUpperCase() + lower.slice(1);
     })
     .join(" ");
 };
 
+/**
+ * Tooltip text for the "Detected tech stack" line: why each shown tag was
+ * detected, from the fingerprint's stack_details. Empty for captures made
+ * before stack_details existed.
+ */
+function describeStackEvidence(fingerprint, names) {
+  const details = Array.isArray(fingerprint?.stack_details) ? fingerprint.stack_details : [];
+  return names
+    .map((name) => {
+      const detail = details.find((d) => d.name === name);
+      if (!detail?.evidence?.length) return null;
+      const confidence = Math.round((detail.confidence || 0) * 100);
+      return `${formatStackTag(name)} (${confidence}%): ${detail.evidence.join("; ")}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Display text for an execution method. "Proof bar" spells out the first
+ * two extracted metrics ("Proof bar: 10M+ users, 99.99% uptime") when the
+ * fingerprint has them.
+ */
+function executionLabel(method, fingerprint) {
+  const metrics = Array.isArray(fingerprint?.metrics) ? fingerprint.metrics : [];
+  if (method !== "Proof bar" || metrics.length === 0) return method;
+  const shown = metrics.slice(0, 2).map((m) => `${m.text} ${m.label || ""}`.trim());
+  return `${method}: ${shown.join(", ")}`;
+}
+
 // --- Tag styling ---
 
 const TAG_GROUP_MAP = {
@@ -146,8 +187,19 @@ let state = {
   heroCheck: null,
   latestCaptures: null,
   latestCapturesLoading: false,
+  captureSource: null, // { tabId, url, screenshot, viewports } of this session's capture (null for feed cards)
+  inspectOpen: false,
+  correction: null, // { field, status: picking | saving, error }
+  userOverrides: {},
+  multiViewport: false, // also capture at tablet/mobile widths (persisted)
+  hideOverlays: false, // hide cookie banners/popups while capturing (persisted)
+  pageOutline: false, // also outline the page and read its pricing tables (persisted)
 };
 
+const MULTI_VIEWPORT_STORAGE_KEY = "herocapture_multi_viewport";
+const HIDE_OVERLAYS_STORAGE_KEY = "herocapture_hide_overlays";
+const PAGE_OUTLINE_STORAGE_KEY = "herocapture_page_outline";
+
 
 // --- DOM helpers ---
 
@@ -430,6 +482,40 @@ function renderCaptureBar() {
 
   bar.appendChild(row);
 
+  bar.appendChild(
+    h("label", { className: "capture-bar-option" },
+      h("input", {
+        type: "checkbox",
+        checked: state.multiViewport,
+        disabled: isCapturing,
+        onChange: (e) => setMultiViewport(e.target.checked),
+      }),
+      "Also capture tablet & mobile"
+    )
+  );
+  bar.appendChild(
+    h("label", { className: "capture-bar-option" },
+      h("input", {
+        type: "checkbox",
+        checked: state.hideOverlays,
+        disabled: isCapturing,
+        onChange: (e) => setHideOverlays(e.target.checked),
+      }),
+      "Hide cookie banners & popups while capturing"
+    )
+  );
+  bar.appendChild(
+    h("label", { className: "capture-bar-option" },
+      h("input", {
+        type: "checkbox",
+        checked: state.pageOutline,
+        disabled: isCapturing,
+        onChange: (e) => setPageOutline(e.target.checked),
+      }),
+      "Outline the whole page & its pricing tables"
+    )
+  );
+
   // Hero detection message
   if (state.heroCheck && !state.heroCheck.detected) {
     bar.appendChild(
@@ -442,6 +528,33 @@ function renderCaptureBar() {
   return bar;
 }
 
+// Breakpoint captures drive the debugger, an optional permission asked for
+// the first time the option is turned on
+async function setMultiViewport(enabled) {
+  if (enabled) {
+    const granted = await chrome.permissions.request({ permissions: ["debugger"] }).catch(() => false);
+    if (!granted) {
+      render();
+      return;
+    }
+  }
+  state.multiViewport = enabled;
+  chrome.storage.local.set({ [MULTI_VIEWPORT_STORAGE_KEY]: enabled });
+  render();
+}
+
+function setHideOverlays(enabled) {
+  state.hideOverlays = enabled;
+  chrome.storage.local.set({ [HIDE_OVERLAYS_STORAGE_KEY]: enabled });
+  render();
+}
+
+function setPageOutline(enabled) {
+  state.pageOutline = enabled;
+  chrome.storage.local.set({ [PAGE_OUTLINE_STORAGE_KEY]: enabled });
+  render();
+}
+
 function renderCapturingInline() {
   const title = "Analyzing the hero";
   const subtitle = "You can come back later — we’ll notify you when it’s ready.";
@@ -499,6 +612,7 @@ function renderHeroCard(card) {
         domain: card.domain || extractDomain(card.url),
         fingerprint: card.fingerprint || {},
       };
+      state.captureSource = null;
       state.screen = "breakdown";
       render();
     },
@@ -579,16 +693,36 @@ async function loadLatestCaptures() {
 function renderBreakdownView() {
   const wrapper = h("div", { className: "breakdown-view" });
 
-  // Back button
-  wrapper.appendChild(
+  // Back button + inspect toggle
+  const nav = h("div", { className: "breakdown-nav" },
     h("button", {
       className: "btn-back-nav",
-      onClick: () => { state.screen = "capture"; render(); },
+      onClick: () => {
+        if (state.inspectOpen) setInspectOverlay(false);
+        if (state.correction?.status === "picking") cancelCorrection();
+        state.screen = "capture";
+        render();
+      },
     },
       h("span", { className: "back-arrow" }, "\u2190"),
       h("span", {}, "Back")
     )
   );
+  // Only captures made in this session have a tab to draw on
+  if (state.captureSource) {
+    nav.appendChild(
+      h("button", {
+        className: `btn-inspect${state.inspectOpen ? " active" : ""}`,
+        title: "Outline the elements the extractor picked on the page",
+        onClick: () => setInspectOverlay(!state.inspectOpen),
+      }, state.inspectOpen ? "Hide inspect" : "Inspect")
+    );
+  }
+  wrapper.appendChild(nav);
+
+  if (state.captureSource) {
+    wrapper.appendChild(renderCorrectionBar());
+  }
 
   // Breakdown card
   wrapper.appendChild(renderBreakdownCard());
@@ -596,6 +730,113 @@ function renderBreakdownView() {
   return wrapper;
 }
 
+async function setInspectOverlay(show) {
+  state.inspectOpen = show;
+  render();
+  const result = await new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { type: "INSPECT_OVERLAY", tabId: state.captureSource.tabId, show },
+      resolve
+    );
+  });
+  if (show && !result?.success) {
+    console.warn("Inspect overlay failed:", result?.error);
+    state.inspectOpen = false;
+    render();
+  }
+}
+
+// --- Click-to-correct ---
+
+const CORRECTION_FIELDS = {
+  headline: "Headline",
+  subheadline: "Subheadline",
+  primary_cta: "Primary CTA",
+};
+
+function renderCorrectionBar() {
+  const { correction } = state;
+  const bar = h("div", { className: "correction-bar" });
+
+  if (correction?.status === "picking") {
+    bar.appendChild(
+      h("span", { className: "correction-status" },
+        `Click the ${CORRECTION_FIELDS[correction.field].toLowerCase()} on the page\u2026`)
+    );
+    bar.appendChild(h("button", { className: "btn-correct", onClick: cancelCorrection }, "Cancel"));
+    return bar;
+  }
+
+  if (correction?.status === "saving") {
+    bar.appendChild(h("span", { className: "correction-status" }, "Saving correction\u2026"));
+    return bar;
+  }
+
+  bar.appendChild(h("span", { className: "correction-label" }, "Wrong pick? Fix:"));
+  for (const [field, label] of Object.entries(CORRECTION_FIELDS)) {
+    bar.appendChild(
+      h("button", {
+        className: `btn-correct${state.userOverrides[field] ? " corrected" : ""}`,
+        title: state.userOverrides[field] ? `Corrected to \u201c${state.userOverrides[field]}\u201d` : "",
+        onClick: () => startCorrection(field),
+      }, label)
+    );
+  }
+  if (correction?.error) {
+    bar.appendChild(h("div", { className: "correction-error" }, correction.error));
+  }
+  return bar;
+}
+
+async function startCorrection(field) {
+  state.correction = { field, status: "picking", error: null };
+  render();
+  const result = await new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { type: "START_CORRECTION", tabId: state.captureSource.tabId, field },
+      resolve
+    );
+  });
+  if (!result?.success) {
+    state.correction = { field, status: null, error: result?.error || "Couldn't reach the page" };
+    render();
+  }
+}
+
+function cancelCorrection() {
+  chrome.runtime.sendMessage({
+    type: "CANCEL_CORRECTION",
+    tabId: state.captureSource.tabId,
+  });
+  state.correction = null;
+  render();
+}
+
+// The content script re-ran the fingerprint around the picked element;
+// resubmit it so the stored capture shows the corrected copy
+async function handleCorrectionPicked(message) {
+  if (state.correction?.field !== message.field) return;
+  state.correction = { field: message.field, status: "saving", error: null };
+  state.userOverrides = { ...state.userOverrides, [message.field]: message.text };
+  render();
+
+  try {
+    const { url, screenshot, viewports } = state.captureSource;
+    const fingerprint = viewports ? { ...message.fingerprint, viewports } : message.fingerprint;
+    const result = await captureHero(url, fingerprint, screenshot, {
+      userOverrides: state.userOverrides,
+    });
+    state.captureResult = {
+      ...result,
+      screenshot_url: result.screenshot_url || screenshot || null,
+    };
+    state.correction = null;
+  } catch (err) {
+    state.correction = { field: message.field, status: null, error: err.message };
+  }
+  render();
+}
+
 // --- Breakdown Card ---
 
 function renderBreakdownCard() {
@@ -610,8 +851,10 @@ function renderBreakdownCard() {
     explanation?.secondary_intent ||
     explanation?.secondaryIntent ||
     null;
+  // Growth tooling gets its own section below
+  const growthTools = new Set(growthToolNames(card.fingerprint));
   const detectedStack = Array.isArray(card.fingerprint?.detected_stack)
-    ? card.fingerprint.detected_stack.filter(Boolean)
+    ? card.fingerprint.detected_stack.filter((tag) => tag && !growthTools.has(tag))
     : [];
 
   const el = h("div", { className: "explanation-card" });
@@ -632,7 +875,9 @@ function renderBreakdownCard() {
   const meta = h("div", { className: "card-meta" },
     h("div", { className: "card-meta-text" },
       "Detected tech stack: ",
-      h("strong", {}, stackDisplay)
+      h("strong", {},
+        tooltipLabel(stackDisplay, describeStackEvidence(card.fingerprint, detectedStack.slice(0, 2)))
+      )
     ),
     renderCopyDropdown(card)
   );
@@ -652,6 +897,17 @@ function renderBreakdownCard() {
     body.appendChild(h("div", { className: "card-subheadline" }, fp.subheadline));
   }
 
+  // What the page says in search/social snippets, right under what the hero says
+  const preview = socialPreview(fp.page_metadata);
+  if (preview) {
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "SOCIAL PREVIEW"),
+        renderSocialPreview(preview)
+      )
+    );
+  }
+
   // Intent
   body.appendChild(
     h("div", { className: "card-section" },
@@ -700,7 +956,7 @@ function renderBreakdownCard() {
     for (const method of explanation.execution_methods) {
       tags.appendChild(
         tooltipLabel(
-          method,
+          executionLabel(method, card.fingerprint),
           EXECUTION_DESCRIPTIONS[method] || "",
           "execution-tag"
         )
@@ -724,11 +980,436 @@ function renderBreakdownCard() {
     );
   }
 
+  // Media composition
+  const composition = describeComposition(fp);
+  if (composition) {
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "MEDIA"),
+        h("div", { className: "card-tradeoff" }, composition)
+      )
+    );
+  }
+
+  // Hero forms (older captures only have the counts)
+  if (fp.hero_forms?.length > 0) {
+    const list = h("ul", { className: "card-why-list" });
+    for (const form of fp.hero_forms) {
+      list.appendChild(h("li", {}, tooltipLabel(describeHeroForm(form), describeFormFields(form))));
+    }
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "FORMS"),
+        list
+      )
+    );
+  }
+
+  // Navigation (announcement bar, nav CTAs and links)
+  const navLines = navigationLines(fp);
+  if (navLines.length > 0) {
+    const list = h("ul", { className: "card-why-list" });
+    for (const line of navLines) {
+      list.appendChild(h("li", {}, line));
+    }
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "NAVIGATION"),
+        list
+      )
+    );
+  }
+
+  // Plan table (pricing pages)
+  const planLines = pricingPlanLines(fp);
+  if (planLines.length > 0) {
+    const list = h("ul", { className: "card-why-list" });
+    for (const line of planLines) {
+      list.appendChild(h("li", {}, line));
+    }
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "PRICING"),
+        list
+      )
+    );
+  }
+
+  // Sections below the hero (page outline captures only)
+  const outlineLines = pageOutlineLines(fp);
+  if (outlineLines.length > 0) {
+    const list = h("ol", { className: "card-why-list card-outline-list" });
+    for (const line of outlineLines) {
+      list.appendChild(h("li", {}, line));
+    }
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "PAGE OUTLINE"),
+        list
+      )
+    );
+  }
+
+  // Banners and popups kept out of the extraction
+  const overlays = describeOverlays(fp);
+  if (overlays) {
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "OVERLAYS"),
+        h("div", { className: "card-tradeoff" }, overlays)
+      )
+    );
+  }
+
+  // Growth tooling (analytics, chat, testing…)
+  const growthLines = growthToolingLines(fp);
+  if (growthLines.length > 0) {
+    const list = h("ul", { className: "card-why-list" });
+    for (const line of growthLines) {
+      list.appendChild(h("li", {}, line));
+    }
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "GROWTH TOOLING"),
+        list
+      )
+    );
+  }
+
+  // Breakpoints (multi-viewport captures only)
+  if (fp.viewports?.length > 0) {
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "BREAKPOINTS"),
+        renderViewportTable(fp.viewports)
+      )
+    );
+  }
+
+  // Accessibility (older captures have no audit)
+  if (fp.accessibility) {
+    const findings = accessibilityFindings(fp.accessibility);
+    const list = h("ul", { className: "card-why-list" });
+    for (const finding of findings) {
+      list.appendChild(h("li", {}, finding));
+    }
+    body.appendChild(
+      h("div", { className: "card-section" },
+        h("div", { className: "card-section-label" }, "ACCESSIBILITY"),
+        findings.length > 0
+          ? list
+          : h("div", { className: "card-tradeoff" }, "No issues found in the hero.")
+      )
+    );
+  }
+
   el.appendChild(body);
 
   return el;
 }
 
+// The card a link unfurls into: Open Graph first, then Twitter, then the
+// plain <title>/description a search result would show
+function socialPreview(meta) {
+  if (!meta) return null;
+  const og = meta.open_graph || {};
+  const twitter = meta.twitter || {};
+  const preview = {
+    image: og.image || twitter.image || null,
+    title: og.title || twitter.title || meta.title || null,
+    description: og.description || twitter.description || meta.description || null,
+    site: og.site_name || hostnameOf(og.url || meta.canonical_url),
+  };
+  return preview.title || preview.description ? preview : null;
+}
+
+function hostnameOf(url) {
+  try {
+    return url ? new URL(url).hostname.replace(/^www\./, "") : null;
+  } catch {
+    return null;
+  }
+}
+
+function renderSocialPreview(preview) {
+  return h("div", { className: "social-preview" },
+    preview.image
+      ? h("img", { className: "social-preview-image", src: preview.image, alt: "" })
+      : null,
+    h("div", { className: "social-preview-body" },
+      preview.site ? h("div", { className: "social-preview-site" }, preview.site) : null,
+      preview.title ? h("div", { className: "social-preview-title" }, preview.title) : null,
+      preview.description
+        ? h("div", { className: "social-preview-description" }, preview.description)
+        : null
+    )
+  );
+}
+
+const MEDIA_KIND_LABELS = {
+  logo: "logo",
+  "3d": "3D scene",
+  device_mockup: "device mockup",
+  product_screenshot: "product screenshot",
+  person: "portrait",
+  illustration: "illustration",
+  abstract_background: "abstract background",
+  photo: "photo",
+};
+
+// "Left copy, right device mockup" style summary of the hero's main visual
+function describeComposition(fp) {
+  const label = MEDIA_KIND_LABELS[fp.hero_media?.kind];
+  if (!label) return null;
+  const text = fp.left_copy_right_media
+    ? `Left copy, right ${label}`
+    : label.charAt(0).toUpperCase() + label.slice(1);
+  return fp.hero_media.has_video ? `${text} \u00b7 video` : text;
+}
+
+const PLAN_PERIOD_SUFFIXES = { month: "/mo", year: "/yr" };
+
+// "$29/mo per seat", "Free", "Custom"
+function formatPlanPrice(plan) {
+  if (plan.is_free) return "Free";
+  if (!plan.price) return plan.is_custom ? "Custom" : "\u2014";
+  const { amount, currency, period, per_seat: perSeat, text } = plan.price;
+  let figure = text;
+  if (amount != null && currency) {
+    try {
+      figure = new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+        maximumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+      }).format(amount);
+    } catch {
+      figure = text; // Not an ISO currency code
+    }
+  }
+  return `${figure}${PLAN_PERIOD_SUFFIXES[period] || ""}${perSeat ? " per seat" : ""}`;
+}
+
+// Billing toggle line, then "Pro — $29/mo · Most popular · Start free trial" per plan
+function pricingPlanLines(fp) {
+  const pricing = fp.pricing_plans;
+  if (!pricing?.plans?.length) return [];
+  const lines = [];
+  const toggle = pricing.billing_toggle;
+  if (toggle) {
+    const shown = toggle.selected === "year" ? "annual shown" : toggle.selected === "month" ? "monthly shown" : null;
+    const details = [shown, toggle.discount_text].filter(Boolean).join(" \u00b7 ");
+    lines.push(`Billing: ${toggle.options.join(" / ") || "monthly / annual"}${details ? ` (${details})` : ""}`);
+  }
+  for (const plan of pricing.plans) {
+    const parts = [`${plan.name || "Plan"} \u2014 ${formatPlanPrice(plan)}`];
+    if (plan.highlighted) parts.push(plan.highlight_label || "Highlighted");
+    if (plan.cta?.text) parts.push(plan.cta.text);
+    lines.push(parts.join(" \u00b7 "));
+  }
+  return lines;
+}
+
+const SECTION_KIND_LABELS = {
+  navigation: "Navigation",
+  hero: "Hero",
+  logo_bar: "Logo bar",
+  features_grid: "Features",
+  testimonials: "Testimonials",
+  pricing: "Pricing",
+  faq: "FAQ",
+  comparison_table: "Comparison table",
+  final_cta: "Final CTA",
+  footer: "Footer",
+  content: "Section",
+};
+
+// "Pricing — Simple pricing · 500px" per section, top to bottom
+function pageOutlineLines(fp) {
+  return (fp.page_outline?.sections || []).map((section) => {
+    const kind = SECTION_KIND_LABELS[section.kind] || "Section";
+    const heading = section.heading ? ` \u2014 ${section.heading}` : "";
+    return `${kind}${heading} \u00b7 ${section.height}px`;
+  });
+}
+
+// Announcement bar, the nav's own conversion asks, then its links
+function navigationLines(fp) {
+  const lines = [];
+  const bar = fp.announcement_bar;
+  if (bar?.text) {
+    const link = bar.link?.text && !bar.text.endsWith(bar.link.text) ? ` \u2192 ${bar.link.text}` : "";
+    lines.push(`Announcement: ${bar.text}${link}`);
+  }
+  const nav = fp.navigation;
+  if (!nav) return lines;
+  if (nav.ctas?.length > 0) {
+    const ctas = nav.ctas.map((c) => (c.hierarchy === "primary" ? `${c.text} (primary)` : c.text));
+    lines.push(`Nav CTAs: ${ctas.join(", ")}`);
+  }
+  if (nav.items?.length > 0) {
+    lines.push(`Nav: ${nav.items.map((i) => (i.has_dropdown ? `${i.text} \u25be` : i.text)).join(", ")}`);
+  }
+  if (nav.has_hamburger) {
+    lines.push(nav.hamburger_visible ? "Hamburger menu" : "Hamburger menu on smaller screens");
+  }
+  return lines;
+}
+
+const OVERLAY_KIND_LABELS = {
+  consent: "cookie banner",
+  newsletter: "newsletter popup",
+  chat: "chat launcher",
+  modal: "modal",
+};
+
+// "OneTrust cookie banner (hidden), chat launcher (ignored)"
+function describeOverlays(fp) {
+  return (fp.overlays || [])
+    .map((o) => {
+      const kind = OVERLAY_KIND_LABELS[o.kind] || "overlay";
+      const label = o.name ? `${formatStackTag(o.name)} ${kind}` : kind.charAt(0).toUpperCase() + kind.slice(1);
+      return `${label} (${o.handling === "hidden" ? "hidden" : "ignored"})`;
+    })
+    .join(", ");
+}
+
+const FORM_INTENT_LABELS = {
+  waitlist: "waitlist",
+  demo_request: "demo request",
+  signup: "sign-up form",
+  login: "login form",
+  newsletter: "newsletter sign-up",
+  contact: "contact form",
+};
+
+// "Email-only waitlist", "6-field demo request (HubSpot) · consent checkbox"
+function describeHeroForm(form) {
+  const provider = form.provider ? formatStackTag(form.provider) : null;
+  if (form.embedded) return `${provider || "Third-party"} embedded form`;
+  const purpose = FORM_INTENT_LABELS[form.intent] || "form";
+  let text = form.friction === "email_only"
+    ? `Email-only ${purpose}`
+    : `${form.field_count}-field ${purpose}`;
+  if (provider) text += ` (${provider})`;
+  if (form.has_consent) text += " \u00b7 consent checkbox";
+  return text;
+}
+
+// Tooltip for a form line: one field per line, required ones starred
+function describeFormFields(form) {
+  return (form.fields || [])
+    .map((f) => `${f.label || f.placeholder || f.name || f.type}${f.required ? " *" : ""} (${f.type})`)
+    .concat(form.submit_text ? [`Submit: ${form.submit_text}`] : [])
+    .join("\n");
+}
+
+const GROWTH_TOOL_GROUPS = [
+  { category: "analytics", label: "Analytics" },
+  { category: "chat", label: "Chat" },
+  { category: "marketing-automation", label: "Marketing automation" },
+  { category: "scheduling", label: "Scheduling" },
+  { category: "experimentation", label: "A/B testing" },
+];
+
+function growthToolNames(fp) {
+  const categories = GROWTH_TOOL_GROUPS.map((g) => g.category);
+  return (fp?.stack_details || [])
+    .filter((d) => categories.includes(d.category))
+    .map((d) => d.name);
+}
+
+// "Analytics: Google Analytics, Segment" per group, plus the experiments flag
+function growthToolingLines(fp) {
+  const details = fp.stack_details || [];
+  const lines = [];
+  for (const group of GROWTH_TOOL_GROUPS) {
+    const names = details.filter((d) => d.category === group.category).map((d) => formatStackTag(d.name));
+    if (names.length > 0) lines.push(`${group.label}: ${names.join(", ")}`);
+  }
+  const snippets = fp.experimentation?.anti_flicker || [];
+  if (fp.experimentation?.likely_running) {
+    const tools = [...new Set(snippets.map((s) => s.tool).filter(Boolean))].map(formatStackTag);
+    lines.push(
+      tools.length > 0
+        ? `Likely running experiments (${tools.join(", ")} anti-flicker snippet)`
+        : "Likely running experiments (anti-flicker snippet)"
+    );
+  }
+  return lines;
+}
+
+const VIEWPORT_COLUMNS = [
+  { label: "Layout", value: (fp) => fp.layout || "\u2014" },
+  { label: "CTAs", value: (fp) => String(fp.cta_count ?? 0) },
+  { label: "Media", value: (fp) => fp.hero_media_type || (fp.hero_image_count > 0 ? `${fp.hero_image_count} img` : "none") },
+];
+
+// One row per breakpoint; cells that differ from the first (widest) row are
+// highlighted so hidden CTAs and dropped media stand out
+function renderViewportTable(viewports) {
+  const table = h("table", { className: "viewport-table" },
+    h("thead", {},
+      h("tr", {},
+        h("th", {}, "Width"),
+        ...VIEWPORT_COLUMNS.map((col) => h("th", {}, col.label))
+      )
+    )
+  );
+  const tbody = h("tbody", {});
+  const baseline = viewports.find((v) => v.fingerprint)?.fingerprint;
+
+  for (const viewport of viewports) {
+    const row = h("tr", {}, h("td", {}, `${viewport.width}px`));
+    if (!viewport.fingerprint) {
+      row.appendChild(
+        h("td", { className: "viewport-error", colspan: String(VIEWPORT_COLUMNS.length) },
+          viewport.error || "Capture failed")
+      );
+    } else {
+      for (const col of VIEWPORT_COLUMNS) {
+        const value = col.value(viewport.fingerprint);
+        const changed = baseline && value !== col.value(baseline);
+        row.appendChild(h("td", { className: changed ? "changed" : "" }, value));
+      }
+    }
+    tbody.appendChild(row);
+  }
+  table.appendChild(tbody);
+  return table;
+}
+
+// One readable line per issue in the fingerprint's accessibility audit
+function accessibilityFindings(audit) {
+  const findings = [];
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+  for (const f of audit.contrast_failures || []) {
+    const what = f.element === "headline" ? "Headline" : `CTA \u201c${f.text}\u201d`;
+    findings.push(`${what} contrast ${f.ratio}:1 (needs ${f.required}:1)`);
+  }
+  if (audit.images_missing_alt_count > 0) {
+    findings.push(`${plural(audit.images_missing_alt_count, "image")} without alt text`);
+  }
+  if (audit.unnamed_controls_count > 0) {
+    findings.push(`${plural(audit.unnamed_controls_count, "button/link")} with no accessible name`);
+  }
+  if (audit.headings?.page_h1_count === 0) {
+    findings.push("No h1 on the page");
+  }
+  if (audit.headings?.skipped_levels?.length > 0) {
+    findings.push(`Skipped heading levels: ${audit.headings.skipped_levels.join(", ")}`);
+  }
+  const motion = audit.reduced_motion;
+  if (motion?.at_risk) {
+    const sources = [
+      motion.autoplay_videos > 0 ? plural(motion.autoplay_videos, "autoplay video") : null,
+      ...(motion.animation_libraries || []),
+    ].filter(Boolean);
+    findings.push(`Motion with no prefers-reduced-motion rule found (${sources.join(", ")})`);
+  }
+  return findings;
+}
+
 function renderCopyDropdown(card) {
   const wrapper = h("div", { className: "copy-wrapper" });
   const buttonWrap = h("div", { className: "copy-button" });
@@ -825,6 +1506,10 @@ async function handleSignOut() {
     copyMenuOpen: false,
     latestCaptures: null,
     latestCapturesLoading: false,
+    captureSource: null,
+    inspectOpen: false,
+    correction: null,
+    userOverrides: {},
   };
   render();
 }
@@ -832,6 +1517,9 @@ async function handleSignOut() {
 async function handleCapture() {
   if (!state.activeTab) return;
 
+  if (state.inspectOpen) setInspectOverlay(false);
+  state.correction = null;
+  state.userOverrides = {};
   state.screen = "capturing";
   state.captureStep = 0;
   state.error = null;
@@ -840,7 +1528,13 @@ async function handleCapture() {
   try {
     const extractResult = await new Promise((resolve) => {
       chrome.runtime.sendMessage(
-        { type: "INJECT_AND_EXTRACT", tabId: state.activeTab.id },
+        {
+          type: "INJECT_AND_EXTRACT",
+          tabId: state.activeTab.id,
+          multiViewport: state.multiViewport,
+          hideOverlays: state.hideOverlays,
+          pageOutline: state.pageOutline,
+        },
         resolve
       );
     });
@@ -855,8 +1549,24 @@ async function handleCapture() {
     state.captureStep = 2;
     render();
 
-    const result = await captureHero(state.activeTab.url, extractResult.fingerprint);
-    state.captureResult = result;
+    const result = await captureHero(
+      state.activeTab.url,
+      extractResult.fingerprint,
+      extractResult.screenshot
+    );
+    // Fall back to the extension's own screenshot when the backend has none
+    state.captureResult = {
+      ...result,
+      screenshot_url: result.screenshot_url || extractResult.screenshot || null,
+    };
+    state.captureSource = {
+      tabId: state.activeTab.id,
+      url: state.activeTab.url,
+      screenshot: extractResult.screenshot || null,
+      // Breakpoint runs happen in the service worker, not the page, so a
+      // corrected fingerprint from the page needs them added back
+      viewports: extractResult.fingerprint.viewports || null,
+    };
     state.screen = "breakdown";
     notifyFloatingIcon("CAPTURE_DONE");
     await loadActiveTab();
@@ -901,6 +1611,11 @@ function buildPlainText(card) {
   if (fp.subheadline) text += `${fp.subheadline}\n`;
   text += "\n";
 
+  const preview = socialPreview(fp.page_metadata);
+  if (preview) {
+    text += `SOCIAL PREVIEW: ${[preview.title, preview.description].filter(Boolean).join(" \u2014 ")}\n\n`;
+  }
+
   if (intentLabel) text += `HERO INTENT: ${intentLabel}\n\n`;
 
   if (explanation?.why?.length > 0) {
@@ -910,13 +1625,68 @@ function buildPlainText(card) {
   }
 
   if (explanation?.execution_methods?.length > 0) {
-    text += `EXECUTION: ${explanation.execution_methods.join(", ")}\n\n`;
+    const methods = explanation.execution_methods.map((method) => executionLabel(method, fp));
+    text += `EXECUTION: ${methods.join(", ")}\n\n`;
   }
 
   if (explanation?.tradeoff) {
     text += `TRADEOFF: ${explanation.tradeoff}\n\n`;
   }
 
+  const composition = describeComposition(fp);
+  if (composition) {
+    text += `MEDIA: ${composition}\n\n`;
+  }
+
+  if (fp.hero_forms?.length > 0) {
+    text += "FORMS\n";
+    for (const form of fp.hero_forms) text += `\u2022 ${describeHeroForm(form)}\n`;
+    text += "\n";
+  }
+
+  const navLines = navigationLines(fp);
+  if (navLines.length > 0) {
+    text += "NAVIGATION\n";
+    for (const line of navLines) text += `\u2022 ${line}\n`;
+    text += "\n";
+  }
+
+  const planLines = pricingPlanLines(fp);
+  if (planLines.length > 0) {
+    text += "PRICING\n";
+    for (const line of planLines) text += `\u2022 ${line}\n`;
+    text += "\n";
+  }
+
+  const outlineLines = pageOutlineLines(fp);
+  if (outlineLines.length > 0) {
+    text += "PAGE OUTLINE\n";
+    outlineLines.forEach((line, i) => {
+      text += `${i + 1}. ${line}\n`;
+    });
+    text += "\n";
+  }
+
+  const overlays = describeOverlays(fp);
+  if (overlays) {
+    text += `OVERLAYS: ${overlays}\n\n`;
+  }
+
+  const growthLines = growthToolingLines(fp);
+  if (growthLines.length > 0) {
+    text += "GROWTH TOOLING\n";
+    for (const line of growthLines) text += `\u2022 ${line}\n`;
+    text += "\n";
+  }
+
+  if (fp.accessibility) {
+    const findings = accessibilityFindings(fp.accessibility);
+    text += "ACCESSIBILITY\n";
+    if (findings.length === 0) text += "No issues found in the hero.\n";
+    for (const finding of findings) text += `\u2022 ${finding}\n`;
+    text += "\n";
+  }
+
   text += `\u2014 herocapture.com`;
   return text;
 }
@@ -1050,7 +1820,7 @@ async function renderExplanationImage(card) {
     const pillHeight = 20;
     let x = PAD;
     for (const method of explanation.execution_methods) {
-      const pillW = Math.ceil(mCtx.measureText(method).width) + 16;
+      const pillW = Math.ceil(mCtx.measureText(executionLabel(method, fp)).width) + 16;
       if (x + pillW > PAD + MAX_W) {
         y += pillHeight + 6;
         x = PAD;
@@ -1108,7 +1878,11 @@ async function renderExplanationImage(card) {
       ctx.beginPath();
       ctx.roundRect(PAD, curY, imgW, imgH, 14);
       ctx.clip();
-      ctx.drawImage(img, PAD, curY, imgW, imgH);
+      // Cover-fit anchored to the top: local hero crops are usually taller
+      // than the 1440×800 frame, and the headline sits near the top
+      const srcH = Math.min(img.height, img.width * (imgH / imgW));
+      const srcW = srcH * (imgW / imgH);
+      ctx.drawImage(img, (img.width - srcW) / 2, 0, srcW, srcH, PAD, curY, imgW, imgH);
       ctx.restore();
 
       ctx.strokeStyle = COLORS.border;
@@ -1200,7 +1974,8 @@ async function renderExplanationImage(card) {
     const pillHeight = 20;
     let x = PAD;
     for (const method of explanation.execution_methods) {
-      const textW = Math.ceil(ctx.measureText(method).width);
+      const label = executionLabel(method, fp);
+      const textW = Math.ceil(ctx.measureText(label).width);
       const pillW = textW + 16;
       if (x + pillW > PAD + MAX_W) {
         curY += pillHeight + 6;
@@ -1214,7 +1989,7 @@ async function renderExplanationImage(card) {
       ctx.fill();
       ctx.stroke();
       ctx.fillStyle = COLORS.text;
-      ctx.fillText(method, x + 8, curY + 13);
+      ctx.fillText(label, x + 8, curY + 13);
       x += pillW + 6;
     }
     curY += pillHeight + 10;
@@ -1337,6 +2112,15 @@ chrome.runtime.onMessage.addListener((message) => {
       handleCapture();
     }
   }
+
+  // --- Click-to-correct results from the page ---
+  if (message.type === "CORRECTION_PICKED") {
+    handleCorrectionPicked(message);
+  }
+  if (message.type === "CORRECTION_CANCELLED" && state.correction?.field === message.field) {
+    state.correction = message.error ? { field: message.field, status: null, error: message.error } : null;
+    render();
+  }
 });
 
 // --- Refresh active tab when user switches tabs or navigates ---
@@ -1392,6 +2176,17 @@ onSessionChange(async (session) => {
 // --- Init ---
 
 async function init() {
+  const stored = await chrome.storage.local.get([
+    MULTI_VIEWPORT_STORAGE_KEY,
+    HIDE_OVERLAYS_STORAGE_KEY,
+    PAGE_OUTLINE_STORAGE_KEY,
+  ]);
+  // The debugger permission can be revoked from chrome://extensions
+  state.multiViewport = !!stored[MULTI_VIEWPORT_STORAGE_KEY] &&
+    (await chrome.permissions.contains({ permissions: ["debugger"] }).catch(() => false));
+  state.hideOverlays = !!stored[HIDE_OVERLAYS_STORAGE_KEY];
+  state.pageOutline = !!stored[PAGE_OUTLINE_STORAGE_KEY];
+
   const user = await getUser();
   if (user) {
     state.user = user;